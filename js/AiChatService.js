@@ -11,9 +11,14 @@ class AiChatService {
      * Send a message to the AI chat backend (job-based)
      * @param {string} query - The user's message/query
      * @param {string} conversationId - The chat/conversation ID
+     * @param {Object} options - Extra request options
+     * @param {string} options.dbProfileId - Database profile to run the query against
+     * @param {boolean} options.readOnly - Pause the job for approval before any statement modifies data or schema
+     * @param {string} options.regenerateMessageId - Answer this query replaces, so it isn't stored as a new turn
+     * @param {string} options.branchFromMessageId - Question this query edits; the agent's context stops before it
      * @returns {Promise<Object>} Response with job ID from the AI backend
      */
-    async sendMessage(query, conversationId) {
+    async sendMessage(query, conversationId, options = {}) {
         try {
             if (!query || !conversationId) {
                 throw new Error('Query and conversationId are required');
@@ -25,6 +30,22 @@ class AiChatService {
                 conversationId: conversationId
             };
 
+            if (options.dbProfileId) {
+                requestBody.dbProfileId = options.dbProfileId;
+            }
+
+            if (options.readOnly) {
+                requestBody.readOnly = true;
+            }
+
+            if (options.regenerateMessageId) {
+                requestBody.regenerateMessageId = options.regenerateMessageId;
+            }
+
+            if (options.branchFromMessageId) {
+                requestBody.branchFromMessageId = options.branchFromMessageId;
+            }
+
             console.log('Sending message to AI backend:', {
                 endpoint: endpoint,
                 requestBody: requestBody,
@@ -70,11 +91,12 @@ class AiChatService {
      * Send a message and get job ID for SSE tracking
      * @param {string} query - The user's message/query
      * @param {string} conversationId - The chat/conversation ID
+     * @param {Object} options - Extra request options passed to sendMessage
      * @returns {Promise<Object>} Job response with jobId for SSE tracking
      */
-    async getAiResponse(query, conversationId) {
+    async getAiResponse(query, conversationId, options = {}) {
         try {
-            const response = await this.sendMessage(query, conversationId);
+            const response = await this.sendMessage(query, conversationId, options);
             
             if (response.success) {
                 return {
@@ -100,6 +122,153 @@ class AiChatService {
         }
     }
 
+    /**
+     * Run SQL directly against the chat's database (job-based, tracked like AI jobs)
+     * @param {string} sql - The SQL to run
+     * @param {string} conversationId - The chat/conversation ID
+     * @param {Object} options - Extra request options
+     * @param {string} options.dbProfileId - Database profile to run the query against
+     * @param {boolean} options.allowWrites - Let the server run statements that modify data or schema
+     * @returns {Promise<Object>} Result with jobId for SSE tracking
+     */
+    async executeSql(sql, conversationId, options = {}) {
+        try {
+            if (!sql || !conversationId) {
+                throw new Error('SQL and conversationId are required');
+            }
+
+            const requestBody = {
+                sql: sql,
+                conversationId: conversationId,
+                readOnly: !options.allowWrites
+            };
+
+            if (options.dbProfileId) {
+                requestBody.dbProfileId = options.dbProfileId;
+            }
+
+            console.log('Executing edited SQL:', requestBody);
+
+            const response = await this.apiService.makeRequest(API_CONFIG.ENDPOINTS.SQL_EXECUTE, {
+                method: 'POST',
+                body: JSON.stringify(requestBody)
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to run SQL');
+            }
+
+            const jobId = response.data.jobid || response.data.jobId || response.data.job_id || response.data.id;
+            if (!jobId) {
+                throw new Error('No job ID received from backend');
+            }
+
+            return { success: true, jobId: jobId };
+        } catch (error) {
+            console.error('Error executing SQL:', error);
+            return {
+                success: false,
+                error: error.message,
+                jobId: null
+            };
+        }
+    }
+
+    /**
+     * Cancel a running AI job
+     * @param {string} jobId - The job ID to cancel
+     * @returns {Promise<Object>} Result with success flag; notFound is set if the job no longer exists
+     */
+    async cancelJob(jobId) {
+        try {
+            if (!jobId) {
+                throw new Error('jobId is required');
+            }
+
+            const endpoint = `${API_CONFIG.ENDPOINTS.AI_JOB}/${encodeURIComponent(jobId)}/cancel`;
+            console.log('Cancelling AI job:', jobId);
+
+            const response = await this.apiService.makeRequest(endpoint, {
+                method: 'POST'
+            });
+
+            if (response.success) {
+                return { success: true, data: response.data };
+            }
+
+            return {
+                success: false,
+                // makeRequest reports 404s through the error message rather than the status
+                notFound: response.status === 404 || /not found/i.test(response.error || ''),
+                error: response.error || 'Failed to cancel job'
+            };
+        } catch (error) {
+            console.error('Error cancelling AI job:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Let a job paused on write statements run them
+     * @param {string} jobId - The paused job ID
+     * @param {string} approvalId - ID of the approval request, if the server sent one
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async approveJob(jobId, approvalId = null) {
+        return this.respondToApproval(jobId, 'approve', approvalId);
+    }
+
+    /**
+     * Refuse the write statements of a paused job; the agent continues without running them
+     * @param {string} jobId - The paused job ID
+     * @param {string} approvalId - ID of the approval request, if the server sent one
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async rejectJob(jobId, approvalId = null) {
+        return this.respondToApproval(jobId, 'reject', approvalId);
+    }
+
+    /**
+     * Send an approve/reject decision for a paused job
+     * @param {string} jobId - The paused job ID
+     * @param {string} decision - 'approve' or 'reject'
+     * @param {string} approvalId - ID of the approval request, if the server sent one
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async respondToApproval(jobId, decision, approvalId) {
+        try {
+            if (!jobId) {
+                throw new Error('jobId is required');
+            }
+
+            const endpoint = `${API_CONFIG.ENDPOINTS.AI_JOB}/${encodeURIComponent(jobId)}/${decision}`;
+            console.log(`Sending ${decision} for AI job:`, jobId);
+
+            const response = await this.apiService.makeRequest(endpoint, {
+                method: 'POST',
+                body: JSON.stringify(approvalId ? { approvalId: approvalId } : {})
+            });
+
+            if (response.success) {
+                return { success: true, data: response.data };
+            }
+
+            return {
+                success: false,
+                error: response.error || `Failed to ${decision} job`
+            };
+        } catch (error) {
+            console.error(`Error sending ${decision} for AI job:`, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Check if the AI service is available
      * @returns {Promise<boolean>} True if service is available
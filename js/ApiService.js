@@ -139,6 +139,16 @@ class ApiService {
         });
     }
 
+    /**
+     * Get all pinned conversations, whichever page they are on
+     */
+    async getPinnedConversations() {
+        const endpoint = `${API_CONFIG.ENDPOINTS.CONVERSATION}?pinned=true`;
+        return await this.makeRequest(endpoint, {
+            method: 'GET'
+        });
+    }
+
     /**
      * Get a specific conversation
      */
@@ -161,6 +171,59 @@ class ApiService {
         });
     }
 
+    /**
+     * Update whether a conversation is pinned, archived or in a folder
+     * Uses its own endpoint so the conversation name is never part of the update
+     * @param {string} conversationId - The conversation ID
+     * @param {Object} organization - { pinned, archived, folderId }
+     */
+    async updateConversationOrganization(conversationId, organization) {
+        return await this.makeRequest(API_CONFIG.ENDPOINTS.CONVERSATION_ORGANIZATION, {
+            method: 'PUT',
+            body: JSON.stringify({ 
+                conversationId: conversationId,
+                pinned: organization.pinned,
+                archived: organization.archived,
+                folderId: organization.folderId
+            })
+        });
+    }
+
+    /**
+     * Create a conversation together with its messages, e.g. from an import file
+     * @param {string} conversationName - Name of the new conversation
+     * @param {Array<Object>} messages - { id, role, content, timestamp, dbData, mongoId, toolCalls }
+     */
+    async importConversation(conversationName, messages) {
+        return await this.makeRequest(API_CONFIG.ENDPOINTS.CONVERSATION_IMPORT, {
+            method: 'POST',
+            body: JSON.stringify({
+                conversationName: conversationName,
+                messages: messages
+            })
+        });
+    }
+
+    /**
+     * Get the user's chat folders
+     */
+    async getConversationFolders() {
+        return await this.makeRequest(API_CONFIG.ENDPOINTS.CONVERSATION_FOLDERS, {
+            method: 'GET'
+        });
+    }
+
+    /**
+     * Replace the user's chat folders
+     * @param {Array<Object>} folders - { id, name, createdAt }
+     */
+    async saveConversationFolders(folders) {
+        return await this.makeRequest(API_CONFIG.ENDPOINTS.CONVERSATION_FOLDERS, {
+            method: 'PUT',
+            body: JSON.stringify({ folders: folders })
+        });
+    }
+
     /**
      * Delete a conversation
      */
@@ -0,0 +1,157 @@
+/**
+ * ApprovalDialog class to confirm or refuse the write statements a paused AI job wants to run
+ */
+class ApprovalDialog {
+    /**
+     * @param {Object} approval - Approval from ChatManager.normalizeApproval
+     * @param {Function} onDecision - async (approved) => { success, error }
+     */
+    constructor(approval, onDecision) {
+        this.approval = approval;
+        this.onDecision = onDecision;
+        this.highlighter = new SqlHighlighter();
+        this.overlay = null;
+        this.isSending = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    open() {
+        const count = this.approval.statements.length;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay active approval-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal approval-modal" role="alertdialog" aria-labelledby="approvalTitle" aria-describedby="approvalSummary">
+                <div class="modal-header">
+                    <h3 id="approvalTitle"><i class="fas fa-exclamation-triangle"></i> Approve database changes?</h3>
+                    <button class="modal-close" type="button" title="Decide later">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="approval-summary" id="approvalSummary"></p>
+                    <p class="approval-reason"></p>
+                    <div class="approval-statements"></div>
+                    <div class="approval-error"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary approval-reject" type="button">Reject</button>
+                    <button class="btn btn-primary approval-approve" type="button">
+                        Run ${count === 1 ? 'statement' : `${count} statements`}
+                    </button>
+                </div>
+            </div>
+        `;
+
+        const tables = this.approval.tables;
+        this.overlay.querySelector('.approval-summary').textContent =
+            `This connection is read-only. The assistant paused before running ${count} statement${count === 1 ? '' : 's'} ` +
+            `that modif${count === 1 ? 'ies' : 'y'} data or schema` +
+            (tables.length > 0 ? ` (affects ${tables.join(', ')}).` : '.');
+
+        const reason = this.overlay.querySelector('.approval-reason');
+        if (this.approval.reason) {
+            reason.textContent = this.approval.reason;
+        } else {
+            reason.remove();
+        }
+
+        const list = this.overlay.querySelector('.approval-statements');
+        this.approval.statements.forEach(statement => {
+            list.appendChild(this.createStatementElement(statement));
+        });
+        if (count === 0) {
+            list.textContent = 'The server did not say which statements it wants to run.';
+        }
+
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.overlay.querySelector('.approval-reject').addEventListener('click', () => this.decide(false));
+        this.overlay.querySelector('.approval-approve').addEventListener('click', () => this.decide(true));
+        document.addEventListener('keydown', this.handleKeydown);
+
+        document.body.appendChild(this.overlay);
+        // Focus the safe choice
+        this.overlay.querySelector('.approval-reject').focus();
+    }
+
+    /**
+     * Create the block for one statement: what it does, which tables, and the SQL
+     */
+    createStatementElement(statement) {
+        const element = document.createElement('div');
+        element.className = 'approval-statement';
+
+        const meta = document.createElement('div');
+        meta.className = 'approval-statement-meta';
+
+        statement.keywords.forEach(keyword => {
+            const badge = document.createElement('span');
+            badge.className = 'approval-keyword';
+            badge.textContent = keyword;
+            meta.appendChild(badge);
+        });
+
+        if (statement.tables.length > 0) {
+            const tables = document.createElement('span');
+            tables.className = 'approval-tables';
+            tables.textContent = statement.tables.join(', ');
+            meta.appendChild(tables);
+        }
+
+        const pre = document.createElement('pre');
+        pre.className = 'query-sql';
+        const code = document.createElement('code');
+        code.innerHTML = this.highlighter.highlight(statement.sql);
+        pre.appendChild(code);
+
+        element.appendChild(meta);
+        element.appendChild(pre);
+        return element;
+    }
+
+    handleKeydown(e) {
+        // Escape only dismisses; the job stays paused until a decision is sent
+        if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    isOpen() {
+        return !!this.overlay;
+    }
+
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+
+    async decide(approved) {
+        if (this.isSending) return;
+
+        const buttons = this.overlay.querySelectorAll('.modal-footer .btn');
+        const errorEl = this.overlay.querySelector('.approval-error');
+        errorEl.textContent = '';
+        this.isSending = true;
+        buttons.forEach(button => {
+            button.disabled = true;
+        });
+
+        const result = await this.onDecision(approved);
+
+        if (!this.overlay) return;
+
+        if (result && result.success) {
+            this.close();
+            return;
+        }
+
+        this.isSending = false;
+        buttons.forEach(button => {
+            button.disabled = false;
+        });
+        errorEl.textContent = (result && result.error) || 'Failed to send your decision';
+    }
+}
@@ -0,0 +1,563 @@
+/**
+ * ChartRenderer class to draw query results as standalone SVG charts
+ */
+class ChartRenderer {
+    constructor(options = {}) {
+        this.width = options.width || 800;
+        this.height = options.height || 420;
+        this.background = options.background || '#1f1f1f';
+        this.textColor = '#d1d5db';
+        this.gridColor = '#3d3d3d';
+        this.colors = [
+            '#10a37f', '#3b82f6', '#f59e0b', '#ef4444', '#a855f7',
+            '#14b8a6', '#ec4899', '#84cc16', '#f97316', '#6366f1'
+        ];
+        this.maxCategories = 50;
+        this.maxPieSlices = 12;
+    }
+
+    /**
+     * Chart types supported by render()
+     */
+    static getChartTypes() {
+        return [
+            { value: 'bar', label: 'Bar' },
+            { value: 'line', label: 'Line' },
+            { value: 'area', label: 'Area' },
+            { value: 'pie', label: 'Pie' },
+            { value: 'scatter', label: 'Scatter' }
+        ];
+    }
+
+    /**
+     * Infer a sensible default chart from column types
+     * @param {Array<string>} keys - Column keys
+     * @param {Object} types - Column types from DataUtils.inferColumnTypes
+     * @returns {Object|null} Config with type, xKey and seriesKeys, or null if nothing is chartable
+     */
+    static inferDefaultConfig(keys, types) {
+        const numericKeys = keys.filter(key => types[key] === 'number');
+        const dateKeys = keys.filter(key => types[key] === 'date');
+        const categoryKeys = keys.filter(key => types[key] === 'string' || types[key] === 'boolean');
+
+        if (numericKeys.length === 0) {
+            return null;
+        }
+
+        // A date column with numeric columns becomes a time series
+        if (dateKeys.length > 0) {
+            return { type: 'line', xKey: dateKeys[0], seriesKeys: numericKeys.slice(0, 3) };
+        }
+
+        // A label column with numeric columns becomes a bar chart
+        if (categoryKeys.length > 0) {
+            return { type: 'bar', xKey: categoryKeys[0], seriesKeys: numericKeys.slice(0, 3) };
+        }
+
+        // Two numeric columns become a scatter plot
+        if (numericKeys.length >= 2) {
+            return { type: 'scatter', xKey: numericKeys[0], seriesKeys: numericKeys.slice(1, 3) };
+        }
+
+        return { type: 'bar', xKey: null, seriesKeys: numericKeys.slice(0, 1) };
+    }
+
+    /**
+     * Render records as an SVG string
+     * @param {Array<Object>} records - Records to chart
+     * @param {Object} config - { type, xKey, seriesKeys }
+     * @param {Object} types - Column types
+     * @returns {string} SVG markup
+     */
+    render(records, config, types) {
+        if (!config || !config.seriesKeys || config.seriesKeys.length === 0) {
+            return this.renderMessage('Select at least one numeric series to chart');
+        }
+        if (!records || records.length === 0) {
+            return this.renderMessage('No records to chart');
+        }
+
+        switch (config.type) {
+            case 'pie':
+                return this.renderPie(records, config, types);
+            case 'scatter':
+                return this.renderCartesian(records, config, types, 'scatter');
+            case 'line':
+                return this.renderCartesian(records, config, types, 'line');
+            case 'area':
+                return this.renderCartesian(records, config, types, 'area');
+            default:
+                return this.renderBar(records, config, types);
+        }
+    }
+
+    /**
+     * Render a placeholder SVG with a message
+     */
+    renderMessage(message) {
+        return this.wrapSvg(`
+            <text x="${this.width / 2}" y="${this.height / 2}" text-anchor="middle" fill="${this.textColor}" font-size="14">${this.escapeXml(message)}</text>
+        `);
+    }
+
+    /**
+     * Wrap chart content in an SVG root element
+     */
+    wrapSvg(content) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif">` +
+            `<rect width="100%" height="100%" fill="${this.background}"/>` +
+            content +
+            `</svg>`;
+    }
+
+    /**
+     * Group records by x label, summing each series, for bar and pie charts
+     */
+    aggregateByCategory(records, config, types) {
+        const xType = config.xKey ? types[config.xKey] : null;
+        const groups = new Map();
+
+        records.forEach((record, index) => {
+            const rawX = config.xKey ? record[config.xKey] : index + 1;
+            const label = DataUtils.isEmpty(rawX) ? '(empty)' : DataUtils.formatValue(rawX);
+
+            if (!groups.has(label)) {
+                groups.set(label, {
+                    label: label,
+                    sortValue: xType === 'number' || xType === 'date' ? DataUtils.toComparable(rawX, xType) : null,
+                    values: config.seriesKeys.map(() => 0)
+                });
+            }
+
+            const group = groups.get(label);
+            config.seriesKeys.forEach((key, seriesIndex) => {
+                const value = Number(record[key]);
+                if (!DataUtils.isEmpty(record[key]) && Number.isFinite(value)) {
+                    group.values[seriesIndex] += value;
+                }
+            });
+        });
+
+        let categories = Array.from(groups.values());
+        if (xType === 'number' || xType === 'date') {
+            categories.sort((a, b) => a.sortValue - b.sortValue);
+        }
+        return categories;
+    }
+
+    /**
+     * Render a grouped bar chart
+     */
+    renderBar(records, config, types) {
+        let categories = this.aggregateByCategory(records, config, types);
+        const truncated = categories.length > this.maxCategories;
+        categories = categories.slice(0, this.maxCategories);
+
+        const [dataMin, dataMax] = this.extent(categories.flatMap(category => category.values));
+        const yTicks = this.niceTicks(Math.min(0, dataMin), Math.max(0, dataMax));
+        const plot = this.getPlotArea(config.seriesKeys.length > 1, categories.length > 8);
+        const yScale = this.linearScale(yTicks[0], yTicks[yTicks.length - 1], plot.bottom, plot.top);
+
+        const band = plot.width / categories.length;
+        const groupPadding = band * 0.15;
+        const barWidth = Math.max(1, (band - groupPadding * 2) / config.seriesKeys.length);
+        const zeroY = yScale(0);
+
+        let bars = '';
+        categories.forEach((category, categoryIndex) => {
+            category.values.forEach((value, seriesIndex) => {
+                const x = plot.left + categoryIndex * band + groupPadding + seriesIndex * barWidth;
+                const y = yScale(Math.max(value, 0));
+                const height = Math.abs(yScale(value) - zeroY);
+                bars += `<rect x="${x.toFixed(2)}" y="${y.toFixed(2)}" width="${barWidth.toFixed(2)}" height="${height.toFixed(2)}" fill="${this.getColor(seriesIndex)}">` +
+                    `<title>${this.escapeXml(`${category.label} · ${config.seriesKeys[seriesIndex]}: ${this.formatNumber(value)}`)}</title></rect>`;
+            });
+        });
+
+        const xPositions = categories.map((category, index) => ({
+            x: plot.left + index * band + band / 2,
+            label: category.label
+        }));
+
+        return this.wrapSvg(
+            this.renderYAxis(yTicks, yScale, plot) +
+            bars +
+            this.renderCategoryAxis(xPositions, plot) +
+            this.renderLegend(config.seriesKeys) +
+            (truncated ? this.renderNote(`Showing first ${this.maxCategories} categories`) : '')
+        );
+    }
+
+    /**
+     * Render line, area and scatter charts
+     */
+    renderCartesian(records, config, types, mode) {
+        const xType = config.xKey ? types[config.xKey] : 'number';
+        const isContinuous = xType === 'number' || xType === 'date';
+
+        // Build x positions: continuous values for numbers and dates, indexes for labels
+        const rows = records.map((record, index) => {
+            const rawX = config.xKey ? record[config.xKey] : index + 1;
+            return {
+                rawX: rawX,
+                x: isContinuous ? (DataUtils.isEmpty(rawX) ? NaN : DataUtils.toComparable(rawX, xType)) : index,
+                record: record
+            };
+        }).filter(row => Number.isFinite(row.x));
+
+        if (isContinuous && mode !== 'scatter') {
+            rows.sort((a, b) => a.x - b.x);
+        }
+        if (rows.length === 0) {
+            return this.renderMessage('No chartable values in the selected x axis');
+        }
+
+        const series = config.seriesKeys.map(key => rows
+            .map(row => ({ x: row.x, y: Number(row.record[key]), rawX: row.rawX, empty: DataUtils.isEmpty(row.record[key]) }))
+            .filter(point => !point.empty && Number.isFinite(point.y)));
+
+        const allY = series.flat().map(point => point.y);
+        if (allY.length === 0) {
+            return this.renderMessage('No numeric values in the selected series');
+        }
+
+        const [dataMin, dataMax] = this.extent(allY);
+        const yMin = mode === 'area' ? Math.min(0, dataMin) : dataMin;
+        const yMax = mode === 'area' ? Math.max(0, dataMax) : dataMax;
+        const yTicks = this.niceTicks(yMin, yMax);
+        const plot = this.getPlotArea(config.seriesKeys.length > 1, !isContinuous && rows.length > 8);
+        const yScale = this.linearScale(yTicks[0], yTicks[yTicks.length - 1], plot.bottom, plot.top);
+
+        const xValues = rows.map(row => row.x);
+        let xScale;
+        let xAxis;
+        if (isContinuous) {
+            const [xMin, xMax] = this.extent(xValues);
+            const xTicks = xType === 'date' ? this.dateTicks(xMin, xMax) : this.niceTicks(xMin, xMax);
+            const domainMin = xType === 'date' ? xMin : Math.min(xMin, xTicks[0]);
+            const domainMax = xType === 'date' ? xMax : Math.max(xMax, xTicks[xTicks.length - 1]);
+            xScale = this.linearScale(domainMin, domainMax === domainMin ? domainMin + 1 : domainMax, plot.left, plot.right);
+            xAxis = this.renderContinuousXAxis(xTicks.filter(tick => tick >= domainMin && tick <= domainMax), xScale, plot, xType, xMin, xMax);
+        } else {
+            const step = rows.length > 1 ? plot.width / (rows.length - 1) : 0;
+            xScale = (value) => rows.length > 1 ? plot.left + value * step : plot.left + plot.width / 2;
+            xAxis = this.renderCategoryAxis(rows.map(row => ({
+                x: xScale(row.x),
+                label: DataUtils.isEmpty(row.rawX) ? '(empty)' : DataUtils.formatValue(row.rawX)
+            })), plot);
+        }
+
+        const zeroY = yScale(Math.max(yTicks[0], Math.min(0, yTicks[yTicks.length - 1])));
+        let marks = '';
+
+        series.forEach((points, seriesIndex) => {
+            const color = this.getColor(seriesIndex);
+            const key = config.seriesKeys[seriesIndex];
+
+            if (mode === 'scatter') {
+                points.forEach(point => {
+                    marks += `<circle cx="${xScale(point.x).toFixed(2)}" cy="${yScale(point.y).toFixed(2)}" r="3.5" fill="${color}" fill-opacity="0.8">` +
+                        `<title>${this.escapeXml(`${DataUtils.formatValue(point.rawX)} · ${key}: ${this.formatNumber(point.y)}`)}</title></circle>`;
+                });
+                return;
+            }
+
+            if (points.length === 0) return;
+
+            const path = points.map((point, index) =>
+                `${index === 0 ? 'M' : 'L'}${xScale(point.x).toFixed(2)},${yScale(point.y).toFixed(2)}`
+            ).join(' ');
+
+            if (mode === 'area') {
+                const first = xScale(points[0].x).toFixed(2);
+                const last = xScale(points[points.length - 1].x).toFixed(2);
+                marks += `<path d="${path} L${last},${zeroY.toFixed(2)} L${first},${zeroY.toFixed(2)} Z" fill="${color}" fill-opacity="0.25" stroke="none"/>`;
+            }
+
+            marks += `<path d="${path}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>`;
+
+            // Show point markers when there are few enough points to distinguish them
+            if (points.length <= 60) {
+                points.forEach(point => {
+                    marks += `<circle cx="${xScale(point.x).toFixed(2)}" cy="${yScale(point.y).toFixed(2)}" r="2.5" fill="${color}">` +
+                        `<title>${this.escapeXml(`${DataUtils.formatValue(point.rawX)} · ${key}: ${this.formatNumber(point.y)}`)}</title></circle>`;
+                });
+            }
+        });
+
+        return this.wrapSvg(
+            this.renderYAxis(yTicks, yScale, plot) +
+            marks +
+            xAxis +
+            this.renderLegend(config.seriesKeys)
+        );
+    }
+
+    /**
+     * Render a pie chart of the first series
+     */
+    renderPie(records, config, types) {
+        const seriesKey = config.seriesKeys[0];
+        let slices = this.aggregateByCategory(records, { xKey: config.xKey, seriesKeys: [seriesKey] }, types)
+            .map(category => ({ label: category.label, value: category.values[0] }))
+            .filter(slice => slice.value > 0)
+            .sort((a, b) => b.value - a.value);
+
+        if (slices.length === 0) {
+            return this.renderMessage('Pie charts need positive values');
+        }
+
+        // Fold the long tail into a single "Other" slice
+        if (slices.length > this.maxPieSlices) {
+            const rest = slices.slice(this.maxPieSlices - 1);
+            slices = slices.slice(0, this.maxPieSlices - 1);
+            slices.push({ label: 'Other', value: rest.reduce((sum, slice) => sum + slice.value, 0) });
+        }
+
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        const radius = Math.min(this.width * 0.5, this.height) / 2 - 30;
+        const cx = this.width * 0.35;
+        const cy = this.height / 2;
+
+        let angle = -Math.PI / 2;
+        let marks = '';
+        slices.forEach((slice, index) => {
+            const fraction = slice.value / total;
+            const title = `<title>${this.escapeXml(`${slice.label}: ${this.formatNumber(slice.value)} (${(fraction * 100).toFixed(1)}%)`)}</title>`;
+
+            if (fraction >= 0.9999) {
+                marks += `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${this.getColor(index)}">${title}</circle>`;
+                return;
+            }
+
+            const endAngle = angle + fraction * Math.PI * 2;
+            const x1 = cx + radius * Math.cos(angle);
+            const y1 = cy + radius * Math.sin(angle);
+            const x2 = cx + radius * Math.cos(endAngle);
+            const y2 = cy + radius * Math.sin(endAngle);
+            const largeArc = fraction > 0.5 ? 1 : 0;
+
+            marks += `<path d="M${cx},${cy} L${x1.toFixed(2)},${y1.toFixed(2)} A${radius},${radius} 0 ${largeArc} 1 ${x2.toFixed(2)},${y2.toFixed(2)} Z" fill="${this.getColor(index)}" stroke="${this.background}" stroke-width="1">${title}</path>`;
+            angle = endAngle;
+        });
+
+        // Legend with percentages to the right of the pie
+        let legend = '';
+        const legendX = this.width * 0.65;
+        const legendTop = cy - (slices.length * 22) / 2;
+        slices.forEach((slice, index) => {
+            const y = legendTop + index * 22;
+            const percent = ((slice.value / total) * 100).toFixed(1);
+            legend += `<rect x="${legendX}" y="${y}" width="12" height="12" rx="2" fill="${this.getColor(index)}"/>` +
+                `<text x="${legendX + 18}" y="${y + 10}" fill="${this.textColor}" font-size="12">${this.escapeXml(`${this.truncate(slice.label, 28)} (${percent}%)`)}</text>`;
+        });
+
+        return this.wrapSvg(marks + legend);
+    }
+
+    /**
+     * Compute the plot rectangle, leaving room for the legend and rotated labels
+     */
+    getPlotArea(hasLegend, rotateLabels) {
+        const margin = {
+            top: hasLegend ? 40 : 20,
+            right: 24,
+            bottom: rotateLabels ? 90 : 50,
+            left: 70
+        };
+        return {
+            left: margin.left,
+            right: this.width - margin.right,
+            top: margin.top,
+            bottom: this.height - margin.bottom,
+            width: this.width - margin.left - margin.right,
+            height: this.height - margin.top - margin.bottom
+        };
+    }
+
+    /**
+     * Get the minimum and maximum of a list of numbers without spreading large arrays
+     */
+    extent(values) {
+        return values.reduce(([min, max], value) => [Math.min(min, value), Math.max(max, value)], [Infinity, -Infinity]);
+    }
+
+    /**
+     * Create a linear scale function mapping a domain to a range
+     */
+    linearScale(domainMin, domainMax, rangeMin, rangeMax) {
+        const span = domainMax - domainMin || 1;
+        return (value) => rangeMin + ((value - domainMin) / span) * (rangeMax - rangeMin);
+    }
+
+    /**
+     * Compute evenly spaced round tick values covering a range
+     */
+    niceTicks(min, max, count = 5) {
+        if (min === max) {
+            min = min - 1;
+            max = max + 1;
+        }
+
+        const rawStep = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const normalized = rawStep / magnitude;
+        let step;
+        if (normalized < 1.5) {
+            step = magnitude;
+        } else if (normalized < 3) {
+            step = 2 * magnitude;
+        } else if (normalized < 7) {
+            step = 5 * magnitude;
+        } else {
+            step = 10 * magnitude;
+        }
+
+        const ticks = [];
+        const start = Math.floor(min / step) * step;
+        const end = Math.ceil(max / step) * step;
+        for (let value = start; value <= end + step / 2; value += step) {
+            ticks.push(Number(value.toPrecision(12)));
+        }
+        return ticks;
+    }
+
+    /**
+     * Compute tick values for a time axis
+     */
+    dateTicks(min, max, count = 6) {
+        if (min === max) {
+            return [min];
+        }
+        const ticks = [];
+        const step = (max - min) / (count - 1);
+        for (let i = 0; i < count; i++) {
+            ticks.push(min + step * i);
+        }
+        return ticks;
+    }
+
+    /**
+     * Render the y axis with grid lines
+     */
+    renderYAxis(ticks, yScale, plot) {
+        return ticks.map(tick => {
+            const y = yScale(tick).toFixed(2);
+            return `<line x1="${plot.left}" y1="${y}" x2="${plot.right}" y2="${y}" stroke="${this.gridColor}" stroke-width="1"/>` +
+                `<text x="${plot.left - 8}" y="${y}" dy="4" text-anchor="end" fill="${this.textColor}" font-size="11">${this.escapeXml(this.formatNumber(tick))}</text>`;
+        }).join('');
+    }
+
+    /**
+     * Render an x axis for a continuous (number or date) scale
+     */
+    renderContinuousXAxis(ticks, xScale, plot, xType, min, max) {
+        let axis = `<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" stroke="${this.gridColor}"/>`;
+        ticks.forEach(tick => {
+            const x = xScale(tick).toFixed(2);
+            const label = xType === 'date' ? this.formatDate(tick, max - min) : this.formatNumber(tick);
+            axis += `<line x1="${x}" y1="${plot.bottom}" x2="${x}" y2="${plot.bottom + 5}" stroke="${this.gridColor}"/>` +
+                `<text x="${x}" y="${plot.bottom + 20}" text-anchor="middle" fill="${this.textColor}" font-size="11">${this.escapeXml(label)}</text>`;
+        });
+        return axis;
+    }
+
+    /**
+     * Render an x axis of category labels, thinning and rotating them when crowded
+     */
+    renderCategoryAxis(positions, plot) {
+        let axis = `<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" stroke="${this.gridColor}"/>`;
+        const every = Math.max(1, Math.ceil(positions.length / 20));
+        const rotate = positions.length > 8;
+
+        positions.forEach((position, index) => {
+            if (index % every !== 0) return;
+            const x = position.x.toFixed(2);
+            const y = plot.bottom + 16;
+            const label = this.escapeXml(this.truncate(position.label, 14));
+            axis += rotate
+                ? `<text x="${x}" y="${y}" text-anchor="end" transform="rotate(-40 ${x} ${y})" fill="${this.textColor}" font-size="11">${label}</text>`
+                : `<text x="${x}" y="${y}" text-anchor="middle" fill="${this.textColor}" font-size="11">${label}</text>`;
+        });
+        return axis;
+    }
+
+    /**
+     * Render a horizontal legend above the plot
+     */
+    renderLegend(seriesKeys) {
+        if (seriesKeys.length < 2) {
+            return '';
+        }
+
+        let x = 70;
+        return seriesKeys.map((key, index) => {
+            const label = this.escapeXml(this.truncate(key, 24));
+            const item = `<rect x="${x}" y="12" width="12" height="12" rx="2" fill="${this.getColor(index)}"/>` +
+                `<text x="${x + 18}" y="22" fill="${this.textColor}" font-size="12">${label}</text>`;
+            x += 30 + Math.min(key.length, 24) * 7;
+            return item;
+        }).join('');
+    }
+
+    /**
+     * Render a small note in the bottom-right corner
+     */
+    renderNote(text) {
+        return `<text x="${this.width - 10}" y="${this.height - 8}" text-anchor="end" fill="#9ca3af" font-size="10">${this.escapeXml(text)}</text>`;
+    }
+
+    /**
+     * Get the color for a series or slice
+     */
+    getColor(index) {
+        return this.colors[index % this.colors.length];
+    }
+
+    /**
+     * Format a number compactly for axis labels and tooltips
+     */
+    formatNumber(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1e9) return (value / 1e9).toFixed(1).replace(/\.0$/, '') + 'B';
+        if (abs >= 1e6) return (value / 1e6).toFixed(1).replace(/\.0$/, '') + 'M';
+        if (abs >= 1e4) return (value / 1e3).toFixed(1).replace(/\.0$/, '') + 'k';
+        if (Number.isInteger(value)) return String(value);
+        return String(Number(value.toFixed(2)));
+    }
+
+    /**
+     * Format a timestamp with a precision that suits the visible range
+     */
+    formatDate(timestamp, range) {
+        const iso = new Date(timestamp).toISOString();
+        const day = 24 * 60 * 60 * 1000;
+        if (range > 730 * day) return iso.slice(0, 4);
+        if (range > 60 * day) return iso.slice(0, 7);
+        if (range > 2 * day) return iso.slice(0, 10);
+        return iso.slice(5, 16).replace('T', ' ');
+    }
+
+    /**
+     * Truncate a label to a maximum length
+     */
+    truncate(text, maxLength) {
+        return text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text;
+    }
+
+    /**
+     * Escape text for use inside SVG markup
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartRenderer;
+}
@@ -0,0 +1,261 @@
+/**
+ * ChartView class to show query results as an interactive chart with export
+ */
+class ChartView {
+    constructor(records, keys, columnTypes) {
+        this.records = records;
+        this.keys = keys;
+        this.columnTypes = columnTypes;
+        this.renderer = new ChartRenderer();
+        this.config = ChartRenderer.inferDefaultConfig(keys, columnTypes) ||
+            { type: 'bar', xKey: keys[0] || null, seriesKeys: [] };
+        this.element = null;
+        this.chartContainer = null;
+    }
+
+    /**
+     * Get columns that can be plotted as series
+     */
+    getNumericKeys() {
+        return this.keys.filter(key => this.columnTypes[key] === 'number');
+    }
+
+    /**
+     * Replace the records being charted (e.g. after filtering) and redraw
+     */
+    setRecords(records) {
+        this.records = records;
+        this.renderChart();
+    }
+
+    /**
+     * Create HTML element with controls and the chart
+     */
+    createElement() {
+        const container = document.createElement('div');
+        container.className = 'chart-view';
+
+        const controls = document.createElement('div');
+        controls.className = 'chart-controls';
+
+        // Chart type selector
+        const typeSelect = this.createSelect(
+            ChartRenderer.getChartTypes(),
+            this.config.type,
+            (value) => {
+                this.config.type = value;
+                this.renderChart();
+            }
+        );
+
+        // X axis selector
+        const xOptions = [{ value: '', label: '(row number)' }].concat(
+            this.keys.map(key => ({ value: key, label: `${key} (${this.columnTypes[key]})` }))
+        );
+        const xSelect = this.createSelect(xOptions, this.config.xKey || '', (value) => {
+            this.config.xKey = value || null;
+            this.renderChart();
+        });
+
+        controls.appendChild(this.createControlGroup('Chart', typeSelect));
+        controls.appendChild(this.createControlGroup('X axis', xSelect));
+        controls.appendChild(this.createControlGroup('Series', this.createSeriesPicker()));
+
+        // Export buttons
+        const exportGroup = document.createElement('div');
+        exportGroup.className = 'chart-export';
+
+        const svgBtn = document.createElement('button');
+        svgBtn.className = 'chart-export-btn';
+        svgBtn.innerHTML = '<i class="fas fa-download"></i> SVG';
+        svgBtn.title = 'Download chart as SVG';
+        svgBtn.onclick = () => this.exportSvg();
+
+        const pngBtn = document.createElement('button');
+        pngBtn.className = 'chart-export-btn';
+        pngBtn.innerHTML = '<i class="fas fa-image"></i> PNG';
+        pngBtn.title = 'Download chart as PNG';
+        pngBtn.onclick = () => this.exportPng();
+
+        exportGroup.appendChild(svgBtn);
+        exportGroup.appendChild(pngBtn);
+        controls.appendChild(exportGroup);
+
+        this.chartContainer = document.createElement('div');
+        this.chartContainer.className = 'chart-canvas';
+
+        container.appendChild(controls);
+        container.appendChild(this.chartContainer);
+
+        this.element = container;
+        this.renderChart();
+
+        return container;
+    }
+
+    /**
+     * Create a labelled control group
+     */
+    createControlGroup(labelText, control) {
+        const group = document.createElement('div');
+        group.className = 'chart-control-group';
+
+        const label = document.createElement('span');
+        label.className = 'chart-control-label';
+        label.textContent = labelText;
+
+        group.appendChild(label);
+        group.appendChild(control);
+        return group;
+    }
+
+    /**
+     * Create a select element from options
+     */
+    createSelect(options, selectedValue, onChange) {
+        const select = document.createElement('select');
+        select.className = 'chart-select';
+
+        options.forEach(option => {
+            const optionEl = document.createElement('option');
+            optionEl.value = option.value;
+            optionEl.textContent = option.label;
+            optionEl.selected = option.value === selectedValue;
+            select.appendChild(optionEl);
+        });
+
+        select.onchange = () => onChange(select.value);
+        return select;
+    }
+
+    /**
+     * Create checkboxes for choosing which numeric columns are plotted
+     */
+    createSeriesPicker() {
+        const picker = document.createElement('div');
+        picker.className = 'chart-series-picker';
+
+        const numericKeys = this.getNumericKeys();
+        if (numericKeys.length === 0) {
+            picker.textContent = 'No numeric columns';
+            return picker;
+        }
+
+        numericKeys.forEach(key => {
+            const label = document.createElement('label');
+            label.className = 'chart-series-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.config.seriesKeys.includes(key);
+            checkbox.onchange = () => {
+                if (checkbox.checked) {
+                    // Keep series in column order
+                    this.config.seriesKeys = numericKeys.filter(k => k === key || this.config.seriesKeys.includes(k));
+                } else {
+                    this.config.seriesKeys = this.config.seriesKeys.filter(k => k !== key);
+                }
+                this.renderChart();
+            };
+
+            const text = document.createElement('span');
+            text.textContent = key;
+
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            picker.appendChild(label);
+        });
+
+        return picker;
+    }
+
+    /**
+     * Draw the chart for the current records and config
+     */
+    renderChart() {
+        if (!this.chartContainer) return;
+        this.chartContainer.innerHTML = this.getSvgMarkup();
+    }
+
+    /**
+     * Get SVG markup for the current chart
+     */
+    getSvgMarkup() {
+        return this.renderer.render(this.records, this.config, this.columnTypes);
+    }
+
+    /**
+     * Build a file name for exported charts
+     */
+    getFileName(extension) {
+        return `chart_${this.config.type}_${new Date().toISOString().split('T')[0]}.${extension}`;
+    }
+
+    /**
+     * Trigger a download for a blob
+     */
+    downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', fileName);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Download the chart as an SVG file
+     */
+    exportSvg() {
+        try {
+            const blob = new Blob([this.getSvgMarkup()], { type: 'image/svg+xml;charset=utf-8' });
+            this.downloadBlob(blob, this.getFileName('svg'));
+        } catch (error) {
+            console.error('Error exporting SVG:', error);
+            alert('Error exporting chart: ' + error.message);
+        }
+    }
+
+    /**
+     * Download the chart as a PNG by drawing the SVG onto a canvas
+     */
+    exportPng() {
+        const svgBlob = new Blob([this.getSvgMarkup()], { type: 'image/svg+xml;charset=utf-8' });
+        const url = URL.createObjectURL(svgBlob);
+        const image = new Image();
+        const scale = window.devicePixelRatio > 1 ? 2 : 1;
+
+        image.onload = () => {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = this.renderer.width * scale;
+                canvas.height = this.renderer.height * scale;
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0);
+                URL.revokeObjectURL(url);
+
+                canvas.toBlob((blob) => {
+                    if (blob) {
+                        this.downloadBlob(blob, this.getFileName('png'));
+                    } else {
+                        alert('Error exporting chart: could not create PNG');
+                    }
+                }, 'image/png');
+            } catch (error) {
+                console.error('Error exporting PNG:', error);
+                alert('Error exporting chart: ' + error.message);
+            }
+        };
+
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert('Error exporting chart: could not render SVG');
+        };
+
+        image.src = url;
+    }
+}
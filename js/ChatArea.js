@@ -12,6 +12,10 @@ class ChatArea {
     this.toolCallMessages = []; // Store assistant-tool-call messages
     this.currentToolCalls = null; // Store current SSE toolcalls
     this.eventsSetup = false; // Flag to prevent duplicate event listener setup
+    this.streamingMessage = null; // Assistant answer currently streaming in
+    this.approvalDialog = null; // Open confirmation for a job paused on write statements
+    this.renderedMessages = new Map(); // message id -> Message shown in the chat
+    this.pendingFocus = null; // Search result to scroll to once its chat has loaded
 
     this.init();
   }
@@ -49,6 +53,31 @@ class ChatArea {
     window.addEventListener("messageDeleted", (e) => {
       this.handleMessageDelete(e.detail.message);
     });
+
+    // Open the SQL editor from a message or query step
+    window.addEventListener("sqlEditRequested", (e) => {
+      this.openSqlEditor(e.detail.sql);
+    });
+
+    window.addEventListener("messageBranchRequested", (e) => {
+      this.branchFromMessage(e.detail.message, e.detail.content);
+    });
+
+    window.addEventListener("messageRegenerateRequested", (e) => {
+      this.regenerateMessage(e.detail.message);
+    });
+
+    window.addEventListener("messageVersionSelected", (e) => {
+      this.chatManager.selectMessageVersion(this.chatManager.currentChatId, e.detail.message);
+    });
+
+    // Scroll to a search result, now or once its chat has loaded
+    window.addEventListener("messageFocusRequested", (e) => {
+      this.pendingFocus = e.detail;
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        this.focusPendingMessage(e.detail.chatId);
+      }
+    });
   }
 
   setupChatEvents() {
@@ -68,6 +97,20 @@ class ChatArea {
     window.addEventListener("messageAdded", (e) => {
       if (e.detail.chatId === this.chatManager.currentChatId) {
         this.addMessageToUI(e.detail.message);
+        this.applyBranches();
+      }
+    });
+
+    // Show the imported copy if the open chat was overwritten
+    window.addEventListener("chatsImported", async (e) => {
+      if (e.detail.chatIds.includes(this.chatManager.currentChatId)) {
+        await this.loadChat(this.chatManager.currentChatId);
+      }
+    });
+
+    window.addEventListener("chatBranchesChanged", (e) => {
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        this.applyBranches();
       }
     });
 
@@ -100,12 +143,81 @@ class ChatArea {
     window.addEventListener("aiResponseError", (e) => {
       if (e.detail.chatId === this.chatManager.currentChatId) {
         console.error("AI response error:", e.detail.error);
+        this.discardStreamingMessage();
         // Hide progress indicator and show error
         this.hideProgressIndicator();
         this.showErrorMessage(e.detail.error || "Failed to get AI response");
       }
     });
 
+    window.addEventListener("aiJobCancelled", (e) => {
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        console.log("AI job cancelled:", e.detail.jobId);
+        this.discardStreamingMessage();
+        this.hideProgressIndicator();
+      }
+    });
+
+    // Render streamed answer text as it arrives
+    window.addEventListener("aiResponseDelta", (e) => {
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        this.updateStreamingMessage(e.detail.jobId, e.detail.content);
+      }
+    });
+
+    window.addEventListener("aiJobReconnecting", (e) => {
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        this.stopProgressSimulation();
+        this.setProgressReconnecting(true);
+
+        const status = e.detail.polling
+          ? "Connection lost, checking job status..."
+          : `Reconnecting... (attempt ${e.detail.attempt} of ${e.detail.maxAttempts})`;
+        this.updateProgressIndicator(null, status);
+      }
+    });
+
+    window.addEventListener("aiJobReconnected", (e) => {
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        this.setProgressReconnecting(false);
+        this.updateProgressIndicator(null, "Reconnected, still working...");
+      }
+    });
+
+    // Show a regenerated answer in place of the one it replaces
+    window.addEventListener("messageVersionAdded", (e) => {
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        this.discardStreamingMessage();
+
+        const message = this.renderedMessages.get(e.detail.messageId);
+        if (message) {
+          message.setVersions(e.detail.versions, e.detail.selected);
+          const element = document.querySelector(`[data-message-id="${message.id}"]`);
+          if (element) {
+            element.replaceWith(message.createElement());
+          }
+        }
+      }
+    });
+
+    // A read-only connection paused the job before it modifies data
+    window.addEventListener("aiApprovalRequired", (e) => {
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        this.showApprovalDialog(e.detail.chatId, e.detail.approval);
+      }
+    });
+
+    window.addEventListener("aiApprovalResolved", (e) => {
+      if (e.detail.chatId === this.chatManager.currentChatId) {
+        this.closeApprovalDialog();
+        this.setProgressAwaitingApproval(false);
+        this.updateProgressIndicator(
+          null,
+          e.detail.approved ? "Running approved statements..." : "Continuing without the changes..."
+        );
+      }
+    });
+
     // Listen for progress updates
     window.addEventListener("aiProgressUpdate", (e) => {
       if (e.detail.chatId === this.chatManager.currentChatId) {
@@ -113,6 +225,7 @@ class ChatArea {
 
         // Stop simulation since we're getting real progress updates
         this.stopProgressSimulation();
+        this.setProgressReconnecting(false);
 
         // Update status text if provided (regardless of progress value)
         if (e.detail.status) {
@@ -236,8 +349,231 @@ class ChatArea {
     }
   }
 
+  /**
+   * Send an edited question as a new branch of the conversation
+   */
+  async branchFromMessage(message, content) {
+    const chatId = this.chatManager.currentChatId;
+    if (!chatId) return;
+
+    const orderedIds = Array.from(
+      this.chatMessages.querySelectorAll(".message[data-message-id]"),
+      (element) => element.dataset.messageId
+    );
+
+    this.setInputDisabled(true);
+
+    try {
+      const result = await this.chatManager.editAndBranch(chatId, message.id, content, orderedIds);
+
+      if (result.success) {
+        console.log("Edited question sent as a new branch, job ID:", result.jobId);
+        setTimeout(() => {
+          this.showProgressIndicator();
+          setTimeout(() => {
+            this.startProgressSimulation();
+          }, 1000);
+        }, 100);
+      } else {
+        this.hideProgressIndicator();
+        this.showErrorMessage(result.error || "Failed to send the edited question.");
+      }
+    } finally {
+      this.setInputDisabled(false);
+    }
+  }
+
+  /**
+   * Hide messages of branches that aren't selected and show branch navigation
+   * on the first question of each selected branch
+   */
+  applyBranches() {
+    const chatId = this.chatManager.currentChatId;
+    if (!chatId) return;
+
+    const { hidden, anchors } = this.chatManager.getBranchView(chatId);
+
+    this.chatMessages.querySelectorAll(".message[data-message-id]").forEach((element) => {
+      const messageId = element.dataset.messageId;
+      element.classList.toggle("branch-hidden", hidden.has(messageId));
+
+      const existingNav = element.querySelector(".message-branches");
+      if (existingNav) {
+        existingNav.remove();
+      }
+
+      const anchor = anchors.get(messageId);
+      if (anchor) {
+        element.querySelector(".message-content").appendChild(this.createBranchNavigation(chatId, anchor));
+      }
+    });
+  }
+
+  /**
+   * Create the "2/3" control for switching between branches of an edited question
+   */
+  createBranchNavigation(chatId, anchor) {
+    const nav = document.createElement("div");
+    nav.className = "message-versions message-branches";
+
+    const switchTo = (index) => {
+      const result = this.chatManager.selectBranch(chatId, anchor.branchId, index);
+      if (!result.success) {
+        this.showErrorMessage(result.error);
+      }
+    };
+
+    const prevBtn = document.createElement("button");
+    prevBtn.className = "message-version-btn";
+    prevBtn.title = "Previous branch";
+    prevBtn.innerHTML = '<i class="fas fa-chevron-left"></i>';
+    prevBtn.disabled = anchor.index === 0;
+    prevBtn.onclick = () => switchTo(anchor.index - 1);
+
+    const label = document.createElement("span");
+    label.className = "message-version-label";
+    label.textContent = `${anchor.index + 1}/${anchor.count}`;
+
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "message-version-btn";
+    nextBtn.title = "Next branch";
+    nextBtn.innerHTML = '<i class="fas fa-chevron-right"></i>';
+    nextBtn.disabled = anchor.index === anchor.count - 1;
+    nextBtn.onclick = () => switchTo(anchor.index + 1);
+
+    nav.appendChild(prevBtn);
+    nav.appendChild(label);
+    nav.appendChild(nextBtn);
+    return nav;
+  }
+
+  /**
+   * Ask the question behind an answer again
+   */
+  async regenerateMessage(message) {
+    const chatId = this.chatManager.currentChatId;
+    const query = this.findPrecedingUserQuery(message);
+    if (!chatId || !query) {
+      this.showErrorMessage("Couldn't find the question this answer belongs to.");
+      return;
+    }
+
+    const result = await this.chatManager.regenerateAnswer(chatId, message, query);
+
+    if (result.success) {
+      console.log("Regenerating answer, job ID:", result.jobId);
+      this.showProgressIndicator();
+      this.updateProgressIndicator(null, "Regenerating answer...");
+    } else {
+      console.error("Failed to regenerate answer:", result.error);
+      this.showErrorMessage(result.error || "Failed to regenerate the answer.");
+    }
+  }
+
+  /**
+   * Scroll to and highlight the requested search result if it belongs to this chat
+   */
+  async focusPendingMessage(chatId) {
+    const target = this.pendingFocus;
+    if (!target || target.chatId !== chatId) return;
+    this.pendingFocus = null;
+
+    const chat = this.chatManager.getChat(chatId);
+    const conversationId = chat.serverId || chat.id;
+    const findElement = () =>
+      this.chatMessages.querySelector(`.message[data-message-id="${target.messageId}"]`);
+
+    // Page in older messages the same way scrolling to the top does
+    let element = findElement();
+    while (!element && this.chatManager.canLoadOlderMessages(conversationId)) {
+      const result = await this.chatManager.loadOlderMessages(conversationId);
+      if (!result.success || this.chatManager.currentChatId !== chatId) return;
+      element = findElement();
+    }
+
+    if (!element) {
+      console.log("Search result is not in the loaded conversation:", target.messageId);
+      this.showErrorMessage("Couldn't find that message in this conversation.");
+      return;
+    }
+
+    // A message on another branch is shown by switching to that branch
+    if (element.classList.contains("branch-hidden")) {
+      (chat.branches || []).forEach((branch) => {
+        const index = branch.alternatives.findIndex((alternative) =>
+          alternative.messageIds.includes(target.messageId)
+        );
+        if (index !== -1 && index !== branch.selected) {
+          this.chatManager.selectBranch(chatId, branch.id, index);
+        }
+      });
+    }
+
+    // Runs after the scrollToBottom() queued by loadChat
+    setTimeout(() => {
+      element.scrollIntoView({ behavior: "smooth", block: "center" });
+      element.classList.remove("search-highlight");
+      void element.offsetWidth; // Restart the animation when the same result is opened twice
+      element.classList.add("search-highlight");
+      setTimeout(() => {
+        element.classList.remove("search-highlight");
+      }, API_CONFIG.DEFAULTS.SEARCH_HIGHLIGHT_DURATION);
+    }, 100);
+  }
+
+  /**
+   * Find the content of the closest user message above an answer
+   */
+  findPrecedingUserQuery(message) {
+    let element = document.querySelector(`[data-message-id="${message.id}"]`);
+
+    while (element && (element = element.previousElementSibling)) {
+      if (element.classList.contains("message") && element.classList.contains("user")) {
+        const userMessage = this.renderedMessages.get(element.dataset.messageId);
+        return userMessage ? userMessage.content : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create the element for a message, applying stored versions and remembering it
+   */
+  createMessageElement(message) {
+    this.chatManager.applyMessageVersions(message);
+    this.renderedMessages.set(message.id, message);
+    return message.createElement();
+  }
+
+  /**
+   * Open the SQL editor and run the edited query in the current chat
+   */
+  openSqlEditor(sql) {
+    const editor = new SqlEditor(sql, async (editedSql, options) => {
+      const chatId = this.chatManager.currentChatId;
+      if (!chatId) {
+        return { success: false, error: "Open a chat to run SQL" };
+      }
+
+      const result = await this.chatManager.runSql(chatId, editedSql, options);
+
+      if (result.success) {
+        console.log("SQL queued for execution, job ID:", result.jobId);
+        setTimeout(() => {
+          this.showProgressIndicator();
+          this.updateProgressIndicator(null, "Running query...");
+        }, 100);
+      }
+
+      return result;
+    });
+
+    editor.open();
+  }
+
   async loadChat(chatId) {
     this.clearMessages();
+    this.closeApprovalDialog();
 
     if (!chatId) {
       this.showWelcomeMessage();
@@ -276,6 +612,9 @@ class ChatArea {
           });
 
           this.scrollToBottom();
+          this.applyBranches();
+          this.restorePendingProgress(chatId);
+          this.focusPendingMessage(chatId);
           return; // Exit early to avoid duplicate API call
         }
 
@@ -335,6 +674,72 @@ class ChatArea {
           this.showWelcomeMessage();
         }
       }
+
+      this.applyBranches();
+      this.restorePendingProgress(chatId);
+      this.focusPendingMessage(chatId);
+    }
+  }
+
+  /**
+   * Show the progress indicator again if the chat still has an AI job running
+   */
+  restorePendingProgress(chatId) {
+    if (chatId !== this.chatManager.currentChatId) {
+      return;
+    }
+
+    const pendingJob = this.chatManager.getPendingJob(chatId);
+    if (pendingJob) {
+      console.log("Restoring progress indicator for pending job:", pendingJob.jobId);
+      const welcomeMessage = this.chatMessages.querySelector(".welcome-message");
+      if (welcomeMessage) {
+        welcomeMessage.remove();
+      }
+      this.showProgressIndicator();
+      this.updateProgressIndicator(null, "Still working on your request...");
+
+      const streaming = this.chatManager.getStreamingAnswer(chatId);
+      if (streaming) {
+        this.updateStreamingMessage(streaming.jobId, streaming.content);
+      }
+
+      const approval = this.chatManager.getPendingApproval(chatId);
+      if (approval) {
+        this.showApprovalDialog(chatId, approval);
+      }
+    }
+  }
+
+  /**
+   * Ask the user to approve or reject the write statements of a paused job
+   */
+  showApprovalDialog(chatId, approval) {
+    this.closeApprovalDialog();
+    this.stopProgressSimulation();
+    this.setProgressAwaitingApproval(true);
+    this.updateProgressIndicator(null, "Waiting for your approval...");
+
+    this.approvalDialog = new ApprovalDialog(approval, (approved) =>
+      this.chatManager.respondToApproval(chatId, approved)
+    );
+    this.approvalDialog.open();
+  }
+
+  closeApprovalDialog() {
+    if (this.approvalDialog) {
+      this.approvalDialog.close();
+      this.approvalDialog = null;
+    }
+  }
+
+  /**
+   * Show the review button on the progress indicator while a job waits for approval
+   */
+  setProgressAwaitingApproval(isWaiting) {
+    const reviewBtn = document.getElementById("progressReviewBtn");
+    if (reviewBtn) {
+      reviewBtn.style.display = isWaiting ? "inline-flex" : "none";
     }
   }
 
@@ -346,11 +751,108 @@ class ChatArea {
       return;
     }
     
-    const messageElement = message.createElement();
+    const messageElement = this.createMessageElement(message);
+
+    // The final answer takes the place of its streamed preview
+    if (this.streamingMessage && message.role !== "user") {
+      const wasNearBottom = this.isNearBottom();
+      this.streamingMessage.element.replaceWith(messageElement);
+      this.clearStreamingMessage();
+      if (wasNearBottom) {
+        this.scrollToBottom();
+      }
+      return;
+    }
+
     this.chatMessages.appendChild(messageElement);
     this.scrollToBottom();
   }
 
+  /**
+   * Show or update the assistant answer that is streaming in
+   * Markdown is re-rendered at most every STREAM_RENDER_INTERVAL ms
+   */
+  updateStreamingMessage(jobId, content) {
+    if (!this.streamingMessage || this.streamingMessage.jobId !== jobId) {
+      this.discardStreamingMessage();
+
+      const message = new Message(`streaming_${jobId}`, "", "assistant");
+      const element = message.createElement();
+      element.classList.add("streaming");
+
+      // Keep the progress indicator (and its Stop button) below the answer
+      const progressIndicator = document.getElementById("progressIndicator");
+      if (progressIndicator) {
+        this.chatMessages.insertBefore(element, progressIndicator);
+        this.updateProgressIndicator(null, "Writing answer...");
+      } else {
+        this.chatMessages.appendChild(element);
+      }
+
+      this.streamingMessage = {
+        jobId: jobId,
+        message: message,
+        element: element,
+        textElement: element.querySelector(".message-text"),
+        content: "",
+        renderTimeout: null,
+      };
+    }
+
+    this.streamingMessage.content = content;
+
+    if (!this.streamingMessage.renderTimeout) {
+      this.streamingMessage.renderTimeout = setTimeout(() => {
+        this.renderStreamingMessage();
+      }, API_CONFIG.DEFAULTS.STREAM_RENDER_INTERVAL);
+    }
+  }
+
+  /**
+   * Re-render the streaming answer's markdown
+   */
+  renderStreamingMessage() {
+    const streaming = this.streamingMessage;
+    if (!streaming) return;
+
+    streaming.renderTimeout = null;
+
+    // Only follow the new text if the user hasn't scrolled up to read
+    const wasNearBottom = this.isNearBottom();
+    streaming.textElement.innerHTML = streaming.message.formatContent(streaming.content);
+    if (wasNearBottom) {
+      this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+  }
+
+  /**
+   * Forget the streaming answer without touching the DOM
+   */
+  clearStreamingMessage() {
+    if (this.streamingMessage && this.streamingMessage.renderTimeout) {
+      clearTimeout(this.streamingMessage.renderTimeout);
+    }
+    this.streamingMessage = null;
+  }
+
+  /**
+   * Remove the streaming answer from the UI (e.g. on error or cancel)
+   */
+  discardStreamingMessage() {
+    if (this.streamingMessage) {
+      this.streamingMessage.element.remove();
+      this.clearStreamingMessage();
+    }
+  }
+
+  /**
+   * Check if the message list is scrolled to (or near) the bottom
+   */
+  isNearBottom() {
+    const { scrollTop, scrollHeight, clientHeight } = this.chatMessages;
+    return scrollHeight - scrollTop - clientHeight < API_CONFIG.DEFAULTS.AUTO_SCROLL_THRESHOLD;
+  }
+
   /**
    * Add message to UI from server data (different format)
    */
@@ -374,15 +876,16 @@ class ChatArea {
 
     // Create a Message object from server data
     const message = new Message(
-      messageData.id,
+      messageId,
       messageData.content,
       messageData.role,
       messageData.createdAt,
       messageData.dbData,
-      messageData.mongoId // Use MongoDB document ID for API calls
+      messageData.mongoId, // Use MongoDB document ID for API calls
+      messageData.toolCalls
     );
 
-    const messageElement = message.createElement();
+    const messageElement = this.createMessageElement(message);
     this.chatMessages.appendChild(messageElement);
     this.scrollToBottom();
   }
@@ -435,15 +938,16 @@ class ChatArea {
 
     // Create a Message object from server data
     const message = new Message(
-      messageData.id,
+      messageId,
       messageData.content,
       messageData.role,
       messageData.createdAt,
       messageData.dbData,
-      messageData.mongoId // Use MongoDB document ID for API calls
+      messageData.mongoId, // Use MongoDB document ID for API calls
+      messageData.toolCalls
     );
 
-    const messageElement = message.createElement();
+    const messageElement = this.createMessageElement(message);
     this.chatMessages.insertBefore(
       messageElement,
       this.chatMessages.firstChild
@@ -496,8 +1000,10 @@ class ChatArea {
   }
 
   clearMessages() {
+    this.clearStreamingMessage();
     this.chatMessages.innerHTML = "";
     this.isShowingProgress = false;
+    this.renderedMessages.clear();
     this.toolCallMessages = []; // Clear stored tool call messages
     this.currentToolCalls = null; // Clear current tool calls
   }
@@ -553,20 +1059,63 @@ class ChatArea {
                             <i class="fas fa-cog"></i>
                         </div>
                         <span id="progressStatusText">Getting your data...</span>
+                        <button class="progress-stop-btn progress-review-btn" id="progressReviewBtn" title="Review the statements waiting for approval" style="display: none;">
+                            <i class="fas fa-clipboard-check"></i> Review
+                        </button>
+                        <button class="progress-stop-btn" id="progressStopBtn" title="Stop this query">
+                            <i class="fas fa-stop"></i> Stop
+                        </button>
                     </div>
                 </div>
             </div>
         `;
 
+    const stopBtn = progressDiv.querySelector("#progressStopBtn");
+    stopBtn.addEventListener("click", () => {
+      this.cancelCurrentJob(stopBtn);
+    });
+
+    progressDiv.querySelector("#progressReviewBtn").addEventListener("click", () => {
+      const chatId = this.chatManager.currentChatId;
+      const approval = this.chatManager.getPendingApproval(chatId);
+      if (approval) {
+        this.showApprovalDialog(chatId, approval);
+      }
+    });
+
     this.chatMessages.appendChild(progressDiv);
     this.scrollToBottom();
     this.isShowingProgress = true;
   }
 
+  /**
+   * Cancel the running AI job for the current chat
+   */
+  async cancelCurrentJob(stopBtn) {
+    const chatId = this.chatManager.currentChatId;
+    if (!chatId) return;
+
+    stopBtn.disabled = true;
+    stopBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Stopping...';
+
+    const result = await this.chatManager.cancelJob(chatId);
+
+    if (!result.success) {
+      console.error("Failed to cancel query:", result.error);
+      stopBtn.disabled = false;
+      stopBtn.innerHTML = '<i class="fas fa-stop"></i> Stop';
+      this.showErrorMessage(`Could not cancel the query: ${result.error}`);
+    }
+    // On success the aiJobCancelled event hides the indicator
+  }
+
   hideProgressIndicator() {
     // Stop progress simulation
     this.stopProgressSimulation();
 
+    // The job is over, so there is nothing left to approve
+    this.closeApprovalDialog();
+
     const progressIndicator = document.getElementById("progressIndicator");
     if (progressIndicator) {
       progressIndicator.remove();
@@ -574,6 +1123,16 @@ class ChatArea {
     this.isShowingProgress = false;
   }
 
+  /**
+   * Toggle the reconnecting look of the progress indicator
+   */
+  setProgressReconnecting(isReconnecting) {
+    const progressIndicator = document.getElementById("progressIndicator");
+    if (progressIndicator) {
+      progressIndicator.classList.toggle("reconnecting", isReconnecting);
+    }
+  }
+
   updateProgressIndicator(progress, status) {
     const progressStatusText = document.getElementById("progressStatusText");
 
@@ -678,7 +1237,7 @@ class ChatArea {
       this.chatInput.placeholder = message || "AI is thinking...";
       this.sendBtn.style.opacity = "0.5";
     } else {
-      this.chatInput.placeholder = "Ask anything about your data";
+      this.chatInput.placeholder = "Ask anything about your data (type @ to mention a table)";
       this.sendBtn.style.opacity = "1";
     }
   }
@@ -0,0 +1,366 @@
+/**
+ * ChatAutocomplete class to suggest table and column names while typing in the chat input.
+ * Typing "@" opens suggestions with fuzzy matching; plain words only suggest on a name prefix
+ * and are accepted with Tab, so Enter still sends the message.
+ * "table.prefix" narrows the suggestions to the columns of that table.
+ */
+class ChatAutocomplete {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+        this.schemaService = new SchemaService();
+        this.chatInput = document.getElementById('chatInput');
+        this.wrapper = this.chatInput.parentNode;
+        this.popup = null;
+
+        this.entries = []; // Searchable tables and columns of the loaded schema
+        this.loadedProfileId = undefined;
+        this.schemaRequest = null;
+        this.suggestions = [];
+        this.selectedIndex = 0;
+        this.token = null; // { start, end } of the text being completed
+        this.engaged = false; // User moved through the list, so Enter picks instead of sending
+
+        this.init();
+    }
+
+    init() {
+        this.createElement();
+        this.setupEventListeners();
+    }
+
+    createElement() {
+        this.popup = document.createElement('ul');
+        this.popup.className = 'autocomplete-popup';
+        this.popup.id = 'autocompletePopup';
+        this.popup.setAttribute('role', 'listbox');
+        this.popup.style.display = 'none';
+        this.wrapper.appendChild(this.popup);
+
+        this.chatInput.setAttribute('aria-autocomplete', 'list');
+        this.chatInput.setAttribute('aria-controls', this.popup.id);
+        this.chatInput.setAttribute('aria-expanded', 'false');
+    }
+
+    setupEventListeners() {
+        // Capture on the wrapper so Enter is handled here before ChatArea sends the message
+        this.wrapper.addEventListener('keydown', (e) => {
+            if (e.target === this.chatInput && this.isOpen()) {
+                this.handleKeydown(e);
+            }
+        }, true);
+
+        this.chatInput.addEventListener('input', () => {
+            this.update();
+        });
+
+        // Caret moves change the word being completed
+        this.chatInput.addEventListener('click', () => {
+            this.update();
+        });
+        this.chatInput.addEventListener('keyup', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') {
+                this.update();
+            }
+        });
+
+        this.chatInput.addEventListener('focus', () => {
+            this.ensureSchema();
+        });
+
+        this.chatInput.addEventListener('blur', () => {
+            this.close();
+        });
+
+        // Keep focus in the input when picking with the mouse
+        this.popup.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('.autocomplete-item');
+            if (item) {
+                this.accept(parseInt(item.dataset.index, 10));
+            }
+        });
+
+        ['currentChatChanged', 'dbProfileChanged', 'dbProfilesLoaded'].forEach(eventName => {
+            window.addEventListener(eventName, () => {
+                this.close();
+                this.ensureSchema();
+            });
+        });
+
+        // Reuse schemas loaded or refreshed by the schema browser
+        window.addEventListener('schemaLoaded', (e) => {
+            if (e.detail.profileId === this.getProfileId()) {
+                this.setSchema(e.detail.profileId, e.detail.schema);
+            }
+        });
+    }
+
+    getProfileId() {
+        return this.chatManager.getChatDbProfileId(this.chatManager.currentChatId) || null;
+    }
+
+    /**
+     * Load the schema of the current chat's profile, from cache when possible
+     */
+    async ensureSchema() {
+        const profileId = this.getProfileId();
+        if (profileId === this.loadedProfileId) return;
+
+        const request = {};
+        this.schemaRequest = request;
+
+        const result = await this.schemaService.getSchema(profileId);
+        if (this.schemaRequest !== request) return;
+
+        if (result.success) {
+            this.setSchema(profileId, result.schema);
+        } else {
+            console.error('Autocomplete could not load schema:', result.error);
+        }
+    }
+
+    /**
+     * Index the tables and columns of a schema for matching
+     */
+    setSchema(profileId, schema) {
+        this.loadedProfileId = profileId;
+        this.entries = [];
+
+        schema.schemas.forEach(s => {
+            s.tables.forEach(table => {
+                this.entries.push({
+                    kind: 'table',
+                    name: table.name,
+                    table: table.name,
+                    detail: table.type === 'view' ? `view in ${s.name}` : `table in ${s.name}`,
+                    insertText: SchemaService.qualifiedName(s.name, table.name)
+                });
+
+                table.columns.forEach(column => {
+                    this.entries.push({
+                        kind: 'column',
+                        name: column.name,
+                        table: table.name,
+                        detail: `${table.name} · ${column.type}`,
+                        insertText: SchemaService.qualifiedName(s.name, table.name, column.name)
+                    });
+                });
+            });
+        });
+
+        console.log(`Autocomplete indexed ${this.entries.length} tables and columns`);
+    }
+
+    /**
+     * Score how well a query matches a name as an in-order subsequence
+     * @returns {number|null} Higher is better, null when it doesn't match
+     */
+    static fuzzyScore(query, name) {
+        const q = query.toLowerCase();
+        const text = name.toLowerCase();
+        if (!q) return 0;
+
+        if (text === q) return 1000;
+        if (text.startsWith(q)) return 800 - text.length;
+
+        const substringIndex = text.indexOf(q);
+        if (substringIndex > 0) {
+            const atBoundary = /[_$.\s]/.test(text[substringIndex - 1]);
+            return (atBoundary ? 600 : 400) - text.length;
+        }
+
+        // Subsequence: reward consecutive characters and matches at word boundaries
+        let score = 0;
+        let textIndex = 0;
+        let previousMatch = -2;
+        for (const char of q) {
+            const found = text.indexOf(char, textIndex);
+            if (found === -1) return null;
+
+            score += found === previousMatch + 1 ? 10 : 1;
+            if (found === 0 || /[_$.\s]/.test(text[found - 1])) score += 8;
+
+            previousMatch = found;
+            textIndex = found + 1;
+        }
+
+        return score - text.length;
+    }
+
+    /**
+     * Find the word being typed at the caret
+     * @returns {Object|null} { start, end, explicit, table, prefix }
+     */
+    getToken() {
+        const caret = this.chatInput.selectionStart;
+        if (caret !== this.chatInput.selectionEnd) return null;
+
+        const before = this.chatInput.value.slice(0, caret);
+        const match = before.match(/(^|[^\w@$."])(@?)((?:"[^"]*"|[\w$]+)\.)?("?[\w$]*)$/);
+        if (!match) return null;
+
+        const [whole, lead, at, tablePart, prefix] = match;
+        return {
+            start: caret - whole.length + lead.length,
+            end: caret,
+            explicit: at === '@',
+            table: tablePart ? tablePart.slice(0, -1).replace(/^"|"$/g, '') : null,
+            prefix: prefix.replace(/^"/, '')
+        };
+    }
+
+    /**
+     * Recompute suggestions for the current caret position
+     */
+    update() {
+        const token = this.getToken();
+        if (!token || this.entries.length === 0) {
+            this.close();
+            return;
+        }
+
+        // Plain words only complete once they look like an identifier being typed
+        if (!token.explicit && !token.table && token.prefix.length < API_CONFIG.DEFAULTS.AUTOCOMPLETE_MIN_CHARS) {
+            this.close();
+            return;
+        }
+
+        const candidates = token.table
+            ? this.entries.filter(entry => entry.kind === 'column' && entry.table.toLowerCase() === token.table.toLowerCase())
+            : this.entries;
+
+        const fuzzy = token.explicit || !!token.table;
+        const scored = [];
+        candidates.forEach(entry => {
+            const score = fuzzy
+                ? ChatAutocomplete.fuzzyScore(token.prefix, entry.name)
+                : (entry.name.toLowerCase().startsWith(token.prefix.toLowerCase()) ? 800 - entry.name.length : null);
+            if (score !== null) {
+                scored.push({ entry, score });
+            }
+        });
+
+        scored.sort((a, b) =>
+            b.score - a.score ||
+            (a.entry.kind === b.entry.kind ? 0 : a.entry.kind === 'table' ? -1 : 1) ||
+            a.entry.name.localeCompare(b.entry.name));
+
+        // Don't offer what has already been typed out in full
+        const suggestions = scored.slice(0, API_CONFIG.DEFAULTS.AUTOCOMPLETE_MAX_SUGGESTIONS).map(item => item.entry);
+        if (suggestions.length === 0 ||
+            (!token.explicit && suggestions.length === 1 && suggestions[0].name === token.prefix)) {
+            this.close();
+            return;
+        }
+
+        this.token = token;
+        this.suggestions = suggestions;
+        this.selectedIndex = 0;
+        this.engaged = false;
+        this.render();
+    }
+
+    render() {
+        this.popup.innerHTML = '';
+
+        this.suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.className = `autocomplete-item${index === this.selectedIndex ? ' selected' : ''}`;
+            item.id = `autocompleteItem${index}`;
+            item.dataset.index = index;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(index === this.selectedIndex));
+
+            const icon = document.createElement('i');
+            icon.className = suggestion.kind === 'table' ? 'fas fa-table' : 'fas fa-columns';
+
+            const name = document.createElement('span');
+            name.className = 'autocomplete-name';
+            name.textContent = suggestion.insertText;
+
+            const detail = document.createElement('span');
+            detail.className = 'autocomplete-detail';
+            detail.textContent = suggestion.detail;
+
+            item.appendChild(icon);
+            item.appendChild(name);
+            item.appendChild(detail);
+            this.popup.appendChild(item);
+        });
+
+        this.popup.style.display = 'block';
+        this.chatInput.setAttribute('aria-expanded', 'true');
+        this.chatInput.setAttribute('aria-activedescendant', `autocompleteItem${this.selectedIndex}`);
+
+        const selected = this.popup.children[this.selectedIndex];
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                this.selectedIndex = (this.selectedIndex + 1) % this.suggestions.length;
+                this.engaged = true;
+                this.render();
+                break;
+            case 'ArrowUp':
+                this.selectedIndex = (this.selectedIndex - 1 + this.suggestions.length) % this.suggestions.length;
+                this.engaged = true;
+                this.render();
+                break;
+            case 'Enter':
+                if (e.shiftKey) return;
+                if (!this.token.explicit && !this.engaged) {
+                    // Word-match suggestions are passive, let the message send
+                    this.close();
+                    return;
+                }
+                this.accept(this.selectedIndex);
+                break;
+            case 'Tab':
+                if (e.shiftKey) return;
+                this.accept(this.selectedIndex);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Replace the typed word with the chosen identifier
+     */
+    accept(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion || !this.token) return;
+
+        const value = this.chatInput.value;
+        const after = value.slice(this.token.end);
+        const insertion = suggestion.insertText + (/^\s/.test(after) ? '' : ' ');
+
+        this.chatInput.value = value.slice(0, this.token.start) + insertion + after;
+        const caret = this.token.start + insertion.length;
+        this.chatInput.setSelectionRange(caret, caret);
+        this.close();
+
+        // Let ChatArea resize the textarea
+        this.chatInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    isOpen() {
+        return this.popup.style.display !== 'none';
+    }
+
+    close() {
+        this.popup.style.display = 'none';
+        this.suggestions = [];
+        this.token = null;
+        this.chatInput.setAttribute('aria-expanded', 'false');
+        this.chatInput.removeAttribute('aria-activedescendant');
+    }
+}
@@ -0,0 +1,411 @@
+/**
+ * ChatExporter class to export conversations with their full server history
+ * as Markdown, standalone HTML or a versioned JSON bundle
+ */
+class ChatExporter {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+        this.apiService = new ApiService();
+        this.markdownRenderer = new MarkdownRenderer();
+        this.highlighter = new SqlHighlighter();
+    }
+
+    /**
+     * Collect every message of a chat, paging through the server history when the chat is synced
+     * @param {Object} chat - Chat from ChatManager
+     * @param {Function} onProgress - Optional (text) => void
+     * @returns {Promise<Object>} { success, messages } or { success: false, error }
+     */
+    async fetchHistory(chat, onProgress = () => {}) {
+        if (!chat.serverId || chat.isLocal) {
+            const messages = chat.messages.map(msg => (typeof msg.toJSON === 'function' ? msg.toJSON() : { ...msg }));
+            return { success: true, messages };
+        }
+
+        const rawMessages = [];
+        let skipValue = 0;
+
+        while (true) {
+            onProgress(`Loading messages (${rawMessages.length} so far)...`);
+            const response = await this.apiService.getChats(chat.serverId, skipValue);
+
+            if (!response.success) {
+                return { success: false, error: response.error || 'Failed to load conversation history' };
+            }
+
+            // Same nested shapes as ChatManager.loadConversations()
+            const data = response.data;
+            let page = [];
+            if (Array.isArray(data)) {
+                page = data;
+            } else if (data && Array.isArray(data.data)) {
+                page = data.data;
+            } else if (data && Array.isArray(data.messages)) {
+                page = data.messages;
+            }
+
+            rawMessages.push(...page);
+            skipValue += page.length;
+            if (page.length < API_CONFIG.DEFAULTS.MESSAGES_PER_PAGE) break;
+        }
+
+        // Format all pages together so tool calls are attached across page boundaries
+        const messages = this.chatManager.formatServerMessages(rawMessages)
+            .map(msg => ({ ...msg, timestamp: msg.createdAt }));
+
+        // Answers regenerated in this browser show the selected version
+        messages.forEach(msg => {
+            const entry = this.chatManager.getMessageVersions(msg.id);
+            if (entry && entry.versions[entry.selected]) {
+                Object.assign(msg, entry.versions[entry.selected], {
+                    versions: entry.versions,
+                    versionIndex: entry.selected
+                });
+            }
+        });
+
+        return { success: true, messages };
+    }
+
+    /**
+     * Fetch the raw result rows of answers that don't carry them yet
+     * @param {Array<Object>} messages - Messages from fetchHistory (updated in place)
+     * @param {Function} onProgress - Optional (text) => void
+     */
+    async loadDbData(messages, onProgress = () => {}) {
+        const missing = messages.filter(msg => msg.role === 'assistant' && !msg.dbData && msg.mongoId);
+
+        for (let i = 0; i < missing.length; i++) {
+            onProgress(`Loading result data (${i + 1}/${missing.length})...`);
+            const response = await this.apiService.getDbData(missing[i].mongoId);
+
+            if (response.success) {
+                missing[i].dbData = response.data?.data?.dbData || null;
+            } else {
+                console.error('Failed to load dbData for export:', missing[i].mongoId, response.error);
+                missing[i].dbDataError = response.error || 'Failed to load result data';
+            }
+        }
+    }
+
+    /**
+     * Build the export file for one or more chats
+     * @param {Array<string>} chatIds - Chats to export
+     * @param {string} format - 'markdown', 'html' or 'json'
+     * @param {Function} onProgress - Optional (text) => void
+     * @returns {Promise<Object>} { success, content, fileName, mimeType, skipped } or { success: false, error }
+     *   skipped lists chats that couldn't be loaded ({ name, error }); the export fails only if none could
+     */
+    async buildExport(chatIds, format, onProgress = () => {}) {
+        const entries = [];
+        const skipped = [];
+
+        for (let i = 0; i < chatIds.length; i++) {
+            const chat = this.chatManager.getChat(chatIds[i]);
+            if (!chat) {
+                skipped.push({ name: chatIds[i], error: 'Chat not found' });
+                continue;
+            }
+
+            onProgress(chatIds.length > 1 ? `Exporting ${i + 1} of ${chatIds.length}: "${chat.name}"...` : 'Loading messages...');
+            const history = await this.fetchHistory(chat, onProgress);
+            if (!history.success) {
+                skipped.push({ name: chat.name, error: history.error });
+                continue;
+            }
+
+            await this.loadDbData(history.messages, onProgress);
+
+            // Documents show what the chat shows; the bundle keeps every branch
+            const hidden = this.chatManager.getBranchView(chat.id).hidden;
+            entries.push({
+                chat: chat,
+                messages: history.messages,
+                visibleMessages: history.messages.filter(msg =>
+                    !hidden.has(msg.id) && (msg.role === 'user' || msg.role === 'assistant' || msg.role === 'system'))
+            });
+        }
+
+        if (entries.length === 0) {
+            return { success: false, error: skipped.map(item => `${item.name}: ${item.error}`).join('; ') };
+        }
+
+        const baseName = entries.length === 1
+            ? ChatExporter.fileName(entries[0].chat.name)
+            : `conversations_${entries.length}`;
+        const date = new Date().toISOString().split('T')[0];
+
+        switch (format) {
+            case 'markdown':
+                return {
+                    success: true,
+                    content: entries.map(entry => this.toMarkdown(entry.chat, entry.visibleMessages)).join('\n\n---\n\n'),
+                    fileName: `${baseName}_${date}.md`,
+                    mimeType: 'text/markdown;charset=utf-8',
+                    skipped: skipped
+                };
+            case 'html':
+                return {
+                    success: true,
+                    content: this.toHtml(entries),
+                    fileName: `${baseName}_${date}.html`,
+                    mimeType: 'text/html;charset=utf-8',
+                    skipped: skipped
+                };
+            case 'json':
+                return {
+                    success: true,
+                    content: JSON.stringify(ChatExporter.toBundle(entries), null, 2),
+                    fileName: `${baseName}_${date}.json`,
+                    mimeType: 'application/json;charset=utf-8',
+                    skipped: skipped
+                };
+            default:
+                return { success: false, error: `Unknown export format: ${format}` };
+        }
+    }
+
+    /**
+     * Markdown document for one chat
+     */
+    toMarkdown(chat, messages) {
+        const lines = [
+            `# ${chat.name}`,
+            '',
+            `_Exported ${ChatExporter.formatDate(new Date().toISOString())} · ${messages.length} message${messages.length === 1 ? '' : 's'}_`,
+            ''
+        ];
+
+        messages.forEach(msg => {
+            lines.push(`### ${ChatExporter.roleLabel(msg.role)} · ${ChatExporter.formatDate(msg.timestamp || msg.createdAt)}`, '');
+            lines.push(msg.content || '', '');
+
+            if (msg.role !== 'assistant') return;
+
+            QueryPanel.normalizeToolCalls(msg.toolCalls).forEach((step, index, steps) => {
+                const rows = step.rowCount !== null ? ` (${step.rowCount} row${step.rowCount === 1 ? '' : 's'})` : '';
+                lines.push(`**${steps.length > 1 ? `Query ${index + 1}` : 'Query'}${rows}**`, '');
+                lines.push('```sql', step.sql.trim(), '```', '');
+            });
+
+            const table = ChatExporter.getTable(msg);
+            if (table) {
+                lines.push(`**Result** ${ChatExporter.describeRows(table)}`, '');
+                lines.push(`| ${table.columns.map(ChatExporter.escapeMarkdownCell).join(' | ')} |`);
+                lines.push(`| ${table.columns.map(() => '---').join(' | ')} |`);
+                table.rows.forEach(record => {
+                    lines.push(`| ${table.columns.map(key => ChatExporter.escapeMarkdownCell(DataUtils.formatValue(record[key]))).join(' | ')} |`);
+                });
+                lines.push('');
+            } else if (msg.dbDataError) {
+                lines.push(`_Result data unavailable: ${msg.dbDataError}_`, '');
+            }
+        });
+
+        return lines.join('\n').trim() + '\n';
+    }
+
+    /**
+     * Standalone HTML document, with styles inlined so it opens anywhere
+     */
+    toHtml(entries) {
+        const title = entries.length === 1 ? entries[0].chat.name : `${entries.length} conversations`;
+
+        const sections = entries.map(({ chat, visibleMessages }) => {
+            const messages = visibleMessages.map(msg => {
+                let extra = '';
+
+                if (msg.role === 'assistant') {
+                    extra += QueryPanel.normalizeToolCalls(msg.toolCalls).map(step => `
+                        <div class="query">
+                            <div class="query-meta">${step.rowCount !== null ? `${step.rowCount} row${step.rowCount === 1 ? '' : 's'}` : 'SQL'}</div>
+                            <pre><code>${this.highlighter.highlight(step.sql.trim())}</code></pre>
+                        </div>`).join('');
+
+                    const table = ChatExporter.getTable(msg);
+                    if (table) {
+                        const header = table.columns.map(key => `<th>${ChatExporter.escapeHtml(key)}</th>`).join('');
+                        const body = table.rows.map(record =>
+                            `<tr>${table.columns.map(key => `<td>${ChatExporter.escapeHtml(DataUtils.formatValue(record[key]))}</td>`).join('')}</tr>`
+                        ).join('\n');
+                        extra += `
+                        <div class="result-meta">Result ${ChatExporter.escapeHtml(ChatExporter.describeRows(table))}</div>
+                        <div class="result"><table><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table></div>`;
+                    } else if (msg.dbDataError) {
+                        extra += `<div class="result-meta">Result data unavailable: ${ChatExporter.escapeHtml(msg.dbDataError)}</div>`;
+                    }
+                }
+
+                return `
+                <div class="message ${ChatExporter.escapeHtml(msg.role)}">
+                    <div class="message-meta">${ChatExporter.roleLabel(msg.role)} · ${ChatExporter.escapeHtml(ChatExporter.formatDate(msg.timestamp || msg.createdAt))}</div>
+                    <div class="message-body">${this.markdownRenderer.render(msg.content || '')}</div>${extra}
+                </div>`;
+            }).join('');
+
+            return `
+            <section>
+                <h1>${ChatExporter.escapeHtml(chat.name)}</h1>
+                <p class="exported">Exported ${ChatExporter.escapeHtml(ChatExporter.formatDate(new Date().toISOString()))} · ${visibleMessages.length} messages</p>${messages}
+            </section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${ChatExporter.escapeHtml(title)}</title>
+<style>${ChatExporter.HTML_STYLES}</style>
+</head>
+<body>${sections}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Versioned JSON bundle with tool calls and raw result data, readable by import
+     */
+    static toBundle(entries) {
+        return {
+            format: ChatExporter.BUNDLE_FORMAT,
+            version: ChatExporter.BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            conversations: entries.map(({ chat, messages }) => ({
+                id: chat.id,
+                serverId: chat.serverId || null,
+                name: chat.name,
+                createdAt: chat.createdAt,
+                updatedAt: chat.updatedAt,
+                dbProfileId: chat.dbProfileId || null,
+                branches: chat.branches || [],
+                messages: messages.map(msg => ({
+                    id: msg.id,
+                    role: msg.role,
+                    content: msg.content,
+                    timestamp: msg.timestamp || msg.createdAt || null,
+                    mongoId: msg.mongoId || null,
+                    toolCalls: msg.toolCalls || null,
+                    queries: msg.role === 'assistant' ? QueryPanel.normalizeToolCalls(msg.toolCalls) : [],
+                    dbData: msg.dbData !== undefined ? msg.dbData : null,
+                    versions: msg.versions || null,
+                    versionIndex: msg.versionIndex !== undefined ? msg.versionIndex : null
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Result rows of an answer, capped for documents
+     * @returns {Object|null} { columns, rows, total }
+     */
+    static getTable(msg) {
+        if (!msg.dbData) return null;
+
+        let records;
+        try {
+            records = DataUtils.parseRecords(msg.dbData);
+        } catch (error) {
+            return null;
+        }
+        if (records.length === 0) return null;
+
+        return {
+            columns: DataUtils.getColumns(records),
+            rows: records.slice(0, API_CONFIG.DEFAULTS.EXPORT_TABLE_ROWS),
+            total: records.length
+        };
+    }
+
+    static describeRows(table) {
+        return table.rows.length < table.total
+            ? `(first ${table.rows.length} of ${table.total} rows)`
+            : `(${table.total} row${table.total === 1 ? '' : 's'})`;
+    }
+
+    static roleLabel(role) {
+        if (role === 'user') return 'You';
+        if (role === 'assistant') return 'Assistant';
+        return 'System';
+    }
+
+    static formatDate(value) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) return '';
+        return date.toLocaleString();
+    }
+
+    /**
+     * File name from a chat name, e.g. "Sales by region" -> "sales_by_region"
+     */
+    static fileName(name) {
+        const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+        return slug || 'conversation';
+    }
+
+    static escapeMarkdownCell(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    }
+
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Trigger a download for text content
+     */
+    static download(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', fileName);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+ChatExporter.BUNDLE_FORMAT = 'askyourdb-conversations';
+ChatExporter.BUNDLE_VERSION = 1;
+ChatExporter.FORMATS = [
+    { id: 'markdown', label: 'Markdown', icon: 'fab fa-markdown', description: 'For incident reports, wikis and tickets' },
+    { id: 'html', label: 'HTML', icon: 'fas fa-file-code', description: 'Standalone page with result tables' },
+    { id: 'json', label: 'JSON bundle', icon: 'fas fa-file-export', description: 'Everything, including SQL and raw data' }
+];
+ChatExporter.HTML_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; max-width: 900px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; }
+h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+section + section { margin-top: 3rem; border-top: 2px solid #e5e7eb; }
+.exported, .message-meta, .query-meta, .result-meta { color: #6b7280; font-size: 0.85rem; }
+.message { border-top: 1px solid #e5e7eb; padding: 1rem 0; }
+.message.user .message-body { background: #f3f4f6; border-radius: 8px; padding: 0.5rem 1rem; }
+.message-meta { font-weight: 600; margin-bottom: 0.25rem; }
+pre { background: #1e1e1e; color: #d4d4d4; padding: 0.75rem 1rem; border-radius: 6px; overflow-x: auto; font-size: 0.85rem; }
+code { font-family: "SFMono-Regular", Consolas, monospace; }
+.query { margin-top: 0.75rem; }
+.result { overflow-x: auto; margin-top: 0.25rem; }
+table { border-collapse: collapse; font-size: 0.85rem; }
+th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+.sql-keyword { color: #c792ea; font-weight: 600; }
+.sql-string { color: #c3e88d; }
+.sql-number { color: #f78c6c; }
+.sql-comment { color: #6b7280; font-style: italic; }
+.sql-function { color: #82aaff; }
+.sql-identifier { color: #ffcb6b; }
+.sql-operator { color: #89ddff; }
+.sql-parameter { color: #f07178; }
+`;
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatExporter;
+}
@@ -0,0 +1,262 @@
+/**
+ * ChatImporter class to validate conversation files before they are merged into the chat list.
+ * Reads JSON bundles written by ChatExporter and the plain chat arrays older versions exported.
+ */
+class ChatImporter {
+    /**
+     * Parse and validate an import file
+     * @param {string} text - File contents
+     * @returns {Object} { success, version, conversations, errors } or { success: false, error }
+     *   errors are per record: { record, message }; invalid conversations are left out,
+     *   invalid messages are dropped from otherwise valid conversations
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { success: false, error: `Not a valid JSON file: ${error.message}` };
+        }
+
+        let version;
+        let rawConversations;
+        if (Array.isArray(data)) {
+            // Plain array from ChatManager.exportChats() before bundles were versioned
+            version = 0;
+            rawConversations = data;
+        } else if (data && typeof data === 'object' && data.format === ChatExporter.BUNDLE_FORMAT) {
+            version = data.version;
+            if (!Number.isInteger(version) || version < 1) {
+                return { success: false, error: 'The export file has no valid version number' };
+            }
+            if (version > ChatExporter.BUNDLE_VERSION) {
+                return {
+                    success: false,
+                    error: `This file was exported by a newer version of the app (format v${version}); this version reads up to v${ChatExporter.BUNDLE_VERSION}`
+                };
+            }
+            if (!Array.isArray(data.conversations)) {
+                return { success: false, error: 'The export file has no conversations list' };
+            }
+            rawConversations = data.conversations;
+        } else {
+            return { success: false, error: 'This is not a conversation export file' };
+        }
+
+        const conversations = [];
+        const errors = [];
+        const seenIds = new Set();
+
+        rawConversations.forEach((raw, index) => {
+            const record = ChatImporter.describeRecord(raw, index);
+            const result = ChatImporter.validateConversation(raw);
+
+            result.errors.forEach(message => errors.push({ record, message }));
+            if (!result.conversation) return;
+
+            if (seenIds.has(result.conversation.id)) {
+                errors.push({ record, message: `Duplicate conversation id "${result.conversation.id}" in the file` });
+                return;
+            }
+            seenIds.add(result.conversation.id);
+            conversations.push(result.conversation);
+        });
+
+        return { success: true, version, conversations, errors };
+    }
+
+    /**
+     * Validate one conversation record
+     * @returns {Object} { conversation, errors } where conversation is null when the record can't be imported
+     */
+    static validateConversation(raw) {
+        const errors = [];
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { conversation: null, errors: ['Not a conversation object'] };
+        }
+        if (typeof raw.id !== 'string' || !raw.id.trim()) {
+            errors.push('Missing conversation id');
+        }
+        if (raw.name !== undefined && typeof raw.name !== 'string') {
+            errors.push('Conversation name must be text');
+        }
+        if (!Array.isArray(raw.messages)) {
+            errors.push('Missing messages list');
+        }
+        if (errors.length > 0) {
+            return { conversation: null, errors };
+        }
+
+        const messages = [];
+        const messageIds = new Set();
+        raw.messages.forEach((message, index) => {
+            const problem = ChatImporter.validateMessage(message);
+            if (problem) {
+                errors.push(`Message ${index + 1}: ${problem}; message skipped`);
+            } else if (messageIds.has(message.id)) {
+                errors.push(`Message ${index + 1}: duplicate id "${message.id}"; message skipped`);
+            } else {
+                messageIds.add(message.id);
+
+                // Bad versions only cost the earlier answers; the shown one is kept
+                const versionsProblem = ChatImporter.validateVersions(message);
+                if (versionsProblem) {
+                    errors.push(`Message ${index + 1}: ${versionsProblem}; answer versions dropped`);
+                    messages.push({ ...message, versions: null, versionIndex: 0 });
+                } else {
+                    messages.push(message);
+                }
+            }
+        });
+
+        const branches = [];
+        (Array.isArray(raw.branches) ? raw.branches : []).forEach((branch, index) => {
+            const problem = ChatImporter.validateBranch(branch, messageIds);
+            if (problem) {
+                errors.push(`Branch ${index + 1}: ${problem}; branch dropped`);
+            } else {
+                // Files without a selection show the first alternative
+                branches.push(branch.selected == null ? { ...branch, selected: 0 } : branch);
+            }
+        });
+
+        const now = new Date().toISOString();
+        return {
+            conversation: {
+                id: raw.id,
+                serverId: typeof raw.serverId === 'string' ? raw.serverId : null,
+                name: (raw.name || '').trim() || API_CONFIG.DEFAULTS.CONVERSATION_NAME,
+                createdAt: ChatImporter.isDate(raw.createdAt) ? raw.createdAt : now,
+                updatedAt: ChatImporter.isDate(raw.updatedAt) ? raw.updatedAt : now,
+                dbProfileId: typeof raw.dbProfileId === 'string' ? raw.dbProfileId : null,
+                branches: branches,
+                messages: messages
+            },
+            errors
+        };
+    }
+
+    /**
+     * Check a branch record
+     * @param {Object} branch - Branch from the file
+     * @param {Set<string>} messageIds - IDs of the messages that were imported
+     * @returns {string|null} What is wrong with it, or null when it is valid
+     */
+    static validateBranch(branch, messageIds) {
+        if (!branch || typeof branch !== 'object' || typeof branch.id !== 'string') {
+            return 'not a branch object';
+        }
+        if (!Array.isArray(branch.alternatives) || branch.alternatives.length === 0) {
+            return 'no alternatives';
+        }
+        if (branch.selected != null &&
+            (!Number.isInteger(branch.selected) || branch.selected < 0 || branch.selected >= branch.alternatives.length)) {
+            return 'selected alternative is out of range';
+        }
+        // Branches only make sense if every message they point at was imported
+        const complete = branch.alternatives.every(alternative => Array.isArray(alternative && alternative.messageIds) &&
+            alternative.messageIds.every(id => messageIds.has(id)));
+        return complete ? null : 'references missing messages';
+    }
+
+    /**
+     * Check a message record
+     * @returns {string|null} What is wrong with it, or null when it is valid
+     */
+    static validateMessage(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return 'not a message object';
+        }
+        if (typeof message.id !== 'string' || !message.id) {
+            return 'missing id';
+        }
+        if (!ChatImporter.ROLES.includes(message.role)) {
+            return `unknown role "${message.role}"`;
+        }
+        return ChatImporter.validateAnswer(message);
+    }
+
+    /**
+     * Check the fields a message shares with each of its answer versions
+     * @returns {string|null} What is wrong with it, or null when it is valid
+     */
+    static validateAnswer(answer) {
+        if (typeof answer.content !== 'string') {
+            return 'content must be text';
+        }
+        if (answer.content.length > ChatImporter.MAX_CONTENT_LENGTH) {
+            return 'content is too long';
+        }
+        if (answer.timestamp != null && !ChatImporter.isDate(answer.timestamp)) {
+            return 'invalid timestamp';
+        }
+        if (answer.mongoId != null && typeof answer.mongoId !== 'string') {
+            return 'mongoId must be text';
+        }
+        // Result rows are a table (array) or a wrapper object
+        if (answer.dbData != null && typeof answer.dbData !== 'object') {
+            return 'dbData must be an object or a list';
+        }
+        // Tool calls come as the server sent them: a list, one call, or a JSON string
+        if (answer.toolCalls != null && !['object', 'string'].includes(typeof answer.toolCalls)) {
+            return 'toolCalls must be a list, an object or text';
+        }
+        return null;
+    }
+
+    /**
+     * Check the regenerated versions of an answer
+     * @returns {string|null} What is wrong with them, or null when they are valid or absent
+     */
+    static validateVersions(message) {
+        if (message.versions == null) {
+            return null;
+        }
+        if (!Array.isArray(message.versions) || message.versions.length === 0) {
+            return 'versions must be a non-empty list';
+        }
+
+        for (let i = 0; i < message.versions.length; i++) {
+            const version = message.versions[i];
+            if (!version || typeof version !== 'object' || Array.isArray(version)) {
+                return `version ${i + 1} is not an object`;
+            }
+            const problem = ChatImporter.validateAnswer(version);
+            if (problem) {
+                return `version ${i + 1}: ${problem}`;
+            }
+        }
+
+        if (message.versionIndex != null &&
+            (!Number.isInteger(message.versionIndex) || message.versionIndex < 0 || message.versionIndex >= message.versions.length)) {
+            return 'versionIndex is out of range';
+        }
+        return null;
+    }
+
+    static isDate(value) {
+        return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    }
+
+    /**
+     * Name a record in error reports, e.g. "Conversation 3 (Sales by region)"
+     */
+    static describeRecord(raw, index) {
+        const name = raw && typeof raw.name === 'string' && raw.name.trim() ? ` (${raw.name.trim()})` : '';
+        return `Conversation ${index + 1}${name}`;
+    }
+}
+
+ChatImporter.ROLES = ['user', 'assistant', 'system', 'assistant-tool-call'];
+ChatImporter.MAX_CONTENT_LENGTH = 1000000;
+ChatImporter.STRATEGIES = [
+    { id: 'skip', label: 'Keep existing', description: 'Conversations already in your list are left alone' },
+    { id: 'overwrite', label: 'Overwrite', description: 'Replace existing conversations with the imported copy' },
+    { id: 'duplicate', label: 'Keep both', description: 'Import conflicting conversations as new copies' }
+];
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatImporter;
+}
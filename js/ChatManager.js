@@ -6,6 +6,22 @@ class ChatManager {
         this.chats = new Map();
         this.currentChatId = null;
         this.storageKey = API_CONFIG.STORAGE_KEYS.CHATS;
+        this.pendingJobsKey = API_CONFIG.STORAGE_KEYS.PENDING_JOBS;
+        this.messageVersionsKey = API_CONFIG.STORAGE_KEYS.MESSAGE_VERSIONS;
+        this.foldersKey = API_CONFIG.STORAGE_KEYS.FOLDERS;
+        this.folders = []; // { id, name, createdAt, collapsed } in the order they were created
+        this.foldersPending = false; // Folder changes the server hasn't accepted yet
+        this.pendingDeletionsKey = API_CONFIG.STORAGE_KEYS.PENDING_DELETIONS;
+        this.pendingDeletions = new Map(); // chatId -> { chatId, name, deleteAt, wasCurrent } while deletion can be undone
+        this.deletionTimers = new Map(); // chatId -> timeout that commits the deletion
+        this.streamingAnswers = new Map(); // chatId -> { jobId, content } while an answer streams in
+        this.defaultDbProfileId = null; // Set once DbProfileSwitcher has loaded the user's profiles
+        this.selectedDbProfileId = null; // Profile picked in the header while no chat is open
+        this.dbProfiles = []; // Set once DbProfileSwitcher has loaded the user's profiles
+        this.dbProfilesLoaded = false; // False until then, and when they couldn't be loaded
+        this.dbProfilesReady = new Promise(resolve => { this.resolveDbProfilesReady = resolve; });
+        this.pendingApprovals = new Map(); // chatId -> approval while a job waits for the user to allow its writes
+        this.cancellingJobs = new Map(); // jobId -> held-back final event (or null) while a cancel request is in flight
         this.apiService = new ApiService();
         this.aiChatService = new AiChatService();
         this.pagination = {
@@ -14,6 +30,8 @@ class ChatManager {
             isLoading: false
         };
         this.loadChats();
+        this.loadFolders();
+        this.loadPendingDeletions();
     }
 
     /**
@@ -33,25 +51,7 @@ class ChatManager {
             if (response.success) {
                 // Handle different possible response structures
                 const responseData = response.data;
-                let chatId;
-                
-                // Try different possible field names for the chat ID
-                // Check nested data structure first
-                if (responseData.data && responseData.data.insertedId) {
-                    chatId = responseData.data.insertedId;
-                } else if (responseData.insertedId) {
-                    chatId = responseData.insertedId;
-                } else if (responseData.data && responseData.data.id) {
-                    chatId = responseData.data.id;
-                } else if (responseData.id) {
-                    chatId = responseData.id;
-                } else if (responseData.data && responseData.data._id) {
-                    chatId = responseData.data._id;
-                } else if (responseData._id) {
-                    chatId = responseData._id;
-                } else {
-                    chatId = this.generateChatId();
-                }
+                const chatId = ChatManager.getConversationId(responseData) || this.generateChatId();
                 
                 
                 const chat = {
@@ -60,7 +60,8 @@ class ChatManager {
                     messages: [],
                     createdAt: responseData.createdAt || new Date().toISOString(),
                     updatedAt: responseData.updatedAt || new Date().toISOString(),
-                    serverId: chatId // Store server ID for API calls
+                    serverId: chatId, // Store server ID for API calls
+                    dbProfileId: this.getChatDbProfileId(null)
                 };
                 
                 this.chats.set(chat.id, chat);
@@ -87,7 +88,8 @@ class ChatManager {
                 messages: [],
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
-                isLocal: true // Mark as local-only
+                isLocal: true, // Mark as local-only
+                dbProfileId: this.getChatDbProfileId(null)
             };
             
             this.chats.set(chatId, chat);
@@ -102,6 +104,32 @@ class ChatManager {
         }
     }
 
+    /**
+     * Read the new conversation's ID from a create response
+     * @param {Object} responseData - Response payload of ApiService.createConversation()
+     * @returns {string|null} The ID, or null when the response has none
+     */
+    static getConversationId(responseData) {
+        if (!responseData) return null;
+
+        // Try different possible field names for the chat ID
+        // Check nested data structure first
+        if (responseData.data && responseData.data.insertedId) {
+            return responseData.data.insertedId;
+        } else if (responseData.insertedId) {
+            return responseData.insertedId;
+        } else if (responseData.data && responseData.data.id) {
+            return responseData.data.id;
+        } else if (responseData.id) {
+            return responseData.id;
+        } else if (responseData.data && responseData.data._id) {
+            return responseData.data._id;
+        } else if (responseData._id) {
+            return responseData._id;
+        }
+        return null;
+    }
+
     /**
      * Get a chat by ID
      */
@@ -109,11 +137,43 @@ class ChatManager {
         return this.chats.get(chatId);
     }
 
+    /**
+     * Add a server conversation that hasn't been paged into the chat list yet (e.g. a search result)
+     * @param {string} chatId - Server conversation ID
+     * @param {string} name - Conversation name
+     * @returns {Object} The existing or newly added chat
+     */
+    ensureServerChat(chatId, name) {
+        const existingChat = this.chats.get(chatId);
+        if (existingChat) {
+            return existingChat;
+        }
+
+        const chat = {
+            id: chatId,
+            name: name || 'Untitled Chat',
+            messages: [], // Loaded when the chat is opened
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            serverId: chatId
+        };
+
+        this.chats.set(chatId, chat);
+        this.saveChats();
+
+        window.dispatchEvent(new CustomEvent('chatUpdated', {
+            detail: { chat: chat }
+        }));
+
+        return chat;
+    }
+
     /**
      * Get all chats
      */
     getAllChats() {
-        return Array.from(this.chats.values()).sort((a, b) => 
+        // Chats waiting for their deletion to be undone or committed are hidden
+        return Array.from(this.chats.values()).filter(chat => !this.pendingDeletions.has(chat.id)).sort((a, b) => 
             new Date(b.updatedAt) - new Date(a.updatedAt)
         );
     }
@@ -144,44 +204,10 @@ class ChatManager {
             }
             
             if (response.success && response.data) {
-                // Handle nested data structure: response.data.data contains the actual chats
-                let serverChats = [];
-                if (Array.isArray(response.data)) {
-                    serverChats = response.data;
-                } else if (response.data.data && Array.isArray(response.data.data)) {
-                    serverChats = response.data.data;
-                } else if (response.data.chats && Array.isArray(response.data.chats)) {
-                    serverChats = response.data.chats;
-                }
-                
+                const serverChats = ChatManager.getServerChats(response.data);
                 
                 // Process and add chats - merge with existing local data
-                serverChats.forEach(serverChat => {
-                    const chatId = serverChat._id || serverChat.id;
-                    const existingChat = this.chats.get(chatId);
-                    
-                    if (existingChat) {
-                        // Merge server data with existing local chat
-                        existingChat.name = serverChat.name || existingChat.name;
-                        existingChat.createdAt = serverChat.createdAt || existingChat.createdAt;
-                        existingChat.updatedAt = serverChat.updatedAt || existingChat.updatedAt;
-                        existingChat.serverId = chatId;
-                        // Keep existing messages - don't overwrite with server messages
-                        // Server messages will be loaded separately via loadConversations
-                    } else {
-                        // Create new chat from server data
-                        const chat = {
-                            id: chatId,
-                            name: serverChat.name || 'Untitled Chat',
-                            messages: [], // Don't load messages here - they'll be loaded separately
-                            createdAt: serverChat.createdAt || new Date().toISOString(),
-                            updatedAt: serverChat.updatedAt || new Date().toISOString(),
-                            serverId: chatId
-                        };
-                        
-                        this.chats.set(chat.id, chat);
-                    }
-                });
+                serverChats.forEach(serverChat => this.mergeServerChat(serverChat));
                 
                 // Update pagination state
                 this.pagination.skipValue = skipValue + serverChats.length;
@@ -189,6 +215,7 @@ class ChatManager {
                 
                 
                 this.saveChats();
+                this.syncPendingOrganization();
                 
                 // Trigger event
                 window.dispatchEvent(new CustomEvent('chatsLoaded', {
@@ -220,6 +247,89 @@ class ChatManager {
         }
     }
 
+    /**
+     * Load every pinned chat, since the Pinned section can't wait for the pages they are on
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async fetchPinnedChats() {
+        try {
+            const response = await this.apiService.getPinnedConversations();
+            if (!response.success || !response.data) {
+                throw new Error(response.error || 'Failed to fetch pinned chats');
+            }
+
+            const pinnedIds = new Set(ChatManager.getServerChats(response.data)
+                .map(serverChat => this.mergeServerChat({ ...serverChat, pinned: true }).id));
+
+            // Chats unpinned on another device
+            this.chats.forEach(chat => {
+                if (chat.pinned && chat.serverId && !chat.organizationPending && !pinnedIds.has(chat.id)) {
+                    chat.pinned = false;
+                }
+            });
+
+            this.saveChats();
+            return { success: true };
+        } catch (error) {
+            console.error('Error fetching pinned chats:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Merge a conversation from the server into the cached chats
+     * @param {Object} serverChat - Conversation as listed by the server
+     * @returns {Object} The cached chat
+     */
+    mergeServerChat(serverChat) {
+        const chatId = serverChat._id || serverChat.id;
+        const existingChat = this.chats.get(chatId);
+        
+        if (existingChat) {
+            // Merge server data with existing local chat
+            existingChat.name = serverChat.name || existingChat.name;
+            existingChat.createdAt = serverChat.createdAt || existingChat.createdAt;
+            existingChat.updatedAt = serverChat.updatedAt || existingChat.updatedAt;
+            existingChat.serverId = chatId;
+            // Local pin/archive/folder changes the server hasn't accepted yet win
+            if (!existingChat.organizationPending) {
+                Object.assign(existingChat, ChatManager.getOrganization(serverChat, existingChat));
+            }
+            // Keep existing messages - don't overwrite with server messages
+            // Server messages will be loaded separately via loadConversations
+            return existingChat;
+        }
+
+        // Create new chat from server data
+        const chat = {
+            id: chatId,
+            name: serverChat.name || 'Untitled Chat',
+            messages: [], // Don't load messages here - they'll be loaded separately
+            createdAt: serverChat.createdAt || new Date().toISOString(),
+            updatedAt: serverChat.updatedAt || new Date().toISOString(),
+            serverId: chatId,
+            ...ChatManager.getOrganization(serverChat)
+        };
+        
+        this.chats.set(chat.id, chat);
+        return chat;
+    }
+
+    /**
+     * Get the conversation list out of a conversations response
+     */
+    static getServerChats(responseData) {
+        // Handle nested data structure: response.data.data contains the actual chats
+        if (Array.isArray(responseData)) {
+            return responseData;
+        } else if (responseData.data && Array.isArray(responseData.data)) {
+            return responseData.data;
+        } else if (responseData.chats && Array.isArray(responseData.chats)) {
+            return responseData.chats;
+        }
+        return [];
+    }
+
     /**
      * Update chat name
      */
@@ -266,7 +376,7 @@ class ChatManager {
     /**
      * Delete a chat
      */
-    async deleteChat(chatId) {
+    async deleteChat(chatId, options = {}) {
         const chat = this.chats.get(chatId);
         if (!chat) {
             return false;
@@ -285,50 +395,393 @@ class ChatManager {
                 
                 if (!response.success) {
                     console.error('Failed to delete conversation from server:', response.error);
-                    // Show error message to user
-                    this.showError('Failed to delete conversation from server. Please try again.');
+                    // Show error message to user; bulk deletes report all failures together
+                    if (!options.silent) {
+                        this.showError('Failed to delete conversation from server. Please try again.');
+                    }
                     return false;
                 }
             }
             
-            // Remove from local storage
-            this.chats.delete(chatId);
-            this.saveChats();
-            
-            // If this was the current chat, clear it and update URL
-            if (this.currentChatId === chatId) {
-                this.currentChatId = null;
-                this.updateURL(null);
-                
-                // Trigger currentChatChanged event to update UI
-                window.dispatchEvent(new CustomEvent('currentChatChanged', {
-                    detail: { chatId: null }
-                }));
-            }
-            
-            // Trigger event
-            window.dispatchEvent(new CustomEvent('chatDeleted', {
-                detail: { chatId: chatId }
-            }));
-            
+            this.removeChat(chatId);
             return true;
         } catch (error) {
             console.error('Error deleting chat:', error);
-            this.showError('Failed to delete conversation. Please try again.');
+            if (!options.silent) {
+                this.showError('Failed to delete conversation. Please try again.');
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Hide a chat and delete it once the undo grace period is over
+     * @param {string} chatId - The chat ID
+     * @param {Object} options - { deleteAt, batchId } when the chat is deleted together with others
+     * @returns {boolean} False when the chat doesn't exist or is already being deleted
+     */
+    scheduleDeletion(chatId, options = {}) {
+        const chat = this.chats.get(chatId);
+        if (!chat || this.pendingDeletions.has(chatId)) {
+            return false;
+        }
+
+        const deletion = {
+            chatId: chatId,
+            name: chat.name,
+            deleteAt: options.deleteAt || Date.now() + API_CONFIG.DEFAULTS.DELETE_UNDO_DELAY,
+            wasCurrent: this.currentChatId === chatId,
+            batchId: options.batchId || null
+        };
+        this.pendingDeletions.set(chatId, deletion);
+        this.savePendingDeletions();
+
+        if (deletion.wasCurrent) {
+            this.setCurrentChat(null);
+        }
+
+        this.startDeletionTimer(deletion);
+        return true;
+    }
+
+    /**
+     * Hide several chats with one grace period so a single undo brings them all back
+     * @param {Array<string>} chatIds - Chats to delete
+     * @returns {Array<string>} The chats that were scheduled
+     */
+    scheduleDeletions(chatIds) {
+        const options = {
+            deleteAt: Date.now() + API_CONFIG.DEFAULTS.DELETE_UNDO_DELAY,
+            batchId: `deletion_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`
+        };
+        return chatIds.filter(chatId => this.scheduleDeletion(chatId, options));
+    }
+
+    /**
+     * Commit a pending deletion when its grace period ends
+     */
+    startDeletionTimer(deletion) {
+        const delay = Math.max(0, deletion.deleteAt - Date.now());
+        this.deletionTimers.set(deletion.chatId, setTimeout(() => {
+            if (deletion.batchId) {
+                this.commitDeletionBatch(deletion.batchId);
+            } else {
+                this.commitDeletion(deletion.chatId);
+            }
+        }, delay));
+
+        // Trigger event
+        window.dispatchEvent(new CustomEvent('chatDeletionScheduled', {
+            detail: {
+                chatId: deletion.chatId,
+                name: deletion.name,
+                deleteAt: deletion.deleteAt,
+                batchId: deletion.batchId || null
+            }
+        }));
+    }
+
+    /**
+     * Restore a chat whose deletion is still in its grace period
+     * @param {string} chatId - The chat ID
+     * @returns {boolean} False when it is too late to undo
+     */
+    undoDeletion(chatId) {
+        const deletion = this.pendingDeletions.get(chatId);
+        if (!deletion || deletion.committing) {
             return false;
         }
+
+        clearTimeout(this.deletionTimers.get(chatId));
+        this.deletionTimers.delete(chatId);
+        this.pendingDeletions.delete(chatId);
+        this.savePendingDeletions();
+
+        // Trigger event
+        window.dispatchEvent(new CustomEvent('chatDeletionUndone', {
+            detail: { chatId: chatId }
+        }));
+
+        // Reopen the chat if nothing else was opened meanwhile
+        if (deletion.wasCurrent && !this.currentChatId) {
+            this.setCurrentChat(chatId);
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete a chat on the server once its grace period is over; it comes back if that fails
+     */
+    async commitDeletion(chatId) {
+        const deletion = this.pendingDeletions.get(chatId);
+        if (!deletion || deletion.committing) {
+            return;
+        }
+
+        deletion.committing = true;
+        this.deletionTimers.delete(chatId);
+        await this.finishDeletion(chatId);
+    }
+
+    /**
+     * Delete the chats of a batch a few at a time, like the other bulk actions
+     * @returns {Promise<Object>} { succeeded, failed: [{ chatId, name, error }] } from runBulk
+     */
+    async commitDeletionBatch(batchId) {
+        const deletions = Array.from(this.pendingDeletions.values())
+            .filter(deletion => deletion.batchId === batchId && !deletion.committing);
+        if (deletions.length === 0) {
+            return { succeeded: [], failed: [] };
+        }
+
+        // The whole batch is past its grace period, so the other timers of the batch are not needed
+        deletions.forEach(deletion => {
+            deletion.committing = true;
+            clearTimeout(this.deletionTimers.get(deletion.chatId));
+            this.deletionTimers.delete(deletion.chatId);
+        });
+
+        const chatIds = deletions.map(deletion => deletion.chatId);
+        const onProgress = (done, total) => {
+            window.dispatchEvent(new CustomEvent('chatDeletionBatchProgress', {
+                detail: { batchId: batchId, done: done, total: total }
+            }));
+        };
+        onProgress(0, chatIds.length);
+
+        const result = await this.runBulk(chatIds, async (chat) => {
+            const success = await this.finishDeletion(chat.id, { silent: true });
+            return success ? { success: true } : { success: false, error: 'The server could not delete it' };
+        }, onProgress);
+
+        // Chats removed meanwhile count as deleted and only need their pending entry cleared
+        const removed = result.failed.filter(item => !this.chats.has(item.chatId));
+        removed.forEach(item => this.finishDeletion(item.chatId));
+        result.failed = result.failed.filter(item => !removed.includes(item));
+        result.succeeded.push(...removed.map(item => item.chatId));
+
+        // Trigger event
+        window.dispatchEvent(new CustomEvent('chatDeletionBatchFinished', {
+            detail: { batchId: batchId, succeeded: result.succeeded, failed: result.failed }
+        }));
+
+        return result;
+    }
+
+    /**
+     * Delete a chat whose deletion is committing
+     * @param {Object} options - { silent } to leave reporting a failure to the caller
+     * @returns {Promise<boolean>} False when the server refused and the chat came back
+     */
+    async finishDeletion(chatId, options = {}) {
+        const success = this.chats.has(chatId) ? await this.deleteChat(chatId, options) : true;
+
+        this.pendingDeletions.delete(chatId);
+        this.savePendingDeletions();
+
+        if (!success) {
+            // deleteChat() has already shown the error, or the batch reports it
+            window.dispatchEvent(new CustomEvent('chatDeletionUndone', {
+                detail: { chatId: chatId, failed: true }
+            }));
+        }
+        return success;
+    }
+
+    /**
+     * Whether a chat is hidden while its deletion can still be undone
+     */
+    isDeletionPending(chatId) {
+        return this.pendingDeletions.has(chatId);
+    }
+
+    /**
+     * Pick up deletions that were waiting for undo when the page was closed. Those past their
+     * grace period are committed; the rest get their undo toast back for the time that is left.
+     * @returns {number} Number of deletions resumed
+     */
+    resumePendingDeletions() {
+        let resumed = 0;
+
+        this.pendingDeletions.forEach(deletion => {
+            if (this.deletionTimers.has(deletion.chatId) || deletion.committing) {
+                return;
+            }
+
+            // A link to the chat may have opened it before its deletion was resumed
+            if (this.currentChatId === deletion.chatId) {
+                this.setCurrentChat(null);
+            }
+            deletion.wasCurrent = false;
+
+            if (deletion.deleteAt <= Date.now()) {
+                console.log('Committing deletion left pending when the page closed:', deletion.chatId);
+                if (deletion.batchId) {
+                    this.commitDeletionBatch(deletion.batchId);
+                } else {
+                    this.commitDeletion(deletion.chatId);
+                }
+            } else {
+                this.startDeletionTimer(deletion);
+            }
+            resumed++;
+        });
+
+        return resumed;
+    }
+
+    /**
+     * Save pending deletions to localStorage
+     */
+    savePendingDeletions() {
+        try {
+            const deletions = Array.from(this.pendingDeletions.values()).map(deletion => ({
+                chatId: deletion.chatId,
+                name: deletion.name,
+                deleteAt: deletion.deleteAt,
+                wasCurrent: deletion.wasCurrent,
+                batchId: deletion.batchId || null
+            }));
+            localStorage.setItem(this.pendingDeletionsKey, JSON.stringify(deletions));
+        } catch (error) {
+            console.error('Error saving pending deletions:', error);
+        }
+    }
+
+    /**
+     * Load pending deletions from localStorage; their timers start in resumePendingDeletions()
+     */
+    loadPendingDeletions() {
+        try {
+            const saved = localStorage.getItem(this.pendingDeletionsKey);
+            const deletions = saved ? JSON.parse(saved) : [];
+
+            deletions.forEach(deletion => {
+                if (deletion && this.chats.has(deletion.chatId)) {
+                    this.pendingDeletions.set(deletion.chatId, deletion);
+                }
+            });
+        } catch (error) {
+            console.error('Error loading pending deletions:', error);
+            this.pendingDeletions.clear();
+        }
+    }
+
+    /**
+     * Remove a chat from the list once the server no longer has it
+     */
+    removeChat(chatId) {
+        const chat = this.chats.get(chatId);
+        if (chat) {
+            this.removeMessageVersions(chat);
+        }
+
+        // Remove from local storage
+        this.chats.delete(chatId);
+        this.saveChats();
+        this.clearPendingJob(chatId);
+        
+        // If this was the current chat, clear it and update URL
+        if (this.currentChatId === chatId) {
+            this.currentChatId = null;
+            this.updateURL(null);
+            
+            // Trigger currentChatChanged event to update UI
+            window.dispatchEvent(new CustomEvent('currentChatChanged', {
+                detail: { chatId: null }
+            }));
+        }
+        
+        // Trigger event
+        window.dispatchEvent(new CustomEvent('chatDeleted', {
+            detail: { chatId: chatId }
+        }));
+    }
+
+    /**
+     * Run an action on several chats, a few server requests at a time
+     * @param {Array<string>} chatIds - Chats to act on
+     * @param {Function} worker - async (chat) => { success, error }
+     * @param {Function} onProgress - Optional (done, total) => void
+     * @returns {Promise<Object>} { succeeded: [chatId], failed: [{ chatId, name, error }] }
+     */
+    async runBulk(chatIds, worker, onProgress = () => {}) {
+        const result = { succeeded: [], failed: [] };
+        const queue = chatIds.slice();
+        let done = 0;
+
+        const next = async () => {
+            while (queue.length > 0) {
+                const chatId = queue.shift();
+                const chat = this.chats.get(chatId);
+                let outcome;
+
+                try {
+                    outcome = chat ? await worker(chat) : { success: false, error: 'Chat not found' };
+                } catch (error) {
+                    console.error('Bulk action failed for chat:', chatId, error);
+                    outcome = { success: false, error: error.message };
+                }
+
+                if (outcome.success) {
+                    result.succeeded.push(chatId);
+                } else {
+                    result.failed.push({ chatId: chatId, name: chat ? chat.name : chatId, error: outcome.error });
+                }
+
+                done++;
+                onProgress(done, chatIds.length);
+            }
+        };
+
+        const workerCount = Math.min(API_CONFIG.DEFAULTS.BULK_CONCURRENCY, queue.length);
+        await Promise.all(Array.from({ length: workerCount }, next));
+
+        console.log(`Bulk action finished: ${result.succeeded.length} succeeded, ${result.failed.length} failed`);
+        return result;
+    }
+
+    /**
+     * Archive or unarchive several chats
+     */
+    archiveChats(chatIds, archived, onProgress) {
+        return this.runBulk(chatIds, async (chat) => {
+            await this.archiveChat(chat.id, archived);
+            return ChatManager.organizationOutcome(chat);
+        }, onProgress);
+    }
+
+    /**
+     * Move several chats into a folder, or out of folders with null
+     */
+    moveChatsToFolder(chatIds, folderId, onProgress) {
+        return this.runBulk(chatIds, async (chat) => {
+            await this.moveChatToFolder(chat.id, folderId);
+            return ChatManager.organizationOutcome(chat);
+        }, onProgress);
+    }
+
+    /**
+     * Report a change the server didn't accept; it is still kept locally and retried later
+     */
+    static organizationOutcome(chat) {
+        return chat.organizationPending
+            ? { success: false, error: 'Saved in this browser only; will sync with the server later' }
+            : { success: true };
     }
 
     /**
      * Add a message to a chat
      */
-    addMessage(chatId, content, role = 'user', dbData = null) {
+    addMessage(chatId, content, role = 'user', dbData = null, toolCalls = null) {
         const chat = this.chats.get(chatId);
         if (chat) {
             // For new messages, we don't have a MongoDB ID yet, so pass null
-            const message = new Message(null, content, role, null, dbData, null);
+            const message = new Message(null, content, role, null, dbData, null, toolCalls);
             chat.messages.push(message);
             chat.updatedAt = new Date().toISOString();
+            this.recordBranchMembership(chat, message.id);
             
             // Auto-rename chat if it's the first user message and chat has default name
             if (role === 'user' && chat.messages.filter(m => m.role === 'user').length === 1) {
@@ -432,9 +885,10 @@ class ChatManager {
      * Send a message to AI backend and track via SSE
      * @param {string} chatId - The chat ID
      * @param {string} message - The user message
+     * @param {Object} options - { branchFromMessageId } when the message edits an earlier question
      * @returns {Promise<Object>} Job response with SSE tracking
      */
-    async sendMessageToAI(chatId, message) {
+    async sendMessageToAI(chatId, message, options = {}) {
         try {
             const chat = this.chats.get(chatId);
             if (!chat) {
@@ -446,9 +900,20 @@ class ChatManager {
             
             // Get conversation ID (use serverId if available, otherwise use local ID)
             const conversationId = chat.serverId || chat.id;
+
+            // Record which database the conversation is asked against
+            const { dbProfileId, readOnly } = await this.getDbProfileOptions(chatId);
+            if (dbProfileId && chat.dbProfileId !== dbProfileId) {
+                chat.dbProfileId = dbProfileId;
+                this.saveChats();
+            }
             
             // Send to AI backend and get job ID
-            const jobResponse = await this.aiChatService.getAiResponse(message, conversationId);
+            const jobResponse = await this.aiChatService.getAiResponse(message, conversationId, {
+                dbProfileId: dbProfileId,
+                readOnly: readOnly,
+                branchFromMessageId: options.branchFromMessageId
+            });
             
             if (jobResponse.success && jobResponse.jobId) {
                 // Start SSE connection to track job progress
@@ -486,28 +951,516 @@ class ChatManager {
     }
 
     /**
-     * Track job progress via SSE
+     * Edit a previous question: the messages from it onwards become one branch,
+     * the edited question starts a new one and is sent to the agent.
+     * Each branch point is { id, alternatives: [{ messageIds }], selected }; a message is
+     * hidden while it belongs to an alternative that isn't selected.
      * @param {string} chatId - The chat ID
-     * @param {string} jobId - The job ID to track
-     * @param {Object} userMessage - The user message object
+     * @param {string} messageId - The user message being edited
+     * @param {string} content - The edited question
+     * @param {Array<string>} orderedIds - IDs of the messages shown in the chat, in display order
+     * @returns {Promise<Object>} Result of sendMessageToAI
      */
-    trackJobWithSSE(chatId, jobId, userMessage) {
-        console.log('Starting SSE tracking for job:', jobId);
+    async editAndBranch(chatId, messageId, content, orderedIds) {
+        const chat = this.chats.get(chatId);
+        if (!chat) {
+            return { success: false, error: 'Chat not found' };
+        }
 
-        const handlers = {
-            onConnect: (data) => {
-                console.log('SSE connected for job:', jobId);
-                // Optionally show connection status to user
-            },
+        if (this.getPendingJob(chatId)) {
+            return { success: false, error: 'Wait for the current answer to finish first' };
+        }
 
-            onProgress: (data) => {
-                console.log('Job progress:', jobId, data.progress);
-                
-                // Generate status message based on progress if not provided
-                let status = data.status;
-                if (!status) {
-                    const progress = data.progress || 0;
-                    if (progress < 20) {
+        chat.branches = chat.branches || [];
+
+        // Editing the first question of an existing branch adds a sibling rather than nesting
+        let branch = chat.branches.find(b => b.alternatives.some(alt => alt.messageIds[0] === messageId));
+        if (!branch) {
+            branch = {
+                id: 'branch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                alternatives: [{ messageIds: this.getSubtreeIds(chat, orderedIds, messageId) }],
+                selected: 0
+            };
+            chat.branches.push(branch);
+        }
+
+        branch.alternatives.push({ messageIds: [] });
+        branch.selected = branch.alternatives.length - 1;
+        this.saveChats();
+
+        window.dispatchEvent(new CustomEvent('chatBranchesChanged', {
+            detail: { chatId: chatId }
+        }));
+
+        return this.sendMessageToAI(chatId, content, { branchFromMessageId: messageId });
+    }
+
+    /**
+     * Messages from an edited question onwards that belong to its part of the tree.
+     * Messages hidden by a branch point that starts before the question belong to a sibling branch.
+     */
+    getSubtreeIds(chat, orderedIds, messageId) {
+        const start = orderedIds.indexOf(messageId);
+        if (start === -1) {
+            return [messageId];
+        }
+
+        const position = new Map(orderedIds.map((id, index) => [id, index]));
+        return orderedIds.slice(start).filter(id => chat.branches.every(branch => {
+            const hides = branch.alternatives.some((alt, index) => index !== branch.selected && alt.messageIds.includes(id));
+            return !hides || position.get(branch.alternatives[0].messageIds[0]) > start;
+        }));
+    }
+
+    /**
+     * Switch a branch point to another alternative
+     * @param {string} chatId - The chat ID
+     * @param {string} branchId - The branch point ID
+     * @param {number} index - Alternative to show
+     * @returns {Object} Result with success flag
+     */
+    selectBranch(chatId, branchId, index) {
+        const chat = this.chats.get(chatId);
+        const branch = chat && (chat.branches || []).find(b => b.id === branchId);
+        if (!branch || index < 0 || index >= branch.alternatives.length) {
+            return { success: false, error: 'Branch not found' };
+        }
+
+        // A running answer is added to the branch that is shown when it completes
+        if (this.getPendingJob(chatId)) {
+            return { success: false, error: 'Wait for the current answer to finish before switching branches' };
+        }
+
+        branch.selected = index;
+        this.saveChats();
+
+        window.dispatchEvent(new CustomEvent('chatBranchesChanged', {
+            detail: { chatId: chatId }
+        }));
+
+        return { success: true };
+    }
+
+    /**
+     * Work out which messages are hidden and where to show branch navigation
+     * @param {string} chatId - The chat ID
+     * @returns {Object} { hidden: Set of message IDs, anchors: Map of message ID -> { branchId, index, count } }
+     */
+    getBranchView(chatId) {
+        const chat = this.chats.get(chatId);
+        const branches = (chat && chat.branches) || [];
+        const hidden = this.getHiddenMessageIds(branches);
+        const anchors = new Map();
+
+        branches.forEach(branch => {
+            const firstId = branch.alternatives[branch.selected].messageIds[0];
+            if (firstId && !hidden.has(firstId)) {
+                anchors.set(firstId, {
+                    branchId: branch.id,
+                    index: branch.selected,
+                    count: branch.alternatives.length
+                });
+            }
+        });
+
+        return { hidden, anchors };
+    }
+
+    /**
+     * IDs of messages in alternatives that aren't selected
+     * @param {Array<Object>} branches - Branch points of a chat
+     * @param {Object} skipBranch - Branch point to leave out
+     */
+    getHiddenMessageIds(branches, skipBranch = null) {
+        const hidden = new Set();
+        branches.forEach(branch => {
+            if (branch === skipBranch) return;
+            branch.alternatives.forEach((alt, index) => {
+                if (index !== branch.selected) {
+                    alt.messageIds.forEach(id => hidden.add(id));
+                }
+            });
+        });
+        return hidden;
+    }
+
+    /**
+     * Add a new message to the selected alternative of every branch point on the visible path
+     */
+    recordBranchMembership(chat, messageId) {
+        if (!chat.branches || chat.branches.length === 0) return;
+
+        chat.branches.forEach(branch => {
+            const originId = branch.alternatives[0].messageIds[0];
+            if (!this.getHiddenMessageIds(chat.branches, branch).has(originId)) {
+                branch.alternatives[branch.selected].messageIds.push(messageId);
+            }
+        });
+    }
+
+    /**
+     * Ask the same question again to get another version of an answer
+     * @param {string} chatId - The chat ID
+     * @param {Message} message - The assistant message to regenerate
+     * @param {string} query - The user question the answer belongs to
+     * @returns {Promise<Object>} Result with jobId for SSE tracking
+     */
+    async regenerateAnswer(chatId, message, query) {
+        const chat = this.chats.get(chatId);
+        if (!chat) {
+            return { success: false, error: 'Chat not found' };
+        }
+
+        if (this.getPendingJob(chatId)) {
+            return { success: false, error: 'Wait for the current answer to finish first' };
+        }
+
+        // The first regeneration keeps the original answer as version 1
+        if (!this.getMessageVersions(message.id)) {
+            this.saveMessageVersions(chatId, message.id, message.getVersions(), message.versionIndex);
+        }
+
+        const conversationId = chat.serverId || chat.id;
+        const { dbProfileId, readOnly } = await this.getDbProfileOptions(chatId);
+
+        const jobResponse = await this.aiChatService.getAiResponse(query, conversationId, {
+            dbProfileId: dbProfileId,
+            readOnly: readOnly,
+            regenerateMessageId: message.id
+        });
+
+        if (!jobResponse.success || !jobResponse.jobId) {
+            return { success: false, error: jobResponse.error || 'Failed to regenerate the answer' };
+        }
+
+        this.trackJobWithSSE(chatId, jobResponse.jobId, null, { regenerateMessageId: message.id });
+        return { success: true, jobId: jobResponse.jobId };
+    }
+
+    /**
+     * Store a regenerated answer as the newest version of its message and select it
+     * @param {string} chatId - The chat ID
+     * @param {string} messageId - The regenerated message ID
+     * @param {Object} result - Job result
+     */
+    handleRegeneratedAnswer(chatId, messageId, result) {
+        const data = result || {};
+        const version = {
+            content: typeof data === 'string' ? data : (data.response || data.message || data.answer || data.content || ''),
+            dbData: data.dbData || null,
+            mongoId: data.mongoId || null,
+            toolCalls: data.toolcalls || data.toolCalls || data.tool_calls || null,
+            timestamp: new Date().toISOString()
+        };
+
+        if (!version.content) {
+            const errorMessage = this.addMessage(chatId, 'No response received from AI', 'system');
+            window.dispatchEvent(new CustomEvent('aiResponseError', {
+                detail: {
+                    chatId: chatId,
+                    errorMessage: errorMessage,
+                    error: 'No response received'
+                }
+            }));
+            return;
+        }
+
+        const stored = this.getMessageVersions(messageId) || { versions: [], selected: 0 };
+        stored.versions.push(version);
+        stored.selected = stored.versions.length - 1;
+        this.saveMessageVersions(chatId, messageId, stored.versions, stored.selected);
+        this.updateLocalMessageVersions(chatId, messageId, stored);
+
+        window.dispatchEvent(new CustomEvent('messageVersionAdded', {
+            detail: {
+                chatId: chatId,
+                messageId: messageId,
+                versions: stored.versions,
+                selected: stored.selected
+            }
+        }));
+
+        window.dispatchEvent(new CustomEvent('aiResponseReceived', {
+            detail: {
+                chatId: chatId,
+                response: version.content,
+                toolCalls: version.toolCalls,
+                regeneratedMessageId: messageId,
+                isErrorCase: false
+            }
+        }));
+    }
+
+    /**
+     * Remember which version of a message is shown
+     * @param {string} chatId - The chat ID
+     * @param {Message} message - Message whose versionIndex changed
+     */
+    selectMessageVersion(chatId, message) {
+        const stored = this.getMessageVersions(message.id);
+        if (!stored) return;
+
+        stored.selected = message.versionIndex;
+        this.saveMessageVersions(chatId, message.id, stored.versions, stored.selected);
+        this.updateLocalMessageVersions(chatId, message.id, stored);
+    }
+
+    /**
+     * Apply stored versions to a message before it is rendered
+     * @param {Message} message - Message loaded from the server or local storage
+     */
+    applyMessageVersions(message) {
+        const stored = this.getMessageVersions(message.id);
+        if (stored) {
+            message.setVersions(stored.versions, stored.selected);
+        }
+    }
+
+    /**
+     * Keep the cached copy of a message in step with its versions
+     */
+    updateLocalMessageVersions(chatId, messageId, stored) {
+        const chat = this.chats.get(chatId);
+        const message = chat && chat.messages.find(m => m.id === messageId);
+        if (message) {
+            message.setVersions(stored.versions, stored.selected);
+            this.saveChats();
+        }
+    }
+
+    /**
+     * Get the stored versions of a message
+     * @returns {Object|null} { chatId, versions, selected }
+     */
+    getMessageVersions(messageId) {
+        return this.loadMessageVersions()[messageId] || null;
+    }
+
+    /**
+     * Store the versions of a message; this is the only place versions are persisted
+     * Result rows are left out when the answer can be refetched by mongoId
+     */
+    saveMessageVersions(chatId, messageId, versions, selected) {
+        const saved = this.loadMessageVersions();
+        saved[messageId] = {
+            chatId: chatId,
+            versions: versions.map(version => ({ ...version, dbData: version.mongoId ? null : version.dbData })),
+            selected: selected
+        };
+        this.storeMessageVersions(saved);
+    }
+
+    /**
+     * Drop the stored versions of a chat's messages
+     * @param {Object} chat - Chat being removed or replaced
+     */
+    removeMessageVersions(chat) {
+        const saved = this.loadMessageVersions();
+        const messageIds = new Set(chat.messages.map(msg => msg.id));
+        let changed = false;
+
+        Object.keys(saved).forEach(messageId => {
+            // Older entries have no chatId, so also match on the messages that are loaded
+            if (saved[messageId].chatId === chat.id || messageIds.has(messageId)) {
+                delete saved[messageId];
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.storeMessageVersions(saved);
+        }
+    }
+
+    loadMessageVersions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.messageVersionsKey)) || {};
+        } catch (error) {
+            console.error('Error reading message versions:', error);
+            return {};
+        }
+    }
+
+    storeMessageVersions(saved) {
+        try {
+            localStorage.setItem(this.messageVersionsKey, JSON.stringify(saved));
+        } catch (error) {
+            console.error('Error saving message versions:', error);
+        }
+    }
+
+    /**
+     * Run edited SQL directly and track the job like an AI answer
+     * @param {string} chatId - The chat ID
+     * @param {string} sql - The SQL to run
+     * @param {Object} options - { allowWrites }
+     * @returns {Promise<Object>} Job response with SSE tracking
+     */
+    async runSql(chatId, sql, options = {}) {
+        const chat = this.chats.get(chatId);
+        if (!chat) {
+            return { success: false, error: 'Chat not found' };
+        }
+
+        // Checked here as well as in the editor so no caller can skip it
+        const safety = SqlSafety.classify(sql);
+        if (!safety.isReadOnly && !options.allowWrites) {
+            return {
+                success: false,
+                error: `Refusing to run ${safety.unsafeKeywords.join(', ')} without permission to modify data`
+            };
+        }
+
+        if (this.getPendingJob(chatId)) {
+            return { success: false, error: 'Wait for the running query to finish first' };
+        }
+
+        const userMessage = this.addMessage(chatId, '```sql\n' + sql.trim() + '\n```', 'user');
+        const conversationId = chat.serverId || chat.id;
+        const { dbProfileId } = await this.getDbProfileOptions(chatId);
+
+        const jobResponse = await this.aiChatService.executeSql(sql, conversationId, {
+            dbProfileId: dbProfileId,
+            allowWrites: !!options.allowWrites
+        });
+
+        if (jobResponse.success) {
+            this.trackJobWithSSE(chatId, jobResponse.jobId, userMessage, { sql: sql });
+            return { success: true, userMessage: userMessage, jobId: jobResponse.jobId };
+        }
+
+        const errorMessage = this.addMessage(chatId, `Error: ${jobResponse.error}`, 'system');
+        return {
+            success: false,
+            userMessage: userMessage,
+            errorMessage: errorMessage,
+            error: jobResponse.error
+        };
+    }
+
+    /**
+     * Add the result of a directly executed query as an assistant message
+     * @param {string} chatId - The chat ID
+     * @param {string} sql - The SQL that ran
+     * @param {*} result - Job result: rows, or { dbData | rows, rowCount, durationMs }
+     * @returns {Message} The added message
+     */
+    addSqlResultMessage(chatId, sql, result) {
+        const rows = Array.isArray(result) ? result :
+            (result && (result.dbData || result.rows || result.data)) || null;
+        const parsedRows = typeof rows === 'string' ? QueryPanel.parseJSON(rows) : rows;
+
+        let rowCount = result && typeof result.rowCount === 'number' ? result.rowCount : null;
+        if (rowCount === null && Array.isArray(parsedRows)) {
+            rowCount = parsedRows.length;
+        }
+
+        const hasRows = Array.isArray(parsedRows) && parsedRows.length > 0;
+        const duration = result && typeof result.durationMs === 'number' ? ` in ${result.durationMs} ms` : '';
+        let content;
+        if (hasRows) {
+            content = `Query returned **${rowCount} row${rowCount === 1 ? '' : 's'}**${duration}.`;
+        } else if (rowCount !== null) {
+            content = `Query ran successfully${duration}. ${rowCount} row${rowCount === 1 ? '' : 's'} affected.`;
+        } else {
+            content = `Query ran successfully${duration}.`;
+        }
+
+        const toolCalls = [{
+            name: 'edited_sql',
+            args: { query: sql },
+            result: { rowCount: rowCount }
+        }];
+
+        return this.addMessage(chatId, content, 'assistant', hasRows ? rows : null, toolCalls);
+    }
+
+    /**
+     * Track job progress via SSE
+     * @param {string} chatId - The chat ID
+     * @param {string} jobId - The job ID to track
+     * @param {Object} userMessage - The user message object
+     * @param {Object} options - { sql } when the job runs edited SQL rather than asking the agent,
+     *                            { regenerateMessageId } when it produces a new version of an answer
+     */
+    trackJobWithSSE(chatId, jobId, userMessage, options = {}) {
+        console.log('Starting SSE tracking for job:', jobId);
+
+        // Remember the job so it can be resumed if the page is reloaded
+        this.savePendingJob(chatId, jobId, userMessage, options);
+
+        const handlers = {
+            onConnect: (data) => {
+                console.log('SSE connected for job:', jobId);
+                // Optionally show connection status to user
+            },
+
+            onReconnecting: (data) => {
+                console.log('SSE reconnecting for job:', jobId, data);
+                window.dispatchEvent(new CustomEvent('aiJobReconnecting', {
+                    detail: {
+                        chatId: chatId,
+                        jobId: jobId,
+                        attempt: data.attempt,
+                        maxAttempts: data.maxAttempts,
+                        delay: data.delay,
+                        polling: data.polling
+                    }
+                }));
+            },
+
+            onToken: (data) => {
+                const delta = typeof data === 'string' ? data :
+                    (data && typeof data === 'object' ?
+                        (data.token ?? data.delta ?? data.content ?? data.text ?? data.message ?? '') : '');
+                if (!delta) return;
+
+                let streaming = this.streamingAnswers.get(chatId);
+                if (!streaming || streaming.jobId !== jobId) {
+                    streaming = { jobId: jobId, content: '' };
+                    this.streamingAnswers.set(chatId, streaming);
+                }
+                streaming.content += delta;
+
+                window.dispatchEvent(new CustomEvent('aiResponseDelta', {
+                    detail: {
+                        chatId: chatId,
+                        jobId: jobId,
+                        delta: delta,
+                        content: streaming.content
+                    }
+                }));
+            },
+
+            onReconnected: () => {
+                window.dispatchEvent(new CustomEvent('aiJobReconnected', {
+                    detail: { chatId: chatId, jobId: jobId }
+                }));
+            },
+
+            onApprovalRequired: (data) => {
+                const approval = ChatManager.normalizeApproval(jobId, data);
+                const existing = this.pendingApprovals.get(chatId);
+                if (existing && existing.jobId === jobId && existing.id === approval.id) {
+                    return; // Already waiting on this request
+                }
+
+                console.log('Job waiting for approval:', jobId, approval);
+                this.pendingApprovals.set(chatId, approval);
+
+                window.dispatchEvent(new CustomEvent('aiApprovalRequired', {
+                    detail: { chatId: chatId, jobId: jobId, approval: approval }
+                }));
+            },
+
+            onProgress: (data) => {
+                console.log('Job progress:', jobId, data.progress);
+                
+                // Generate status message based on progress if not provided
+                let status = data.status;
+                if (!status) {
+                    const progress = data.progress || 0;
+                    if (progress < 20) {
                         status = 'Connecting to database...';
                     } else if (progress < 40) {
                         status = 'Querying your data...';
@@ -534,7 +1487,38 @@ class ChatManager {
             },
 
             onComplete: (data) => {
+                if (this.deferWhileCancelling(jobId, () => handlers.onComplete(data))) return;
+
+                // The answer is read from result, so a job that finished without one is reported as failed
+                if (!data || data.result == null) {
+                    handlers.onError({ jobId: jobId, error: 'Job finished without a result' });
+                    return;
+                }
+
                 console.log('Job completed:', jobId, data.result);
+                this.clearPendingJob(chatId, jobId);
+                this.streamingAnswers.delete(chatId);
+                this.pendingApprovals.delete(chatId);
+
+                if (options.sql) {
+                    const sqlMessage = this.addSqlResultMessage(chatId, options.sql, data.result);
+                    window.dispatchEvent(new CustomEvent('aiResponseReceived', {
+                        detail: {
+                            chatId: chatId,
+                            userMessage: userMessage,
+                            aiMessage: sqlMessage,
+                            response: sqlMessage.content,
+                            toolCalls: sqlMessage.toolCalls,
+                            isErrorCase: false
+                        }
+                    }));
+                    return;
+                }
+
+                if (options.regenerateMessageId) {
+                    this.handleRegeneratedAnswer(chatId, options.regenerateMessageId, data.result);
+                    return;
+                }
                 
                 // Add detailed logging for debugging
                 if (data.result) {
@@ -559,106 +1543,669 @@ class ChatManager {
                                    data.result.response.toLowerCase().includes('token limit') ||
                                    data.result.response.toLowerCase().includes('limit reached'));
 
-                if (isErrorCase) {
-                    // Error case: Show error message as main response, but preserve dbData for "See Data" button
-                    const errorMessage = data.result.response;
-                    
-                    // Check for dbData in multiple possible locations
-                    const dbData = data.result.dbData || data.result.data || data.result.rawData;
-                    
-                    // Add the error message as the main AI response, but preserve dbData for the button
-                    const aiMessage = this.addMessage(chatId, errorMessage, 'assistant', dbData);
-                    
-                    // Trigger event for UI update (no need for separate error info)
-                    window.dispatchEvent(new CustomEvent('aiResponseReceived', {
-                        detail: { 
-                            chatId: chatId, 
-                            userMessage: userMessage,
-                            aiMessage: aiMessage,
-                            response: errorMessage,
-                            toolCalls: toolCalls, // Include toolcalls in event
-                            isErrorCase: false // Treat as normal response since we're showing the error as main content
-                        }
-                    }));
-                } else {
-                    // Success case: Show the LLM response as main message
-                    const aiResponse = data.result.response || 
-                                     data.result.message || 
-                                     data.result.answer || 
-                                     data.result.content ||
-                                     data.result;
+                if (isErrorCase) {
+                    // Error case: Show error message as main response, but preserve dbData for "See Data" button
+                    const errorMessage = data.result.response;
+                    
+                    // Check for dbData in multiple possible locations
+                    const dbData = data.result.dbData || data.result.data || data.result.rawData;
+                    
+                    // Add the error message as the main AI response, but preserve dbData for the button
+                    const aiMessage = this.addMessage(chatId, errorMessage, 'assistant', dbData, toolCalls);
+                    
+                    // Trigger event for UI update (no need for separate error info)
+                    window.dispatchEvent(new CustomEvent('aiResponseReceived', {
+                        detail: { 
+                            chatId: chatId, 
+                            userMessage: userMessage,
+                            aiMessage: aiMessage,
+                            response: errorMessage,
+                            toolCalls: toolCalls, // Include toolcalls in event
+                            isErrorCase: false // Treat as normal response since we're showing the error as main content
+                        }
+                    }));
+                } else {
+                    // Success case: Show the LLM response as main message
+                    const aiResponse = data.result.response || 
+                                     data.result.message || 
+                                     data.result.answer || 
+                                     data.result.content ||
+                                     data.result;
+
+                    if (aiResponse) {
+                        // Add AI response to chat
+                        const aiMessage = this.addMessage(chatId, aiResponse, 'assistant', data.result.dbData, toolCalls);
+                        
+                        // Trigger event for UI update
+                        window.dispatchEvent(new CustomEvent('aiResponseReceived', {
+                            detail: { 
+                                chatId: chatId, 
+                                userMessage: userMessage,
+                                aiMessage: aiMessage,
+                                response: aiResponse,
+                                toolCalls: toolCalls, // Include toolcalls in event
+                                isErrorCase: false
+                            }
+                        }));
+                    } else {
+                        // Handle case where no response is provided
+                        const errorMessage = this.addMessage(chatId, 'No response received from AI', 'system');
+                        window.dispatchEvent(new CustomEvent('aiResponseError', {
+                            detail: { 
+                                chatId: chatId, 
+                                userMessage: userMessage,
+                                errorMessage: errorMessage,
+                                error: 'No response received'
+                            }
+                        }));
+                    }
+                }
+            },
+
+            onError: (data) => {
+                if (this.deferWhileCancelling(jobId, () => handlers.onError(data))) return;
+
+                console.error('Job failed:', jobId, data.error);
+                this.clearPendingJob(chatId, jobId);
+                this.streamingAnswers.delete(chatId);
+                this.pendingApprovals.delete(chatId);
+                
+                // Add error message to chat
+                const errorMessage = this.addMessage(chatId, `${options.sql ? 'SQL' : 'AI'} Error: ${data.error}`, 'system');
+                
+                // Trigger event for UI update
+                window.dispatchEvent(new CustomEvent('aiResponseError', {
+                    detail: { 
+                        chatId: chatId, 
+                        userMessage: userMessage,
+                        errorMessage: errorMessage,
+                        error: data.error
+                    }
+                }));
+            }
+        };
+
+        // Connect to SSE
+        window.sseService.connectToJob(jobId, handlers);
+    }
+
+    /**
+     * Hold back a job's final event while a cancel request for it is in flight
+     * @param {string} jobId - The job ID
+     * @param {Function} replay - Delivers the event if the cancel request fails
+     * @returns {boolean} True when the event was held back
+     */
+    deferWhileCancelling(jobId, replay) {
+        if (!this.cancellingJobs.has(jobId)) {
+            return false;
+        }
+        this.cancellingJobs.set(jobId, replay);
+        return true;
+    }
+
+    /**
+     * Cancel the running AI job for a chat
+     * @param {string} chatId - The chat ID
+     * @returns {Promise<Object>} Result with success flag and the cancellation message
+     */
+    async cancelJob(chatId) {
+        const pendingJob = this.getPendingJob(chatId);
+        if (!pendingJob) {
+            return { success: false, error: 'No running query to cancel' };
+        }
+
+        const jobId = pendingJob.jobId;
+
+        // Hold back a result or error that arrives during the request so it can't be added next to "Query cancelled."
+        this.cancellingJobs.set(jobId, null);
+        const response = await this.aiChatService.cancelJob(jobId);
+        const heldBack = this.cancellingJobs.get(jobId);
+        this.cancellingJobs.delete(jobId);
+
+        // A job the server no longer knows about is as good as cancelled;
+        // any other failure means it may still be running, so keep tracking it
+        if (!response.success && !response.notFound) {
+            console.error('Failed to cancel job:', jobId, response.error);
+            if (heldBack) {
+                heldBack();
+            }
+            return { success: false, error: response.error };
+        }
+
+        // A result that raced the cancel request is dropped along with the job
+        window.sseService.disconnectJob(jobId);
+        this.clearPendingJob(chatId, jobId);
+        this.streamingAnswers.delete(chatId);
+        this.pendingApprovals.delete(chatId);
+
+        const cancelMessage = this.addMessage(chatId, 'Query cancelled.', 'system');
+
+        window.dispatchEvent(new CustomEvent('aiJobCancelled', {
+            detail: {
+                chatId: chatId,
+                jobId: jobId,
+                message: cancelMessage
+            }
+        }));
+
+        return { success: true, jobId: jobId, message: cancelMessage };
+    }
+
+    /**
+     * Normalize an approval request into { id, jobId, reason, statements: [{ sql, keywords, tables }], tables }
+     * @param {string} jobId - The paused job ID
+     * @param {Object} data - approval_required event payload or the job's approval field
+     * @returns {Object} Approval
+     */
+    static normalizeApproval(jobId, data) {
+        let sqlList = data.statements || data.sql || data.queries;
+        if (!sqlList) {
+            sqlList = QueryPanel.normalizeToolCalls(data.toolCalls || data.toolcalls || data.tool_calls)
+                .map(step => step.sql);
+        }
+        if (!Array.isArray(sqlList)) {
+            sqlList = [sqlList];
+        }
+
+        const statements = sqlList
+            .map(item => (typeof item === 'string' ? item : item && (item.sql || item.query)) || '')
+            .filter(sql => sql.trim())
+            // One block per statement, so a statement chained after another shows its own keywords and tables
+            .flatMap(sql => SqlSafety.splitStatements(sql).map(tokens => tokens.map(token => token.value).join('')))
+            .map(sql => {
+                const safety = SqlSafety.classify(sql);
+                return {
+                    sql: sql.trim(),
+                    keywords: safety.unsafeKeywords,
+                    tables: SqlSafety.affectedTables(sql)
+                };
+            });
+
+        return {
+            id: data.approvalId || data.approval_id || data.id || null,
+            jobId: jobId,
+            reason: data.reason || data.message || '',
+            statements: statements,
+            tables: [...new Set(statements.flatMap(statement => statement.tables))]
+        };
+    }
+
+    /**
+     * Get the approval a chat's job is waiting on, if any
+     */
+    getPendingApproval(chatId) {
+        return this.pendingApprovals.get(chatId) || null;
+    }
+
+    /**
+     * Approve or reject the write statements a paused job wants to run
+     * @param {string} chatId - The chat ID
+     * @param {boolean} approve - True to run the statements, false to refuse them
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async respondToApproval(chatId, approve) {
+        const approval = this.pendingApprovals.get(chatId);
+        if (!approval) {
+            return { success: false, error: 'Nothing is waiting for approval' };
+        }
+
+        const response = approve
+            ? await this.aiChatService.approveJob(approval.jobId, approval.id)
+            : await this.aiChatService.rejectJob(approval.jobId, approval.id);
+
+        if (!response.success) {
+            console.error('Failed to send approval decision:', approval.jobId, response.error);
+            return { success: false, error: response.error };
+        }
+
+        this.pendingApprovals.delete(chatId);
+
+        // Keep a record in the conversation of what was allowed to change
+        const count = approval.statements.length;
+        const tables = approval.tables.length > 0 ? ` on ${approval.tables.join(', ')}` : '';
+        const decisionMessage = this.addMessage(
+            chatId,
+            `${approve ? 'Approved' : 'Rejected'} ${count} statement${count === 1 ? '' : 's'}${tables}.`,
+            'system'
+        );
+
+        window.dispatchEvent(new CustomEvent('aiApprovalResolved', {
+            detail: {
+                chatId: chatId,
+                jobId: approval.jobId,
+                approved: approve,
+                message: decisionMessage
+            }
+        }));
+
+        return { success: true, approved: approve };
+    }
+
+    /**
+     * Get the partial answer streamed so far for a chat, if any
+     */
+    getStreamingAnswer(chatId) {
+        return this.streamingAnswers.get(chatId) || null;
+    }
+
+    /**
+     * Get all pending jobs from localStorage, keyed by chat ID
+     */
+    getPendingJobs() {
+        try {
+            const saved = localStorage.getItem(this.pendingJobsKey);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Error loading pending jobs:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save pending jobs to localStorage
+     */
+    savePendingJobs(pendingJobs) {
+        try {
+            localStorage.setItem(this.pendingJobsKey, JSON.stringify(pendingJobs));
+        } catch (error) {
+            console.error('Error saving pending jobs:', error);
+        }
+    }
+
+    /**
+     * Persist an in-flight job for a chat
+     * @param {string} chatId - The chat ID
+     * @param {string} jobId - The job ID
+     * @param {Object} userMessage - The user message that started the job
+     * @param {Object} options - Job options from trackJobWithSSE ({ sql, regenerateMessageId })
+     */
+    savePendingJob(chatId, jobId, userMessage, options = {}) {
+        const pendingJobs = this.getPendingJobs();
+        const existing = pendingJobs[chatId];
+
+        pendingJobs[chatId] = {
+            jobId: jobId,
+            chatId: chatId,
+            userMessage: userMessage && userMessage.toJSON ? userMessage.toJSON() : userMessage,
+            sql: options.sql || null,
+            regenerateMessageId: options.regenerateMessageId || null,
+            // Keep the original start time when re-tracking a resumed job
+            startedAt: existing && existing.jobId === jobId ? existing.startedAt : new Date().toISOString()
+        };
+        this.savePendingJobs(pendingJobs);
+    }
+
+    /**
+     * Remove a pending job once it has completed or failed
+     * @param {string} chatId - The chat ID
+     * @param {string} jobId - Only clear if the stored job matches
+     */
+    clearPendingJob(chatId, jobId = null) {
+        const pendingJobs = this.getPendingJobs();
+        const pendingJob = pendingJobs[chatId];
+
+        if (pendingJob && (!jobId || pendingJob.jobId === jobId)) {
+            delete pendingJobs[chatId];
+            this.savePendingJobs(pendingJobs);
+        }
+    }
+
+    /**
+     * Get the pending job for a chat, if any
+     */
+    getPendingJob(chatId) {
+        return this.getPendingJobs()[chatId] || null;
+    }
+
+    /**
+     * Reconnect to jobs that were still running when the page was closed
+     * @returns {number} Number of jobs resumed
+     */
+    resumePendingJobs() {
+        const pendingJobs = this.getPendingJobs();
+        const maxAge = API_CONFIG.DEFAULTS.PENDING_JOB_MAX_AGE;
+        let resumed = 0;
+
+        Object.values(pendingJobs).forEach(pendingJob => {
+            const age = Date.now() - new Date(pendingJob.startedAt).getTime();
+
+            if (!this.chats.has(pendingJob.chatId) || !(age < maxAge)) {
+                console.log('Dropping stale pending job:', pendingJob.jobId);
+                this.clearPendingJob(pendingJob.chatId, pendingJob.jobId);
+                return;
+            }
+
+            if (window.sseService.isConnected(pendingJob.jobId)) {
+                return;
+            }
+
+            console.log('Resuming pending job:', pendingJob.jobId, 'for chat:', pendingJob.chatId);
+            const userMessage = pendingJob.userMessage ? Message.fromJSON(pendingJob.userMessage) : null;
+            this.trackJobWithSSE(pendingJob.chatId, pendingJob.jobId, userMessage, {
+                sql: pendingJob.sql || null,
+                regenerateMessageId: pendingJob.regenerateMessageId || null
+            });
+            resumed++;
+        });
+
+        return resumed;
+    }
+
+    /**
+     * Set the current active chat
+     */
+    setCurrentChat(chatId) {
+        
+        if (this.chats.has(chatId) || chatId === null) {
+            this.currentChatId = chatId;
+            
+            // Update URL with chat ID
+            this.updateURL(chatId);
+            
+            // Trigger event
+            window.dispatchEvent(new CustomEvent('currentChatChanged', {
+                detail: { chatId: chatId }
+            }));
+            
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get the database profile a chat uses
+     * @param {string|null} chatId - The chat ID, or null for a chat that doesn't exist yet
+     * @returns {string|null} Profile ID
+     */
+    getChatDbProfileId(chatId) {
+        const chat = chatId ? this.chats.get(chatId) : null;
+        if (chat && chat.dbProfileId) {
+            return chat.dbProfileId;
+        }
+        return this.selectedDbProfileId || this.defaultDbProfileId;
+    }
+
+    /**
+     * Whether a profile only lets the assistant modify data after approval
+     * @param {string|null} profileId - Profile ID, or null for the default connection
+     * @returns {boolean} True for read-only profiles
+     */
+    isDbProfileReadOnly(profileId) {
+        const id = profileId || this.defaultDbProfileId;
+        const profile = this.dbProfiles.find(p => p.id === id);
+        return !!(profile && profile.readOnly);
+    }
+
+    /**
+     * Store the user's profiles once DbProfileSwitcher has loaded them
+     * @param {Array<Object>|null} profiles - Profiles, or null when they couldn't be loaded
+     */
+    setDbProfiles(profiles) {
+        this.dbProfilesLoaded = Array.isArray(profiles);
+        this.dbProfiles = profiles || [];
+        const defaultProfile = DbProfileService.getDefault(this.dbProfiles);
+        this.defaultDbProfileId = defaultProfile ? defaultProfile.id : null;
+        this.resolveDbProfilesReady();
+    }
+
+    /**
+     * The profile a chat asks against and whether writes need approval. Waits for the profiles so a
+     * question sent right after page load isn't sent without its read-only flag; if they couldn't be
+     * loaded the connection is treated as read-only.
+     * @returns {Promise<Object>} { dbProfileId, readOnly }
+     */
+    async getDbProfileOptions(chatId) {
+        await this.dbProfilesReady;
+        const dbProfileId = this.getChatDbProfileId(chatId);
+        return {
+            dbProfileId: dbProfileId,
+            readOnly: this.dbProfilesLoaded ? this.isDbProfileReadOnly(dbProfileId) : true
+        };
+    }
+
+    /**
+     * Switch the database profile for a chat
+     * @param {string|null} chatId - The chat ID, or null to pick the profile for the next new chat
+     * @param {string} profileId - Profile ID
+     */
+    setChatDbProfile(chatId, profileId) {
+        const chat = chatId ? this.chats.get(chatId) : null;
+        if (!chat) {
+            this.selectedDbProfileId = profileId;
+        } else {
+            chat.dbProfileId = profileId;
+            this.saveChats();
+
+            window.dispatchEvent(new CustomEvent('chatUpdated', {
+                detail: { chat: chat }
+            }));
+        }
+
+        window.dispatchEvent(new CustomEvent('dbProfileChanged', {
+            detail: { chatId: chatId, profileId: profileId }
+        }));
+    }
+
+    /**
+     * Read pin/archive/folder state from a server conversation or a partial update
+     * @param {Object} data - Fields to read; missing ones fall back
+     * @param {Object} fallback - Current state, e.g. the cached chat
+     * @returns {Object} { pinned, archived, folderId }
+     */
+    static getOrganization(data, fallback = {}) {
+        return {
+            pinned: data.pinned !== undefined ? !!data.pinned : !!fallback.pinned,
+            archived: data.archived !== undefined ? !!data.archived : !!fallback.archived,
+            folderId: data.folderId !== undefined ? (data.folderId || null) : (fallback.folderId || null)
+        };
+    }
+
+    /**
+     * Pin, archive or file a chat. The change is kept in localStorage and sent to the
+     * server; if that fails it is retried the next time chats are fetched.
+     * @param {string} chatId - The chat ID
+     * @param {Object} changes - Any of { pinned, archived, folderId }
+     * @returns {Promise<boolean>} False when the chat doesn't exist
+     */
+    async updateChatOrganization(chatId, changes) {
+        const chat = this.chats.get(chatId);
+        if (!chat) {
+            return false;
+        }
+
+        Object.assign(chat, ChatManager.getOrganization(changes, chat));
+        chat.organizationPending = !!(chat.serverId && !chat.isLocal);
+        this.saveChats();
+
+        // Trigger event
+        window.dispatchEvent(new CustomEvent('chatUpdated', {
+            detail: { chat: chat }
+        }));
+
+        if (chat.organizationPending) {
+            await this.pushChatOrganization(chat);
+        }
+        return true;
+    }
+
+    pinChat(chatId, pinned) {
+        return this.updateChatOrganization(chatId, { pinned: pinned });
+    }
+
+    archiveChat(chatId, archived) {
+        // Archived chats leave the pinned section; unarchiving doesn't pin them again
+        return this.updateChatOrganization(chatId, archived ? { archived: true, pinned: false } : { archived: false });
+    }
+
+    moveChatToFolder(chatId, folderId) {
+        return this.updateChatOrganization(chatId, { folderId: folderId, pinned: false });
+    }
+
+    /**
+     * Send a chat's pin/archive/folder state to the server
+     * @returns {Promise<boolean>} True once the server has it
+     */
+    async pushChatOrganization(chat) {
+        const response = await this.apiService.updateConversationOrganization(chat.serverId, ChatManager.getOrganization(chat));
+
+        if (response.success) {
+            chat.organizationPending = false;
+            this.saveChats();
+            return true;
+        }
+
+        console.error('Failed to save chat organization on server, keeping it in this browser:', response.error);
+        return false;
+    }
+
+    /**
+     * Retry organization changes the server didn't accept earlier
+     */
+    syncPendingOrganization() {
+        Array.from(this.chats.values())
+            .filter(chat => chat.organizationPending && chat.serverId && !chat.isLocal)
+            .forEach(chat => this.pushChatOrganization(chat));
+
+        if (this.foldersPending) {
+            this.pushFolders();
+        }
+    }
+
+    /**
+     * Get the user's chat folders
+     */
+    getFolders() {
+        return this.folders;
+    }
+
+    /**
+     * Create a folder
+     * @param {string} name - Folder name
+     * @returns {Object} The folder
+     */
+    createFolder(name) {
+        const folder = {
+            id: 'folder_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: name,
+            createdAt: new Date().toISOString(),
+            collapsed: false
+        };
+
+        this.folders.push(folder);
+        this.saveFolders();
+        return folder;
+    }
+
+    renameFolder(folderId, name) {
+        const folder = this.folders.find(f => f.id === folderId);
+        if (!folder) return false;
 
-                    if (aiResponse) {
-                        // Add AI response to chat
-                        const aiMessage = this.addMessage(chatId, aiResponse, 'assistant', data.result.dbData);
-                        
-                        // Trigger event for UI update
-                        window.dispatchEvent(new CustomEvent('aiResponseReceived', {
-                            detail: { 
-                                chatId: chatId, 
-                                userMessage: userMessage,
-                                aiMessage: aiMessage,
-                                response: aiResponse,
-                                toolCalls: toolCalls, // Include toolcalls in event
-                                isErrorCase: false
-                            }
-                        }));
-                    } else {
-                        // Handle case where no response is provided
-                        const errorMessage = this.addMessage(chatId, 'No response received from AI', 'system');
-                        window.dispatchEvent(new CustomEvent('aiResponseError', {
-                            detail: { 
-                                chatId: chatId, 
-                                userMessage: userMessage,
-                                errorMessage: errorMessage,
-                                error: 'No response received'
-                            }
-                        }));
-                    }
-                }
-            },
+        folder.name = name;
+        this.saveFolders();
+        return true;
+    }
 
-            onError: (data) => {
-                console.error('Job failed:', jobId, data.error);
-                
-                // Add error message to chat
-                const errorMessage = this.addMessage(chatId, `AI Error: ${data.error}`, 'system');
-                
-                // Trigger event for UI update
-                window.dispatchEvent(new CustomEvent('aiResponseError', {
-                    detail: { 
-                        chatId: chatId, 
-                        userMessage: userMessage,
-                        errorMessage: errorMessage,
-                        error: data.error
-                    }
-                }));
+    /**
+     * Delete a folder; its chats move back to the main list
+     */
+    deleteFolder(folderId) {
+        const index = this.folders.findIndex(f => f.id === folderId);
+        if (index === -1) return false;
+
+        this.folders.splice(index, 1);
+
+        this.chats.forEach(chat => {
+            if (chat.folderId === folderId) {
+                chat.folderId = null;
+                chat.organizationPending = !!(chat.serverId && !chat.isLocal);
             }
-        };
+        });
+        this.saveChats();
+        this.saveFolders();
+        this.syncPendingOrganization();
+        return true;
+    }
 
-        // Connect to SSE
-        window.sseService.connectToJob(jobId, handlers);
+    /**
+     * Collapse or expand a folder in the sidebar (only remembered in this browser)
+     */
+    toggleFolderCollapsed(folderId) {
+        const folder = this.folders.find(f => f.id === folderId);
+        if (!folder) return;
+
+        folder.collapsed = !folder.collapsed;
+        this.storeFolders();
     }
 
     /**
-     * Set the current active chat
+     * Save folders locally and send them to the server
      */
-    setCurrentChat(chatId) {
-        
-        if (this.chats.has(chatId) || chatId === null) {
-            this.currentChatId = chatId;
-            
-            // Update URL with chat ID
-            this.updateURL(chatId);
-            
-            // Trigger event
-            window.dispatchEvent(new CustomEvent('currentChatChanged', {
-                detail: { chatId: chatId }
+    saveFolders() {
+        this.foldersPending = true;
+        this.storeFolders();
+
+        window.dispatchEvent(new CustomEvent('foldersUpdated', {
+            detail: { folders: this.folders }
+        }));
+
+        this.pushFolders();
+    }
+
+    async pushFolders() {
+        const folders = this.folders.map(folder => ({
+            id: folder.id,
+            name: folder.name,
+            createdAt: folder.createdAt
+        }));
+        const response = await this.apiService.saveConversationFolders(folders);
+
+        if (response.success) {
+            this.foldersPending = false;
+            this.storeFolders();
+        } else {
+            console.error('Failed to save folders on server, keeping them in this browser:', response.error);
+        }
+    }
+
+    /**
+     * Fetch folders from the server; falls back to the ones saved in this browser
+     */
+    async fetchFolders() {
+        // Local edits the server hasn't accepted yet win over its copy
+        if (this.foldersPending) {
+            await this.pushFolders();
+            return;
+        }
+
+        try {
+            const response = await this.apiService.getConversationFolders();
+            if (!response.success) {
+                console.log('Using folders saved in this browser:', response.error);
+                return;
+            }
+
+            const data = response.data;
+            const serverFolders = Array.isArray(data) ? data :
+                (data && Array.isArray(data.data) ? data.data :
+                    (data && Array.isArray(data.folders) ? data.folders : []));
+            const collapsedIds = new Set(this.folders.filter(f => f.collapsed).map(f => f.id));
+
+            this.folders = serverFolders
+                .filter(folder => folder && folder.id && folder.name)
+                .map(folder => ({
+                    id: String(folder.id),
+                    name: String(folder.name),
+                    createdAt: folder.createdAt || new Date().toISOString(),
+                    collapsed: collapsedIds.has(String(folder.id))
+                }));
+            this.storeFolders();
+
+            window.dispatchEvent(new CustomEvent('foldersUpdated', {
+                detail: { folders: this.folders }
             }));
-            
-            return true;
+        } catch (error) {
+            console.error('Error fetching folders:', error);
         }
-        return false;
     }
 
     /**
@@ -828,12 +2375,22 @@ class ChatManager {
             const chatsArray = Array.from(this.chats.entries()).map(([id, chat]) => ({
                 id: chat.id,
                 name: chat.name,
-                messages: chat.messages.map(msg => msg.toJSON()),
+                messages: chat.messages.map(msg => {
+                    // Answer versions are kept in the message versions store only
+                    const { versions, versionIndex, ...data } = msg.toJSON();
+                    return data;
+                }),
                 createdAt: chat.createdAt,
                 updatedAt: chat.updatedAt,
                 serverId: chat.serverId, // Save serverId to localStorage
                 isLocal: chat.isLocal, // Save local flag
-                isPlaceholder: chat.isPlaceholder // Save placeholder flag
+                isPlaceholder: chat.isPlaceholder, // Save placeholder flag
+                dbProfileId: chat.dbProfileId || null, // Database profile the chat asks against
+                branches: chat.branches || [], // Edited questions and the alternatives they created
+                pinned: !!chat.pinned,
+                archived: !!chat.archived,
+                folderId: chat.folderId || null,
+                organizationPending: !!chat.organizationPending // Pin/archive/folder change still to send to the server
             }));
             
             localStorage.setItem(this.storageKey, JSON.stringify(chatsArray));
@@ -861,7 +2418,13 @@ class ChatManager {
                         updatedAt: chatData.updatedAt,
                         serverId: chatData.serverId, // Load serverId from localStorage
                         isLocal: chatData.isLocal, // Load local flag
-                        isPlaceholder: chatData.isPlaceholder // Load placeholder flag
+                        isPlaceholder: chatData.isPlaceholder, // Load placeholder flag
+                        dbProfileId: chatData.dbProfileId || null, // Load database profile
+                        branches: chatData.branches || [], // Load conversation branches
+                        pinned: !!chatData.pinned,
+                        archived: !!chatData.archived,
+                        folderId: chatData.folderId || null,
+                        organizationPending: !!chatData.organizationPending
                     };
                     this.chats.set(chat.id, chat);
                 });
@@ -872,6 +2435,37 @@ class ChatManager {
         }
     }
 
+    /**
+     * Save folders to localStorage
+     */
+    storeFolders() {
+        try {
+            localStorage.setItem(this.foldersKey, JSON.stringify({
+                folders: this.folders,
+                pending: this.foldersPending
+            }));
+        } catch (error) {
+            console.error('Error saving folders:', error);
+        }
+    }
+
+    /**
+     * Load folders from localStorage
+     */
+    loadFolders() {
+        try {
+            const saved = localStorage.getItem(this.foldersKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.folders = Array.isArray(data.folders) ? data.folders : [];
+                this.foldersPending = !!data.pending;
+            }
+        } catch (error) {
+            console.error('Error loading folders:', error);
+            this.folders = [];
+        }
+    }
+
     /**
      * Load conversations for a specific chat with lazy loading
      * @param {string} conversationId - The conversation ID
@@ -916,25 +2510,11 @@ class ChatManager {
                 }
                 
                 // Process and format messages
-                const formattedMessages = conversationMessages.map(msg => {
-                    return {
-                        id: msg._id || msg.id,
-                        content: msg.content,
-                        role: msg.role,
-                        createdAt: msg.createdAt,
-                        conversationId: msg.conversationId,
-                        userId: msg.userId,
-                        dbData: msg.dbData, // Include dbData from server
-                        mongoId: msg._id // Store MongoDB document ID for API calls
-                    };
-                });
-                
-                // Sort messages by creation date (oldest first for conversation flow)
-                formattedMessages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+                const formattedMessages = this.formatServerMessages(conversationMessages);
                 
                 // Update pagination state
                 this.pagination.skipValue = skipValue + formattedMessages.length;
-                this.pagination.hasMore = formattedMessages.length === 30; // Assuming 30 messages per page
+                this.pagination.hasMore = formattedMessages.length === API_CONFIG.DEFAULTS.MESSAGES_PER_PAGE;
                 
                 // Trigger event for UI update
                 window.dispatchEvent(new CustomEvent('conversationsLoaded', {
@@ -967,6 +2547,56 @@ class ChatManager {
         }
     }
 
+    /**
+     * Format messages from the /api/chats endpoint, oldest first, with tool calls attached to their answers
+     * @param {Array<Object>} conversationMessages - Raw server messages
+     * @returns {Array<Object>} Formatted messages
+     */
+    formatServerMessages(conversationMessages) {
+        const formattedMessages = conversationMessages.map(msg => {
+            return {
+                id: msg._id || msg.id,
+                content: msg.content,
+                role: msg.role,
+                createdAt: msg.createdAt,
+                conversationId: msg.conversationId,
+                userId: msg.userId,
+                dbData: msg.dbData, // Include dbData from server
+                mongoId: msg._id, // Store MongoDB document ID for API calls
+                toolCalls: msg.toolCalls || msg.toolcalls || msg.tool_calls
+            };
+        });
+        
+        // Sort messages by creation date (oldest first for conversation flow)
+        formattedMessages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        
+        // Attach tool calls to the assistant answers they produced
+        this.attachToolCalls(formattedMessages);
+        
+        return formattedMessages;
+    }
+
+    /**
+     * Attach preceding assistant-tool-call messages to the assistant answer that follows them
+     * @param {Array} messages - Formatted messages sorted oldest first
+     */
+    attachToolCalls(messages) {
+        let pendingToolCalls = [];
+
+        messages.forEach(msg => {
+            if (msg.role === 'assistant-tool-call') {
+                pendingToolCalls.push(msg);
+            } else if (msg.role === 'assistant') {
+                if (pendingToolCalls.length > 0 && !msg.toolCalls) {
+                    msg.toolCalls = pendingToolCalls;
+                }
+                pendingToolCalls = [];
+            } else if (msg.role === 'user') {
+                pendingToolCalls = [];
+            }
+        });
+    }
+
     /**
      * Load conversations for current chat
      * @param {boolean} loadMore - Whether to load more messages
@@ -1033,22 +2663,7 @@ class ChatManager {
                 // Check if we have more messages to load and not currently loading
                 if (this.hasMoreConversations() && !this.isLoadingConversations()) {
                     console.log('Loading more messages...');
-                    
-                    // Load more messages
-                    const result = await this.loadConversations(conversationId, true);
-                    
-                    if (result.success) {
-                        // Trigger event to update UI with new messages
-                        window.dispatchEvent(new CustomEvent('moreMessagesLoaded', {
-                            detail: {
-                                conversationId: conversationId,
-                                messages: result.messages,
-                                hasMore: result.hasMore
-                            }
-                        }));
-                    } else {
-                        console.error('Failed to load more messages:', result.error);
-                    }
+                    await this.loadOlderMessages(conversationId);
                 }
             }
         };
@@ -1063,6 +2678,39 @@ class ChatManager {
         console.log('Scroll detection setup for conversation:', conversationId);
     }
 
+    /**
+     * Load the next page of older messages and let the UI prepend them
+     * @param {string} conversationId - The conversation ID
+     * @returns {Promise<Object>} Result of loadConversations
+     */
+    async loadOlderMessages(conversationId) {
+        const result = await this.loadConversations(conversationId, true);
+
+        if (result.success) {
+            // Trigger event to update UI with new messages
+            window.dispatchEvent(new CustomEvent('moreMessagesLoaded', {
+                detail: {
+                    conversationId: conversationId,
+                    messages: result.messages,
+                    hasMore: result.hasMore
+                }
+            }));
+        } else {
+            console.error('Failed to load more messages:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * Check if older messages of a conversation can be paged in
+     * @param {string} conversationId - The conversation ID
+     * @returns {boolean} True if the conversation was loaded from the server and has more pages
+     */
+    canLoadOlderMessages(conversationId) {
+        return this.scrollConversationId === conversationId && this.hasMoreConversations();
+    }
+
     /**
      * Remove scroll detection
      */
@@ -1170,6 +2818,7 @@ class ChatManager {
         this.chats.clear();
         this.currentChatId = null;
         this.saveChats();
+        localStorage.removeItem(this.messageVersionsKey);
         
         // Trigger event
         window.dispatchEvent(new CustomEvent('allChatsCleared'));
@@ -1179,48 +2828,200 @@ class ChatManager {
      * Export chats to JSON
      */
     exportChats() {
-        const chatsArray = Array.from(this.chats.values()).map(chat => ({
-            id: chat.id,
-            name: chat.name,
-            messages: chat.messages.map(msg => msg.toJSON()),
-            createdAt: chat.createdAt,
-            updatedAt: chat.updatedAt
+        // Same bundle format as the JSON export in the sidebar, limited to what is cached locally
+        const entries = Array.from(this.chats.values()).map(chat => ({
+            chat: chat,
+            messages: chat.messages.map(msg => (typeof msg.toJSON === 'function' ? msg.toJSON() : msg))
         }));
         
-        return JSON.stringify(chatsArray, null, 2);
+        return JSON.stringify(ChatExporter.toBundle(entries), null, 2);
     }
 
     /**
-     * Import chats from JSON
+     * Merge validated conversations into the chat list
+     * @param {Array<Object>} conversations - Conversations from ChatImporter.parse()
+     * @param {Object} options - { strategy: 'skip' | 'overwrite' | 'duplicate', pushToServer }
+     * @param {Function} onProgress - Optional (text) => void
+     * @returns {Promise<Object>} { added, overwritten, duplicated, skipped, pushed, errors: [{ record, message }] }
      */
-    importChats(jsonData) {
-        try {
-            const chatsArray = JSON.parse(jsonData);
-            this.chats.clear();
-            
-            chatsArray.forEach(chatData => {
-                const chat = {
-                    id: chatData.id,
-                    name: chatData.name,
-                    messages: chatData.messages.map(msgData => Message.fromJSON(msgData)),
-                    createdAt: chatData.createdAt,
-                    updatedAt: chatData.updatedAt
+    async importChats(conversations, options = {}, onProgress = () => {}) {
+        const strategy = options.strategy || 'skip';
+        const summary = { added: 0, overwritten: 0, duplicated: 0, skipped: 0, pushed: 0, errors: [] };
+        const changedChatIds = [];
+
+        // Build every chat before touching the list so a record that fails can't leave it half imported
+        const planned = [];
+        conversations.forEach((conversation, i) => {
+            const record = `Conversation ${i + 1} (${conversation.name})`;
+            const existing = this.findImportConflict(conversation);
+
+            if (existing && strategy === 'skip') {
+                summary.skipped++;
+                return;
+            }
+
+            const overwrite = !!existing && strategy === 'overwrite';
+            // A copy gets fresh IDs so it doesn't share branches or answer versions with the original
+            const source = existing && !overwrite ? ChatManager.withFreshIds(conversation) : conversation;
+
+            try {
+                planned.push({
+                    record: record,
+                    conversation: conversation,
+                    existing: existing,
+                    overwrite: overwrite,
+                    messages: source.messages.map(msgData => Message.fromJSON(msgData)),
+                    branches: source.branches
+                });
+            } catch (error) {
+                console.error('Failed to build imported conversation:', record, error);
+                summary.errors.push({ record, message: `Not imported: ${error.message}` });
+            }
+        });
+
+        for (let i = 0; i < planned.length; i++) {
+            const { record, conversation, existing, overwrite, messages, branches } = planned[i];
+            onProgress(`Importing ${i + 1} of ${planned.length}...`);
+            let chat;
+
+            if (overwrite) {
+                // Keep the existing ID and server link so the chat stays where it is
+                chat = existing;
+                this.removeMessageVersions(chat);
+                chat.name = conversation.name;
+                chat.messages = messages;
+                chat.branches = branches;
+                chat.dbProfileId = conversation.dbProfileId || chat.dbProfileId || null;
+                chat.updatedAt = conversation.updatedAt;
+                chat.isPlaceholder = false;
+                summary.overwritten++;
+            } else {
+                chat = {
+                    id: existing ? this.generateChatId() : conversation.id,
+                    name: existing ? `${conversation.name} (imported)` : conversation.name,
+                    messages: messages,
+                    createdAt: conversation.createdAt,
+                    updatedAt: conversation.updatedAt,
+                    isLocal: true, // Imported messages only live in this browser
+                    dbProfileId: conversation.dbProfileId || null,
+                    branches: branches
                 };
                 this.chats.set(chat.id, chat);
+                if (existing) {
+                    summary.duplicated++;
+                } else {
+                    summary.added++;
+                }
+            }
+
+            // Imported answer versions go into the versions store like regenerated ones
+            chat.messages.filter(msg => msg.versions).forEach(msg => {
+                this.saveMessageVersions(chat.id, msg.id, msg.versions, msg.versionIndex);
             });
-            
-            this.saveChats();
-            
-            // Trigger event
-            window.dispatchEvent(new CustomEvent('chatsImported', {
-                detail: { count: chatsArray.length }
-            }));
-            
-            return true;
-        } catch (error) {
-            console.error('Error importing chats:', error);
-            return false;
+
+            if (options.pushToServer && !chat.serverId) {
+                onProgress(`Uploading "${chat.name}" to the server...`);
+                const result = await this.pushImportedChat(chat);
+                if (result.success) {
+                    summary.pushed++;
+                } else {
+                    summary.errors.push({
+                        record: record,
+                        message: `Kept in this browser only: ${result.error}`
+                    });
+                }
+            }
+
+            changedChatIds.push(chat.id);
         }
+
+        this.saveChats();
+
+        // Trigger event
+        window.dispatchEvent(new CustomEvent('chatsImported', {
+            detail: {
+                count: changedChatIds.length,
+                chatIds: changedChatIds,
+                summary: summary
+            }
+        }));
+
+        console.log('Import finished:', summary);
+        return summary;
+    }
+
+    /**
+     * Find the local chat an imported conversation would replace
+     */
+    findImportConflict(conversation) {
+        return this.chats.get(conversation.id) ||
+            (conversation.serverId ? this.chats.get(conversation.serverId) : null) ||
+            null;
+    }
+
+    /**
+     * Copy a conversation with new message and branch IDs
+     */
+    static withFreshIds(conversation) {
+        const suffix = Math.random().toString(36).substr(2, 6);
+        const idMap = new Map(conversation.messages.map(msg => [msg.id, `${msg.id}_${suffix}`]));
+
+        return {
+            ...conversation,
+            messages: conversation.messages.map(msg => ({ ...msg, id: idMap.get(msg.id) })),
+            branches: conversation.branches.map(branch => ({
+                ...branch,
+                id: `${branch.id}_${suffix}`,
+                alternatives: branch.alternatives.map(alternative => ({
+                    ...alternative,
+                    messageIds: alternative.messageIds.map(id => idMap.get(id))
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Upload an imported chat with its messages and move the chat to the server ID
+     * The chat stays local unless the server took the messages, so no empty conversation is left behind
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async pushImportedChat(chat) {
+        const messages = chat.messages.map(msg => {
+            // Only the answer that is shown is uploaded; earlier versions stay in this browser
+            const { versions, versionIndex, ...data } = msg.toJSON();
+            return data;
+        });
+
+        const response = await this.apiService.importConversation(chat.name, messages);
+        if (!response.success) {
+            return { success: false, error: response.error || 'Failed to upload conversation' };
+        }
+
+        const serverId = ChatManager.getConversationId(response.data);
+        if (!serverId) {
+            return { success: false, error: 'The server did not return a conversation ID' };
+        }
+
+        const oldId = chat.id;
+        this.chats.delete(oldId);
+        chat.id = serverId;
+        chat.serverId = serverId;
+        chat.isLocal = false;
+        this.chats.set(serverId, chat);
+
+        // Stored answer versions follow the chat to its new ID
+        const savedVersions = this.loadMessageVersions();
+        Object.values(savedVersions)
+            .filter(entry => entry.chatId === oldId)
+            .forEach(entry => { entry.chatId = serverId; });
+        this.storeMessageVersions(savedVersions);
+
+        if (this.currentChatId === oldId) {
+            this.currentChatId = serverId;
+            this.updateURL(serverId);
+        }
+
+        return { success: true };
     }
 
     /**
@@ -0,0 +1,268 @@
+/**
+ * ChatSearch class to search all conversations from the sidebar and jump to the matching message
+ */
+class ChatSearch {
+    constructor(chatManager, sidebar) {
+        this.chatManager = chatManager;
+        this.sidebar = sidebar;
+        this.searchService = new SearchService();
+        this.input = document.getElementById('chatSearchInput');
+        this.clearBtn = document.getElementById('chatSearchClear');
+        this.resultsList = document.getElementById('chatSearchResults');
+        this.chatList = document.getElementById('chatList');
+
+        this.query = '';
+        this.results = [];
+        this.selectedIndex = -1;
+        this.debounceTimer = null;
+        this.searchRequest = null; // Identifies the latest search so stale server responses are ignored
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => {
+                this.search(this.input.value);
+            }, API_CONFIG.DEFAULTS.SEARCH_DEBOUNCE);
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        });
+
+        this.clearBtn.addEventListener('click', () => {
+            this.clear();
+            this.input.focus();
+        });
+
+        // Chat names and loaded messages change what matches locally
+        ['chatUpdated', 'chatDeleted', 'chatDeletionScheduled', 'chatDeletionUndone', 'messageAdded'].forEach(eventName => {
+            window.addEventListener(eventName, () => {
+                if (this.isOpen()) {
+                    this.renderLocal();
+                }
+            });
+        });
+    }
+
+    isOpen() {
+        return this.query.trim() !== '';
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                if (!this.isOpen()) return;
+                this.clear();
+                break;
+            case 'ArrowDown':
+                if (this.results.length === 0) return;
+                this.select((this.selectedIndex + 1) % this.results.length);
+                break;
+            case 'ArrowUp':
+                if (this.results.length === 0) return;
+                this.select((this.selectedIndex - 1 + this.results.length) % this.results.length);
+                break;
+            case 'Enter':
+                if (this.results.length === 0) return;
+                this.openResult(this.results[Math.max(this.selectedIndex, 0)]);
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Show local matches right away, then merge in the server's results
+     * @param {string} query - Text typed by the user
+     */
+    async search(query) {
+        this.query = query;
+        clearTimeout(this.debounceTimer);
+
+        if (!this.isOpen()) {
+            this.close();
+            return;
+        }
+
+        const request = {};
+        this.searchRequest = request;
+        this.results = []; // Server results of the previous query no longer apply
+
+        const local = this.renderLocal();
+        this.setStatus('Searching all conversations...');
+
+        const response = await this.searchService.searchServer(query.trim());
+        if (this.searchRequest !== request) {
+            return; // The query changed while this search was in flight
+        }
+
+        if (!response.success) {
+            console.error('Server search failed:', response.error);
+            this.setStatus('Only chats on this device were searched', 'error');
+            return;
+        }
+
+        this.render(SearchService.merge(local, response.results));
+        this.setStatus(null);
+    }
+
+    /**
+     * Render matches from the chats held in memory
+     * @returns {Array<Object>} The local results
+     */
+    renderLocal() {
+        const local = SearchService.searchLocal(this.chatManager.getAllChats(), this.query.trim());
+        // Keep server results for the same query; they cover chats that aren't loaded here
+        const server = this.results.filter(result => result.source === 'server');
+        this.render(SearchService.merge(local, server));
+        return local;
+    }
+
+    render(results) {
+        const terms = SearchService.getTerms(this.query);
+        // The server still has chats whose deletion can be undone
+        this.results = results.filter(result => !this.chatManager.isDeletionPending(result.chatId));
+        results = this.results;
+        this.selectedIndex = -1;
+
+        this.chatList.style.display = 'none';
+        this.clearBtn.style.display = 'flex';
+        this.resultsList.style.display = 'block';
+        this.resultsList.innerHTML = '';
+
+        const status = document.createElement('div');
+        status.className = 'search-status';
+        status.style.display = 'none';
+        this.resultsList.appendChild(status);
+
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = 'No chats or messages match your search.';
+            this.resultsList.appendChild(empty);
+            return;
+        }
+
+        results.forEach((result, index) => {
+            this.resultsList.appendChild(this.createResultElement(result, index, terms));
+        });
+    }
+
+    /**
+     * Create a result row: chat name, then the matching message snippet
+     */
+    createResultElement(result, index, terms) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'search-result';
+        item.dataset.index = index;
+        if (result.chatId === this.chatManager.currentChatId) {
+            item.classList.add('active');
+        }
+
+        const name = document.createElement('div');
+        name.className = 'search-result-name';
+        name.innerHTML = result.messageId
+            ? SearchService.highlight(result.chatName, [])
+            : SearchService.highlight(result.chatName, terms);
+        item.appendChild(name);
+
+        if (result.messageId) {
+            const snippet = document.createElement('div');
+            snippet.className = 'search-result-snippet';
+
+            const role = document.createElement('span');
+            role.className = 'search-result-role';
+            role.textContent = result.role === 'user' ? 'You: ' : result.role === 'assistant' ? 'Assistant: ' : '';
+
+            const text = document.createElement('span');
+            text.innerHTML = SearchService.highlight(SearchService.snippet(result.content, terms), terms);
+
+            snippet.appendChild(role);
+            snippet.appendChild(text);
+            item.appendChild(snippet);
+        }
+
+        item.addEventListener('click', () => {
+            this.openResult(result);
+        });
+
+        return item;
+    }
+
+    select(index) {
+        const items = this.resultsList.querySelectorAll('.search-result');
+        items.forEach(item => item.classList.remove('selected'));
+
+        this.selectedIndex = index;
+        const selected = items[index];
+        if (selected) {
+            selected.classList.add('selected');
+            selected.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Open the result's chat and ask the chat area to bring the message into view
+     */
+    openResult(result) {
+        const chat = this.chatManager.ensureServerChat(result.chatId, result.chatName);
+
+        if (result.messageId) {
+            window.dispatchEvent(new CustomEvent('messageFocusRequested', {
+                detail: {
+                    chatId: chat.id,
+                    messageId: result.messageId
+                }
+            }));
+        }
+
+        if (this.chatManager.currentChatId !== chat.id) {
+            this.chatManager.setCurrentChat(chat.id);
+        }
+
+        this.resultsList.querySelectorAll('.search-result').forEach(item => {
+            item.classList.toggle('active', this.results[item.dataset.index].chatId === chat.id);
+        });
+        this.sidebar.closeSidebar(); // Close sidebar on mobile after picking a result
+    }
+
+    setStatus(text, type = 'info') {
+        const status = this.resultsList.querySelector('.search-status');
+        if (!status) return;
+
+        status.className = `search-status ${type}`;
+        status.textContent = text || '';
+        status.style.display = text ? 'block' : 'none';
+    }
+
+    /**
+     * Empty the search box and show the chat list again
+     */
+    clear() {
+        this.input.value = '';
+        this.query = '';
+        this.close();
+    }
+
+    close() {
+        clearTimeout(this.debounceTimer);
+        this.searchRequest = null;
+        this.results = [];
+        this.selectedIndex = -1;
+        this.resultsList.innerHTML = '';
+        this.resultsList.style.display = 'none';
+        this.clearBtn.style.display = 'none';
+        this.chatList.style.display = '';
+    }
+}
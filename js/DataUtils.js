@@ -0,0 +1,197 @@
+/**
+ * DataUtils class with helpers for working with query result records
+ */
+class DataUtils {
+    /**
+     * Parse raw dbData into an array of records
+     * @param {*} data - JSON string, array or single record
+     * @returns {Array<Object>} Records
+     */
+    static parseRecords(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        if (parsed === null || parsed === undefined) {
+            return [];
+        }
+        return Array.isArray(parsed) ? parsed : [parsed];
+    }
+
+    /**
+     * Get all unique keys across records, in first-seen order
+     */
+    static getColumns(records) {
+        return [...new Set(records.flatMap(record => Object.keys(record || {})))];
+    }
+
+    /**
+     * Check if a value is null, undefined or an empty string
+     */
+    static isEmpty(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    /**
+     * Check if a value can be treated as a number
+     */
+    static isNumeric(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value);
+        }
+        return typeof value === 'string' && /^\s*-?\d+(\.\d+)?([eE][+-]?\d+)?\s*$/.test(value);
+    }
+
+    /**
+     * Check if a value looks like a date or timestamp
+     */
+    static isDateLike(value) {
+        if (value instanceof Date) {
+            return !isNaN(value.getTime());
+        }
+        return typeof value === 'string' &&
+            /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/.test(value.trim()) &&
+            !isNaN(Date.parse(value));
+    }
+
+    /**
+     * Infer the type of a column from its non-empty values
+     * @returns {string} 'number', 'date', 'boolean' or 'string'
+     */
+    static inferColumnType(records, key) {
+        const values = records.map(record => record ? record[key] : null).filter(value => !DataUtils.isEmpty(value));
+
+        if (values.length === 0) return 'string';
+        if (values.every(value => typeof value === 'boolean')) return 'boolean';
+        if (values.every(value => DataUtils.isNumeric(value))) return 'number';
+        if (values.every(value => DataUtils.isDateLike(value))) return 'date';
+        return 'string';
+    }
+
+    /**
+     * Infer types for all columns
+     * @returns {Object} Map of column key to type
+     */
+    static inferColumnTypes(records, keys) {
+        const types = {};
+        keys.forEach(key => {
+            types[key] = DataUtils.inferColumnType(records, key);
+        });
+        return types;
+    }
+
+    /**
+     * Convert a value to something comparable for its column type
+     */
+    static toComparable(value, type) {
+        switch (type) {
+            case 'number':
+                return Number(value);
+            case 'date':
+                return value instanceof Date ? value.getTime() : Date.parse(value);
+            case 'boolean':
+                return value ? 1 : 0;
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    /**
+     * Sort records by a column; empty values always sort last
+     * @param {Array<Object>} records - Records to sort (not mutated)
+     * @param {string} key - Column key
+     * @param {string} direction - 'asc' or 'desc'
+     * @param {string} type - Column type from inferColumnType
+     * @returns {Array<Object>} Sorted copy
+     */
+    static sortRecords(records, key, direction, type) {
+        const multiplier = direction === 'desc' ? -1 : 1;
+
+        return records
+            .map((record, index) => ({ record, index }))
+            .sort((a, b) => {
+                const aValue = a.record[key];
+                const bValue = b.record[key];
+                const aEmpty = DataUtils.isEmpty(aValue);
+                const bEmpty = DataUtils.isEmpty(bValue);
+
+                if (aEmpty || bEmpty) {
+                    return aEmpty && bEmpty ? a.index - b.index : (aEmpty ? 1 : -1);
+                }
+
+                const aComparable = DataUtils.toComparable(aValue, type);
+                const bComparable = DataUtils.toComparable(bValue, type);
+                let result;
+                if (typeof aComparable === 'string') {
+                    result = aComparable.localeCompare(bComparable, undefined, { numeric: true, sensitivity: 'base' });
+                } else {
+                    result = aComparable - bComparable;
+                }
+
+                return result !== 0 ? result * multiplier : a.index - b.index;
+            })
+            .map(item => item.record);
+    }
+
+    /**
+     * Format a value for display in a cell
+     */
+    static formatValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Check if a value matches a column filter
+     * Number columns accept comparisons like ">10", "<=5" or "=3"; everything else is a substring match
+     */
+    static matchesFilter(value, filter, type) {
+        const trimmed = filter.trim();
+        if (!trimmed) return true;
+
+        if (type === 'number') {
+            const comparison = trimmed.match(/^(>=|<=|!=|>|<|=)\s*(-?\d+(\.\d+)?)$/);
+            if (comparison) {
+                if (DataUtils.isEmpty(value)) return false;
+                const number = Number(value);
+                const target = Number(comparison[2]);
+                switch (comparison[1]) {
+                    case '>': return number > target;
+                    case '<': return number < target;
+                    case '>=': return number >= target;
+                    case '<=': return number <= target;
+                    case '!=': return number !== target;
+                    default: return number === target;
+                }
+            }
+        }
+
+        return DataUtils.formatValue(value).toLowerCase().includes(trimmed.toLowerCase());
+    }
+
+    /**
+     * Build CSV content from records
+     */
+    static toCSV(records, keys) {
+        const escapeCell = (value) => {
+            // Escape values that contain commas, quotes, or newlines
+            if (value === null || value === undefined) {
+                return '';
+            }
+            const stringValue = DataUtils.formatValue(value);
+            if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+                return '"' + stringValue.replace(/"/g, '""') + '"';
+            }
+            return stringValue;
+        };
+
+        const csvHeader = keys.map(escapeCell).join(',');
+        const csvRows = records.map(record => keys.map(key => escapeCell(record[key])).join(','));
+
+        return [csvHeader, ...csvRows].join('\n');
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataUtils;
+}
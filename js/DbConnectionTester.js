@@ -0,0 +1,154 @@
+/**
+ * DbConnectionTester class to verify database credentials before they are saved
+ */
+class DbConnectionTester {
+    constructor() {
+        this.apiService = new ApiService();
+        this.endpoint = API_CONFIG.ENDPOINTS.CLIENT_DB_TEST;
+    }
+
+    /**
+     * Map a driver error code or message to one of the FAILURES keys
+     * @param {string} code - errno (ENOTFOUND, ECONNREFUSED...) or SQLSTATE (28P01, 3D000...)
+     * @param {string} message - Error message from the server
+     * @returns {string} Failure class
+     */
+    static classifyFailure(code, message = '') {
+        if (code && DbConnectionTester.FAILURES[code]) {
+            return code;
+        }
+
+        switch (code) {
+            case 'ENOTFOUND':
+            case 'EAI_AGAIN':
+                return 'dns';
+            case 'ECONNREFUSED':
+            case 'EHOSTUNREACH':
+                return 'tcp_refused';
+            case 'ETIMEDOUT':
+            case 'ECONNRESET':
+                return 'timeout';
+            case '28P01':
+            case '28000':
+                return 'auth_failed';
+            case '3D000':
+                return 'database_missing';
+        }
+
+        const text = String(message).toLowerCase();
+        if (/ssl off|(ssl|encryption).*requir|requir.*(ssl|encryption)/.test(text)) return 'ssl_required';
+        if (/getaddrinfo|enotfound|could not translate host name/.test(text)) return 'dns';
+        if (/econnrefused|connection refused/.test(text)) return 'tcp_refused';
+        if (/timeout|timed out/.test(text)) return 'timeout';
+        if (/password authentication failed|authentication failed/.test(text)) return 'auth_failed';
+        if (/database .* does not exist/.test(text)) return 'database_missing';
+
+        return 'unknown';
+    }
+
+    /**
+     * Try to connect with the given credentials
+     * @param {Object} credentials - { user, host, database, password, port }
+     * @returns {Promise<Object>} { success, latencyMs, serverVersion, schemas } or { success: false, failure, error }
+     */
+    async test(credentials) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), API_CONFIG.DEFAULTS.DB_TEST_TIMEOUT);
+        const startedAt = performance.now();
+
+        try {
+            const response = await fetch(`${API_CONFIG.BASE_URL}${this.endpoint}`, {
+                method: 'POST',
+                headers: this.apiService.getHeaders(),
+                body: JSON.stringify(credentials),
+                signal: controller.signal
+            });
+            const roundTrip = Math.round(performance.now() - startedAt);
+
+            if (response.status === 401) {
+                this.apiService.handleAuthError();
+                return { success: false, failure: null, error: 'Session expired. Please log in again.' };
+            }
+
+            // The test endpoint reports connection failures in the body, so read it for any status
+            const data = await response.json().catch(() => ({}));
+            const result = DbProfileService.unwrap(data) || {};
+            const ok = response.ok && data.success !== false && result.success !== false;
+
+            if (ok) {
+                console.log('Connection test passed:', result);
+                return {
+                    success: true,
+                    latencyMs: result.latencyMs != null ? result.latencyMs : roundTrip,
+                    serverVersion: result.serverVersion || result.version || '',
+                    schemas: Array.isArray(result.schemas) ? result.schemas : []
+                };
+            }
+
+            const code = result.errorClass || result.code || data.code;
+            const error = result.message || result.error || data.message || data.error || `HTTP error! status: ${response.status}`;
+            console.log('Connection test failed:', code, error);
+
+            return this.failure(DbConnectionTester.classifyFailure(code, error), error);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return this.failure('timeout', 'The connection test did not finish in time');
+            }
+
+            console.error('Connection test request failed:', error);
+            return { success: false, failure: null, error: 'Network error: Unable to reach the server' };
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Build a failed test result
+     */
+    failure(failureClass, error) {
+        return {
+            success: false,
+            failure: { code: failureClass, ...DbConnectionTester.FAILURES[failureClass] },
+            error: error
+        };
+    }
+}
+
+/**
+ * Failure classes with a user-facing title and a hint on how to fix them
+ */
+DbConnectionTester.FAILURES = {
+    dns: {
+        title: 'Host not found',
+        hint: 'The host name could not be resolved. Check it for typos.'
+    },
+    tcp_refused: {
+        title: 'Connection refused',
+        hint: 'Nothing is accepting connections on that host and port. Check the port and that the server allows remote connections.'
+    },
+    timeout: {
+        title: 'Connection timed out',
+        hint: 'The server did not answer. A firewall or security group may be blocking the port.'
+    },
+    auth_failed: {
+        title: 'Authentication failed',
+        hint: 'The server rejected the username or password.'
+    },
+    database_missing: {
+        title: 'Database does not exist',
+        hint: 'The server is reachable but has no database with that name.'
+    },
+    ssl_required: {
+        title: 'SSL required',
+        hint: 'The server only accepts encrypted connections.'
+    },
+    unknown: {
+        title: 'Connection failed',
+        hint: 'The server returned an unexpected error.'
+    }
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DbConnectionTester;
+}
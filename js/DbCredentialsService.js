@@ -6,6 +6,14 @@ class DbCredentialsService {
     constructor() {
         this.isEditMode = false;
         this.isPasswordVisible = false;
+        this.profileService = new DbProfileService();
+        this.profiles = [];
+        this.useLegacyEndpoint = false; // Set when profiles can't be loaded; saves then go to the single-connection endpoint
+        this.editingProfileId = null; // null while creating a new profile
+        this.connectionTester = new DbConnectionTester();
+        this.lastTest = null; // { signature, result } of the most recent connection test
+        this.connectionParams = {}; // Extra parameters (e.g. application_name) from an imported connection string
+        this.securityFiles = {}; // { [inputId]: { name, content } } for uploaded certificates and keys
         this.init();
     }
 
@@ -70,14 +78,17 @@ class DbCredentialsService {
                 // New user, need to setup database credentials for the first time
                 this.isEditMode = false;
                 this.updatePageContent('Setup Database Connection', 'Configure your database connection settings', 'Save Credentials');
+                document.getElementById('profileName').value = 'Default';
+                document.getElementById('isDefault').checked = true;
             } else if (user.user && user.user.dbPassword === true) {
                 // Existing user with dbPassword = true, fetch and show existing credentials
                 this.isEditMode = true;
                 this.updatePageContent('Edit Database Connection', 'Update your database connection settings', 'Update Credentials');
                 document.getElementById('backToChat').style.display = 'block';
+                document.getElementById('profilesPanel').style.display = 'block';
                 
-                // Load existing credentials from API
-                this.loadExistingCredentials();
+                // Load the user's connection profiles from API
+                this.loadProfiles();
             } else {
                 // User has credentials but dbPassword is not true, redirect to chat
                 window.location.href = '../pages/chat.html';
@@ -110,6 +121,665 @@ class DbCredentialsService {
         document.getElementById('dbCredentialsForm').addEventListener('submit', (e) => {
             this.handleFormSubmission(e);
         });
+
+        // New profile
+        document.getElementById('newProfileBtn').addEventListener('click', () => {
+            this.startNewProfile();
+        });
+
+        // Connection string import
+        const connectionString = document.getElementById('connectionString');
+        document.getElementById('importConnectionBtn').addEventListener('click', () => {
+            this.importConnectionString();
+        });
+        connectionString.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault(); // Don't submit the form
+                this.importConnectionString();
+            }
+        });
+        connectionString.addEventListener('paste', () => {
+            // Value is only updated after the paste event
+            setTimeout(() => this.importConnectionString(), 0);
+        });
+
+        // SSL and SSH tunnel options
+        document.getElementById('sslMode').addEventListener('change', () => {
+            this.updateSslModeRequirements();
+            this.invalidateConnectionTest();
+        });
+
+        document.getElementById('sshEnabled').addEventListener('change', () => {
+            this.updateSshFieldsVisibility();
+            this.invalidateConnectionTest();
+        });
+
+        ['sshHost', 'sshPort', 'sshUser', 'sshPassphrase'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.invalidateConnectionTest();
+            });
+        });
+
+        Object.keys(DbCredentialsService.SECURITY_FILES).forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.handleSecurityFile(id, e.target);
+            });
+        });
+
+        // Connection test
+        document.getElementById('testConnectionBtn').addEventListener('click', () => {
+            this.runConnectionTest();
+        });
+
+        const requireTest = document.getElementById('requireTest');
+        requireTest.checked = localStorage.getItem(API_CONFIG.STORAGE_KEYS.REQUIRE_DB_TEST) === 'true';
+        requireTest.addEventListener('change', () => {
+            localStorage.setItem(API_CONFIG.STORAGE_KEYS.REQUIRE_DB_TEST, String(requireTest.checked));
+        });
+
+        // A test result only applies to the exact fields it was run with
+        DbCredentialsService.CONNECTION_FIELDS.forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.invalidateConnectionTest();
+            });
+        });
+    }
+
+    /**
+     * Fill the form from a pasted connection string
+     */
+    importConnectionString() {
+        const input = document.getElementById('connectionString');
+        const result = ConnectionStringParser.parse(input.value);
+
+        if (!result.success) {
+            this.showMessage(result.error, 'error');
+            return;
+        }
+
+        const { params, ...credentials } = result.data;
+        const { sslmode, sslrootcert, sslcert, sslkey, ...otherParams } = params;
+
+        if (sslmode && !DbCredentialsService.SSL_MODES.includes(sslmode)) {
+            this.showMessage(`Unknown sslmode "${sslmode}". Expected one of: ${DbCredentialsService.SSL_MODES.join(', ')}`, 'error');
+            return;
+        }
+
+        this.populateForm(credentials);
+        if (sslmode) {
+            document.getElementById('sslMode').value = sslmode;
+            this.updateSslModeRequirements();
+        }
+        this.connectionParams = otherParams;
+        this.invalidateConnectionTest();
+
+        const profileName = document.getElementById('profileName');
+        if (!profileName.value) {
+            profileName.value = credentials.database || credentials.host;
+        }
+
+        // The string usually contains the password, don't leave it lying around in plain text
+        input.value = '';
+
+        const missing = ['user', 'password', 'database'].filter(field => !credentials[field]);
+        const paramNames = Object.keys(otherParams);
+        let message = 'Connection string imported.';
+        if (sslmode) {
+            message += ` SSL mode set to ${sslmode}.`;
+        }
+        if (sslrootcert || sslcert || sslkey) {
+            // These are paths on the machine the string came from, the files have to be uploaded
+            message += ' Upload the certificate files referenced by the string below.';
+        }
+        if (paramNames.length > 0) {
+            message += ` Parameters: ${paramNames.map(name => `${name}=${otherParams[name]}`).join(', ')}.`;
+        }
+        message += missing.length > 0 ? ` Fill in the missing ${missing.join(', ')}.` : ' Review the fields and save.';
+        this.showMessage(message, 'success');
+    }
+
+    /**
+     * Read the connection fields from the form
+     */
+    getConnectionFields() {
+        return {
+            user: document.getElementById('user').value,
+            host: document.getElementById('host').value,
+            database: document.getElementById('database').value,
+            password: document.getElementById('password').value,
+            port: parseInt(document.getElementById('port').value),
+            params: this.connectionParams,
+            ...this.getSecurityOptions()
+        };
+    }
+
+    /**
+     * Read the SSL and SSH tunnel options from the form
+     * @returns {Object} { ssl: { mode, rootCert, cert, key }, sshTunnel: { host, port, user, privateKey, passphrase } | null }
+     */
+    getSecurityOptions() {
+        const fileContent = id => this.securityFiles[id] ? this.securityFiles[id].content : null;
+        const mode = document.getElementById('sslMode').value;
+        const useSsl = mode !== 'disable';
+
+        const ssl = {
+            mode: mode,
+            rootCert: useSsl ? fileContent('sslRootCert') : null,
+            cert: useSsl ? fileContent('sslCert') : null,
+            key: useSsl ? fileContent('sslKey') : null
+        };
+
+        let sshTunnel = null;
+        if (document.getElementById('sshEnabled').checked) {
+            sshTunnel = {
+                host: document.getElementById('sshHost').value.trim(),
+                port: parseInt(document.getElementById('sshPort').value) || API_CONFIG.DEFAULTS.SSH_PORT,
+                user: document.getElementById('sshUser').value.trim(),
+                privateKey: fileContent('sshPrivateKey'),
+                passphrase: document.getElementById('sshPassphrase').value || null
+            };
+        }
+
+        return { ssl, sshTunnel };
+    }
+
+    /**
+     * Fill the SSL and SSH tunnel options from a saved profile
+     */
+    populateSecurityOptions(ssl, sshTunnel) {
+        const savedFile = content => content ? { name: 'Saved file', content } : null;
+        ssl = ssl || {};
+        sshTunnel = sshTunnel || null;
+
+        document.getElementById('sslMode').value = DbCredentialsService.SSL_MODES.includes(ssl.mode) ? ssl.mode : 'prefer';
+        this.securityFiles = {
+            sslRootCert: savedFile(ssl.rootCert),
+            sslCert: savedFile(ssl.cert),
+            sslKey: savedFile(ssl.key),
+            sshPrivateKey: savedFile(sshTunnel && sshTunnel.privateKey)
+        };
+
+        document.getElementById('sshEnabled').checked = !!sshTunnel;
+        document.getElementById('sshHost').value = sshTunnel ? sshTunnel.host || '' : '';
+        document.getElementById('sshPort').value = sshTunnel ? sshTunnel.port || '' : '';
+        document.getElementById('sshUser').value = sshTunnel ? sshTunnel.user || '' : '';
+        document.getElementById('sshPassphrase').value = sshTunnel ? sshTunnel.passphrase || '' : '';
+
+        Object.keys(DbCredentialsService.SECURITY_FILES).forEach(id => {
+            document.getElementById(id).value = '';
+            this.updateFileStatus(id);
+        });
+        this.updateSslModeRequirements();
+        this.updateSshFieldsVisibility();
+    }
+
+    /**
+     * Read an uploaded certificate or key locally and check it looks like PEM
+     */
+    async handleSecurityFile(id, input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        const { label, pattern } = DbCredentialsService.SECURITY_FILES[id];
+
+        if (file.size > API_CONFIG.DEFAULTS.MAX_KEY_FILE_SIZE) {
+            this.showMessage(`${label} "${file.name}" is too large to be a PEM file`, 'error');
+            input.value = '';
+            return;
+        }
+
+        try {
+            const content = await this.readFileAsText(file);
+            if (!pattern.test(content)) {
+                this.showMessage(`"${file.name}" does not look like a PEM encoded ${label.toLowerCase()}`, 'error');
+                input.value = '';
+                return;
+            }
+
+            this.securityFiles[id] = { name: file.name, content };
+            this.showMessage('', 'error');
+        } catch (error) {
+            console.error('Error reading file:', error);
+            this.showMessage(`Unable to read "${file.name}"`, 'error');
+            input.value = '';
+            return;
+        }
+
+        this.updateFileStatus(id);
+        this.invalidateConnectionTest();
+    }
+
+    /**
+     * Read a File as text with FileReader
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Show which file is loaded for a certificate or key input, with a way to remove it
+     */
+    updateFileStatus(id) {
+        const status = document.getElementById(`${id}Status`);
+        const file = this.securityFiles[id];
+        status.innerHTML = '';
+        status.classList.toggle('loaded', !!file);
+
+        if (!file) {
+            status.textContent = 'No file selected';
+            return;
+        }
+
+        status.textContent = `${file.name} loaded `;
+
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.className = 'file-clear-btn';
+        clearBtn.textContent = 'Remove';
+        clearBtn.addEventListener('click', () => {
+            this.securityFiles[id] = null;
+            document.getElementById(id).value = '';
+            this.updateFileStatus(id);
+            this.invalidateConnectionTest();
+        });
+        status.appendChild(clearBtn);
+    }
+
+    /**
+     * Mark the CA certificate as required for verifying modes and hide files when SSL is off
+     */
+    updateSslModeRequirements() {
+        const mode = document.getElementById('sslMode').value;
+        const verifies = mode === 'verify-ca' || mode === 'verify-full';
+
+        document.getElementById('sslRootCertRequirement').textContent = verifies ? '(required)' : '(optional)';
+        document.querySelectorAll('#sslSection .ssl-file-group').forEach(group => {
+            group.style.display = mode === 'disable' ? 'none' : 'flex';
+        });
+    }
+
+    /**
+     * Show the SSH tunnel fields when the tunnel is enabled
+     */
+    updateSshFieldsVisibility() {
+        document.getElementById('sshFields').style.display = document.getElementById('sshEnabled').checked ? 'grid' : 'none';
+    }
+
+    /**
+     * Validate the SSL and SSH tunnel options
+     */
+    validateSecurityOptions(options) {
+        const { ssl, sshTunnel } = options;
+
+        if ((ssl.mode === 'verify-ca' || ssl.mode === 'verify-full') && !ssl.rootCert) {
+            this.showMessage(`SSL mode ${ssl.mode} needs the server's CA certificate`, 'error');
+            return false;
+        }
+
+        if (!!ssl.cert !== !!ssl.key) {
+            this.showMessage('Upload both the client certificate and its key, or neither', 'error');
+            return false;
+        }
+
+        if (sshTunnel) {
+            if (!sshTunnel.host || !sshTunnel.user || !sshTunnel.privateKey) {
+                this.showMessage('The SSH tunnel needs a bastion host, username and private key', 'error');
+                return false;
+            }
+
+            if (/\s|:\/\//.test(sshTunnel.host)) {
+                this.showMessage('Enter the bastion host name without spaces or a scheme', 'error');
+                return false;
+            }
+
+            if (sshTunnel.port < API_CONFIG.DEFAULTS.PORT_MIN || sshTunnel.port > API_CONFIG.DEFAULTS.PORT_MAX) {
+                this.showMessage(`SSH port must be between ${API_CONFIG.DEFAULTS.PORT_MIN} and ${API_CONFIG.DEFAULTS.PORT_MAX}`, 'error');
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Key identifying the fields a connection test was run with
+     */
+    getConnectionSignature(fields) {
+        return JSON.stringify([fields.user, fields.host, fields.database, fields.password, fields.port,
+            fields.params, fields.ssl, fields.sshTunnel]);
+    }
+
+    /**
+     * Check whether the current form fields have passed a connection test
+     */
+    hasPassingTest(fields) {
+        return !!(this.lastTest && this.lastTest.result.success &&
+            this.lastTest.signature === this.getConnectionSignature(fields));
+    }
+
+    /**
+     * Test the connection with the current form fields and show the outcome
+     * @returns {Promise<Object>} Test result
+     */
+    async runConnectionTest() {
+        const fields = this.getConnectionFields();
+        if (!fields.user || !fields.host || !fields.database || !fields.password || !fields.port) {
+            this.showMessage('Fill in all connection fields before testing', 'error');
+            return { success: false };
+        }
+        if (!this.validateSecurityOptions(fields)) {
+            return { success: false };
+        }
+
+        const testBtn = document.getElementById('testConnectionBtn');
+        testBtn.disabled = true;
+        testBtn.textContent = 'Testing...';
+        this.showMessage('', 'error');
+
+        const result = await this.connectionTester.test(fields);
+
+        testBtn.disabled = false;
+        testBtn.textContent = 'Test Connection';
+
+        this.lastTest = { signature: this.getConnectionSignature(fields), result };
+        this.renderTestResult(result);
+
+        return result;
+    }
+
+    /**
+     * Render a connection test result below the form
+     */
+    renderTestResult(result) {
+        const container = document.getElementById('testResult');
+        container.innerHTML = '';
+        container.className = `test-result ${result.success ? 'passed' : 'failed'}`;
+
+        const title = document.createElement('div');
+        title.className = 'test-result-title';
+
+        const details = document.createElement('div');
+        details.className = 'test-result-details';
+
+        const addDetail = (label, value) => {
+            const row = document.createElement('div');
+            const strong = document.createElement('strong');
+            strong.textContent = `${label}: `;
+            row.appendChild(strong);
+            row.appendChild(document.createTextNode(value));
+            details.appendChild(row);
+        };
+
+        if (result.success) {
+            title.textContent = `Connection successful (${result.latencyMs} ms)`;
+            if (result.serverVersion) {
+                addDetail('Server', result.serverVersion);
+            }
+
+            const shown = result.schemas.slice(0, DbCredentialsService.MAX_LISTED_SCHEMAS);
+            const hidden = result.schemas.length - shown.length;
+            addDetail('Schemas', shown.length > 0
+                ? shown.join(', ') + (hidden > 0 ? ` and ${hidden} more` : '')
+                : 'none visible to this user');
+        } else if (result.failure) {
+            title.textContent = result.failure.title;
+            addDetail('Hint', result.failure.hint);
+            addDetail('Details', result.error);
+        } else {
+            title.textContent = 'Connection test could not run';
+            addDetail('Details', result.error);
+        }
+
+        container.appendChild(title);
+        container.appendChild(details);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Forget the last test result once the fields it was run with change
+     */
+    invalidateConnectionTest() {
+        if (!this.lastTest || this.lastTest.signature === this.getConnectionSignature(this.getConnectionFields())) {
+            return;
+        }
+
+        this.lastTest = null;
+        document.getElementById('testResult').style.display = 'none';
+    }
+
+    /**
+     * Load connection profiles and open the requested (or default) one
+     * @param {string} selectProfileId - Profile to open after loading
+     */
+    async loadProfiles(selectProfileId = null) {
+        const result = await this.profileService.list();
+        const params = new URLSearchParams(window.location.search);
+
+        if (!result.success) {
+            // Fall back to the single legacy connection
+            console.error('Error loading connection profiles:', result.error);
+            this.useLegacyEndpoint = true;
+            this.profiles = [];
+            this.renderProfileList();
+            this.loadExistingCredentials();
+            return;
+        }
+
+        this.useLegacyEndpoint = false;
+        this.profiles = result.profiles;
+        this.renderProfileList();
+
+        if (!selectProfileId && params.get('new')) {
+            this.startNewProfile();
+            return;
+        }
+
+        const requestedId = selectProfileId || params.get('profile');
+        const profile = this.profiles.find(p => p.id === requestedId) || DbProfileService.getDefault(this.profiles);
+
+        if (profile) {
+            await this.editProfile(profile.id);
+        } else {
+            // Accounts created before profiles existed: offer the legacy connection as the first profile
+            this.startNewProfile();
+            document.getElementById('profileName').value = 'Default';
+            document.getElementById('isDefault').checked = true;
+            this.loadExistingCredentials();
+        }
+    }
+
+    /**
+     * Render the list of profiles
+     */
+    renderProfileList() {
+        const list = document.getElementById('profileList');
+        list.innerHTML = '';
+
+        if (this.profiles.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'profile-empty';
+            empty.textContent = 'No profiles yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+            if (profile.id === this.editingProfileId) {
+                item.classList.add('active');
+            }
+
+            const info = document.createElement('div');
+            info.className = 'profile-info';
+
+            const name = document.createElement('span');
+            name.className = 'profile-name';
+            name.textContent = profile.name;
+            if (profile.isDefault) {
+                const badge = document.createElement('span');
+                badge.className = 'profile-default-badge';
+                badge.textContent = 'Default';
+                name.appendChild(badge);
+            }
+            if (profile.readOnly) {
+                const badge = document.createElement('span');
+                badge.className = 'profile-default-badge read-only';
+                badge.textContent = 'Read-only';
+                name.appendChild(badge);
+            }
+
+            const meta = document.createElement('span');
+            meta.className = 'profile-meta';
+            meta.textContent = `${profile.user}@${profile.host}:${profile.port}/${profile.database}`;
+
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'profile-actions';
+
+            if (!profile.isDefault) {
+                const defaultBtn = document.createElement('button');
+                defaultBtn.type = 'button';
+                defaultBtn.className = 'profile-action-btn';
+                defaultBtn.textContent = 'Set default';
+                defaultBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.makeDefault(profile.id);
+                });
+                actions.appendChild(defaultBtn);
+            }
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'profile-action-btn delete';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteProfile(profile.id);
+            });
+            actions.appendChild(deleteBtn);
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            item.addEventListener('click', () => this.editProfile(profile.id));
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Load a profile into the form for editing
+     */
+    async editProfile(profileId) {
+        const listed = this.profiles.find(p => p.id === profileId);
+        this.editingProfileId = profileId;
+        this.connectionParams = {};
+        this.renderProfileList();
+
+        this.showLoading(true);
+        const result = await this.profileService.get(profileId);
+        this.showLoading(false);
+
+        const profile = result.success ? result.profile : listed;
+        if (!result.success) {
+            this.showMessage(`Failed to load profile: ${result.error}`, 'error');
+        } else {
+            this.showMessage('', 'error');
+        }
+        if (!profile) return;
+
+        // Keep parameters imported from a connection string when the profile is saved again
+        this.connectionParams = { ...(profile.params || {}) };
+        this.populateForm(profile);
+        document.getElementById('isDefault').checked = !!(listed && listed.isDefault);
+        this.updatePageContent(`Edit "${profile.name}"`, 'Update this connection profile', 'Update Profile');
+    }
+
+    /**
+     * Clear the form for a new profile
+     */
+    startNewProfile() {
+        this.editingProfileId = null;
+        this.renderProfileList();
+        this.clearFormFields();
+        document.getElementById('isDefault').checked = this.profiles.length === 0;
+        this.showMessage('', 'error');
+        this.updatePageContent('New Connection Profile', 'Add another database to ask questions against', 'Save Profile');
+    }
+
+    /**
+     * Make a profile the default
+     */
+    async makeDefault(profileId) {
+        const result = await this.profileService.setDefault(profileId);
+        if (!result.success) {
+            this.showMessage(`Failed to set default profile: ${result.error}`, 'error');
+            return;
+        }
+
+        this.profiles.forEach(profile => {
+            profile.isDefault = profile.id === profileId;
+        });
+        this.renderProfileList();
+        if (this.editingProfileId === profileId) {
+            document.getElementById('isDefault').checked = true;
+        }
+        this.showMessage('Default profile updated', 'success');
+    }
+
+    /**
+     * Delete a profile after confirmation
+     */
+    async deleteProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile || !confirm(`Delete the "${profile.name}" profile?`)) {
+            return;
+        }
+
+        const result = await this.profileService.remove(profileId);
+        if (!result.success) {
+            this.showMessage(`Failed to delete profile: ${result.error}`, 'error');
+            return;
+        }
+
+        this.showMessage(`Profile "${profile.name}" deleted`, 'success');
+        await this.loadProfiles(this.editingProfileId === profileId ? null : this.editingProfileId);
+    }
+
+    /**
+     * Fill the form from a profile or legacy credentials
+     */
+    populateForm(credentials) {
+        const fields = {
+            profileName: credentials.name,
+            user: credentials.user,
+            host: credentials.host,
+            database: credentials.database,
+            password: credentials.password,
+            port: credentials.port
+        };
+
+        Object.entries(fields).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            if (field && value !== undefined) field.value = value || '';
+        });
+
+        // Imported connection strings and legacy credentials carry no SSL/SSH options
+        if (credentials.ssl !== undefined) {
+            this.populateSecurityOptions(credentials.ssl, credentials.sshTunnel);
+        }
+        if (credentials.readOnly !== undefined) {
+            document.getElementById('readOnly').checked = !!credentials.readOnly;
+        }
+
+        this.invalidateConnectionTest();
     }
 
     /**
@@ -161,20 +831,9 @@ class DbCredentialsService {
                 
                 if (isSuccess && credentials) {
                     
-                    // Check if form elements exist
-                    const userField = document.getElementById('user');
-                    const hostField = document.getElementById('host');
-                    const databaseField = document.getElementById('database');
-                    const passwordField = document.getElementById('password');
-                    const portField = document.getElementById('port');
-                    
-                    
                     // Populate form with existing credentials
-                    if (userField) userField.value = credentials.user || '';
-                    if (hostField) hostField.value = credentials.host || '';
-                    if (databaseField) databaseField.value = credentials.database || '';
-                    if (passwordField) passwordField.value = credentials.password || '';
-                    if (portField) portField.value = credentials.port || '';
+                    this.connectionParams = { ...(credentials.params || {}) };
+                    this.populateForm(credentials);
                     
                     
                     this.showMessage('Existing credentials loaded successfully', 'success');
@@ -205,11 +864,16 @@ class DbCredentialsService {
         
         const formData = new FormData(e.target);
         const credentials = {
+            name: (formData.get('profileName') || '').trim(),
+            isDefault: formData.get('isDefault') === 'on',
+            readOnly: formData.get('readOnly') === 'on',
             user: formData.get('user'),
             host: formData.get('host'),
             database: formData.get('database'),
             password: formData.get('password'),
-            port: parseInt(formData.get('port'))
+            port: parseInt(formData.get('port')),
+            params: this.connectionParams,
+            ...this.getSecurityOptions()
         };
 
         // Validate form data
@@ -217,47 +881,50 @@ class DbCredentialsService {
             return;
         }
 
+        if (document.getElementById('requireTest').checked && !this.hasPassingTest(credentials)) {
+            const testResult = await this.runConnectionTest();
+            if (!testResult.success) {
+                this.showMessage('Saving is blocked until the connection test passes', 'error');
+                return;
+            }
+        }
+
         try {
             this.showLoading(true);
             this.showMessage('', 'error');
             this.showMessage('', 'success');
 
-            const token = this.getAuthToken();
-            const action = this.isEditMode ? 'updating' : 'saving';
-            this.showMessage(`${action.charAt(0).toUpperCase() + action.slice(1)} database credentials...`, 'success');
+            const isUpdate = !!this.editingProfileId;
+            const action = isUpdate ? 'updating' : 'saving';
+            this.showMessage(`${action.charAt(0).toUpperCase() + action.slice(1)} connection profile...`, 'success');
             
-            const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.CLIENT_DB}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': API_CONFIG.HEADERS.CONTENT_TYPE,
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify(credentials)
-            });
-
-            const data = await response.json();
+            const result = this.useLegacyEndpoint
+                ? await this.saveLegacyCredentials(credentials)
+                : await this.profileService.save({ id: this.editingProfileId, ...credentials });
             this.showLoading(false);
 
-
-            // Handle different response structures - consider it successful if status is ok and we have a message
-            const isSuccess = data.success === true || (response.ok && (data.message || data.success !== false));
-
-            if (isSuccess) {
-                const successMessage = this.isEditMode 
-                    ? 'Database credentials updated successfully!' 
-                    : 'Database credentials saved successfully!';
+            if (result.success) {
+                const successMessage = isUpdate 
+                    ? `Profile "${credentials.name}" updated successfully!` 
+                    : `Profile "${credentials.name}" saved successfully!`;
                 this.showMessage(successMessage, 'success');
                 
                 
                 // Update localStorage: set dbPassword to true after successful API call
                 this.updateUserDataInStorage();
 
-                // Redirect to chat page after successful save/update
-                setTimeout(() => {
-                    window.location.href = '../pages/chat.html';
-                }, API_CONFIG.DEFAULTS.REDIRECT_DELAY);
+                if (!this.isEditMode) {
+                    // First-time setup: redirect to chat page after successful save
+                    setTimeout(() => {
+                        window.location.href = '../pages/chat.html';
+                    }, API_CONFIG.DEFAULTS.REDIRECT_DELAY);
+                } else {
+                    // Managing profiles: stay here and refresh the list
+                    await this.loadProfiles(result.profile.id);
+                    this.showMessage(successMessage, 'success');
+                }
             } else {
-                this.showMessage(data.message || `Failed to ${action} credentials`, 'error');
+                this.showMessage(result.error || `Failed to ${action} profile`, 'error');
             }
         } catch (error) {
             this.showLoading(false);
@@ -266,10 +933,46 @@ class DbCredentialsService {
         }
     }
 
+    /**
+     * Save to the single-connection endpoint used before profiles existed
+     * @returns {Promise<Object>} Same shape as DbProfileService.save()
+     */
+    async saveLegacyCredentials(credentials) {
+        const { name, isDefault, ...fields } = credentials;
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.CLIENT_DB}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': API_CONFIG.HEADERS.CONTENT_TYPE,
+                'Authorization': `Bearer ${this.getAuthToken()}`
+            },
+            body: JSON.stringify(fields)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        // Handle different response structures - consider it successful if status is ok and we have a message
+        const isSuccess = data.success === true || (response.ok && (data.message || data.success !== false));
+
+        return isSuccess
+            ? { success: true, profile: { ...credentials, id: null } }
+            : { success: false, error: data.message || 'Failed to save credentials' };
+    }
+
     /**
      * Validate credentials
      */
     validateCredentials(credentials) {
+        if (!credentials.name) {
+            this.showMessage('Please give this profile a name', 'error');
+            return false;
+        }
+
+        const duplicate = this.profiles.find(profile =>
+            profile.id !== this.editingProfileId && profile.name.toLowerCase() === credentials.name.toLowerCase());
+        if (duplicate) {
+            this.showMessage(`A profile named "${duplicate.name}" already exists`, 'error');
+            return false;
+        }
+
         if (!credentials.user || !credentials.host || !credentials.database || !credentials.password || !credentials.port) {
             this.showMessage('Please fill in all fields', 'error');
             return false;
@@ -280,7 +983,7 @@ class DbCredentialsService {
             return false;
         }
 
-        return true;
+        return this.validateSecurityOptions(credentials);
     }
 
     /**
@@ -332,11 +1035,16 @@ class DbCredentialsService {
      * Clear form fields
      */
     clearFormFields() {
+        document.getElementById('profileName').value = '';
         document.getElementById('user').value = '';
         document.getElementById('host').value = '';
         document.getElementById('database').value = '';
         document.getElementById('password').value = '';
         document.getElementById('port').value = '';
+        document.getElementById('readOnly').checked = true;
+        this.connectionParams = {};
+        this.populateSecurityOptions(null, null);
+        this.invalidateConnectionTest();
     }
 
     /**
@@ -359,6 +1067,23 @@ class DbCredentialsService {
     }
 }
 
+/**
+ * Form fields a connection test depends on
+ */
+DbCredentialsService.CONNECTION_FIELDS = ['user', 'host', 'database', 'password', 'port'];
+DbCredentialsService.MAX_LISTED_SCHEMAS = 10;
+DbCredentialsService.SSL_MODES = ['disable', 'allow', 'prefer', 'require', 'verify-ca', 'verify-full'];
+
+/**
+ * Certificate and key inputs with the PEM header each must contain
+ */
+DbCredentialsService.SECURITY_FILES = {
+    sslRootCert: { label: 'CA certificate', pattern: /-----BEGIN CERTIFICATE-----/ },
+    sslCert: { label: 'Client certificate', pattern: /-----BEGIN CERTIFICATE-----/ },
+    sslKey: { label: 'Client key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+    sshPrivateKey: { label: 'SSH private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ }
+};
+
 // Initialize the service when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     new DbCredentialsService();
@@ -0,0 +1,161 @@
+/**
+ * DbProfileService class to manage named database connection profiles
+ */
+class DbProfileService {
+    constructor() {
+        this.apiService = new ApiService();
+        this.endpoint = API_CONFIG.ENDPOINTS.CLIENT_DB_PROFILES;
+    }
+
+    /**
+     * Normalize a profile from the server into { id, name, user, host, database, port, password, params, ssl, sshTunnel, isDefault, readOnly }
+     * @param {Object} raw - Profile as returned by the API
+     * @returns {Object} Normalized profile
+     */
+    static normalize(raw) {
+        const credentials = raw.decryptedCredentials || raw.credentials || raw;
+        return {
+            id: raw._id || raw.id,
+            name: raw.name || raw.profileName || credentials.database || 'Untitled',
+            user: credentials.user || '',
+            host: credentials.host || '',
+            database: credentials.database || '',
+            port: credentials.port || '',
+            password: credentials.password || '',
+            params: credentials.params && typeof credentials.params === 'object' ? credentials.params : {}, // Extra connection string parameters
+            ssl: credentials.ssl || null,
+            sshTunnel: credentials.sshTunnel || null,
+            isDefault: !!(raw.isDefault || raw.default),
+            readOnly: !!(raw.readOnly || raw.read_only)
+        };
+    }
+
+    /**
+     * Keep only what is needed to pick a profile; no password, certificates or keys
+     * @param {Object} profile - Normalized profile
+     * @returns {Object} { id, name, host, database, isDefault, readOnly }
+     */
+    static toMetadata(profile) {
+        return {
+            id: profile.id,
+            name: profile.name,
+            host: profile.host,
+            database: profile.database,
+            isDefault: profile.isDefault,
+            readOnly: profile.readOnly
+        };
+    }
+
+    /**
+     * Pick the default profile, falling back to the first one
+     * @param {Array<Object>} profiles - Normalized profiles
+     * @returns {Object|null} Default profile
+     */
+    static getDefault(profiles) {
+        return profiles.find(profile => profile.isDefault) || profiles[0] || null;
+    }
+
+    /**
+     * Short label for a profile, e.g. "Staging (db.internal/app)"
+     */
+    static describe(profile) {
+        const target = [profile.host, profile.database].filter(Boolean).join('/');
+        return target ? `${profile.name} (${target})` : profile.name;
+    }
+
+    /**
+     * Extract the payload from API responses that may or may not wrap it in { data }
+     */
+    static unwrap(data) {
+        return data && data.data !== undefined ? data.data : data;
+    }
+
+    /**
+     * List the user's profiles
+     * @param {Object} options - { metadataOnly } to ask for and keep only names and flags, not credentials
+     * @returns {Promise<Object>} Result with normalized profiles
+     */
+    async list(options = {}) {
+        const endpoint = options.metadataOnly ? `${this.endpoint}?metadataOnly=true` : this.endpoint;
+        const response = await this.apiService.makeRequest(endpoint, { method: 'GET' });
+        if (!response.success) {
+            return { success: false, error: response.error, profiles: [] };
+        }
+
+        const payload = DbProfileService.unwrap(response.data);
+        const rawProfiles = Array.isArray(payload) ? payload : (payload && payload.profiles) || [];
+
+        const profiles = rawProfiles.map(profile => DbProfileService.normalize(profile));
+        return {
+            success: true,
+            profiles: options.metadataOnly ? profiles.map(profile => DbProfileService.toMetadata(profile)) : profiles
+        };
+    }
+
+    /**
+     * Get a single profile including its credentials
+     * @param {string} profileId - Profile ID
+     */
+    async get(profileId) {
+        const endpoint = `${this.endpoint}/${encodeURIComponent(profileId)}`;
+        const response = await this.apiService.makeRequest(endpoint, { method: 'GET' });
+        if (!response.success) {
+            return { success: false, error: response.error };
+        }
+
+        return {
+            success: true,
+            profile: DbProfileService.normalize(DbProfileService.unwrap(response.data))
+        };
+    }
+
+    /**
+     * Create or update a profile
+     * @param {Object} profile - Profile fields; updates when profile.id is set
+     */
+    async save(profile) {
+        const { id, ...fields } = profile;
+        const endpoint = id ? `${this.endpoint}/${encodeURIComponent(id)}` : this.endpoint;
+
+        const response = await this.apiService.makeRequest(endpoint, {
+            method: id ? 'PUT' : 'POST',
+            body: JSON.stringify(fields)
+        });
+        if (!response.success) {
+            return { success: false, error: response.error };
+        }
+
+        const saved = DbProfileService.unwrap(response.data);
+        const savedId = (saved && (saved._id || saved.id || saved.insertedId)) || id;
+
+        return {
+            success: true,
+            profile: { ...profile, id: savedId }
+        };
+    }
+
+    /**
+     * Delete a profile
+     * @param {string} profileId - Profile ID
+     */
+    async remove(profileId) {
+        const endpoint = `${this.endpoint}/${encodeURIComponent(profileId)}`;
+        const response = await this.apiService.makeRequest(endpoint, { method: 'DELETE' });
+        return { success: response.success, error: response.error };
+    }
+
+    /**
+     * Make a profile the user's default
+     * @param {string} profileId - Profile ID
+     */
+    async setDefault(profileId) {
+        const endpoint = `${this.endpoint}/${encodeURIComponent(profileId)}/default`;
+        const response = await this.apiService.makeRequest(endpoint, { method: 'POST' });
+        return { success: response.success, error: response.error };
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DbProfileService;
+}
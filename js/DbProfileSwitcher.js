@@ -0,0 +1,131 @@
+/**
+ * DbProfileSwitcher class to pick the database profile for the current chat from the chat header
+ */
+class DbProfileSwitcher {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+        this.profileService = new DbProfileService();
+        this.profiles = [];
+        this.container = null;
+        this.select = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createElement();
+        this.setupEventListeners();
+        this.loadProfiles();
+    }
+
+    /**
+     * Create the switcher and place it next to the DB credentials button
+     */
+    createElement() {
+        this.container = document.createElement('div');
+        this.container.className = 'db-profile-switcher';
+        this.container.style.display = 'none'; // Shown once profiles are loaded
+
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-server';
+
+        this.select = document.createElement('select');
+        this.select.className = 'db-profile-select';
+        this.select.id = 'dbProfileSelect';
+        this.select.title = 'Database this chat asks against';
+
+        this.container.appendChild(icon);
+        this.container.appendChild(this.select);
+
+        const dbCredentialsBtn = document.getElementById('dbCredentialsBtn');
+        if (dbCredentialsBtn) {
+            dbCredentialsBtn.parentNode.insertBefore(this.container, dbCredentialsBtn);
+        }
+    }
+
+    setupEventListeners() {
+        this.select.addEventListener('change', () => {
+            const profileId = this.select.value;
+            console.log('Switching database profile:', profileId);
+            this.chatManager.setChatDbProfile(this.chatManager.currentChatId, profileId);
+        });
+
+        window.addEventListener('currentChatChanged', () => {
+            this.syncSelection();
+        });
+
+        window.addEventListener('chatCreated', () => {
+            this.syncSelection();
+        });
+    }
+
+    /**
+     * Load the user's profiles and fill the select
+     */
+    async loadProfiles() {
+        // The chat page only needs names and flags; credentials stay on the profiles page
+        const result = await this.profileService.list({ metadataOnly: true });
+
+        if (!result.success) {
+            console.error('Error loading database profiles:', result.error);
+            this.container.style.display = 'none';
+            this.chatManager.setDbProfiles(null);
+            return;
+        }
+
+        this.profiles = result.profiles;
+        this.chatManager.setDbProfiles(this.profiles);
+
+        this.renderOptions();
+        this.syncSelection();
+
+        this.container.style.display = this.profiles.length > 0 ? 'flex' : 'none';
+
+        window.dispatchEvent(new CustomEvent('dbProfilesLoaded', {
+            detail: { profiles: this.profiles }
+        }));
+    }
+
+    /**
+     * Render one option per profile
+     */
+    renderOptions() {
+        this.select.innerHTML = '';
+
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            const flags = [profile.isDefault && 'default', profile.readOnly && 'read-only'].filter(Boolean);
+            option.textContent = flags.length > 0 ? `${profile.name} (${flags.join(', ')})` : profile.name;
+            option.title = DbProfileService.describe(profile);
+            this.select.appendChild(option);
+        });
+    }
+
+    /**
+     * Show the profile of the current chat, falling back to the default
+     * if the chat's profile has since been deleted
+     */
+    syncSelection() {
+        if (this.profiles.length === 0) return;
+
+        const chatId = this.chatManager.currentChatId;
+        const profileId = this.chatManager.getChatDbProfileId(chatId);
+
+        if (this.profiles.some(profile => profile.id === profileId)) {
+            this.select.value = profileId;
+            return;
+        }
+
+        const fallbackId = this.chatManager.defaultDbProfileId || this.profiles[0].id;
+        this.select.value = fallbackId;
+
+        // Keep the chat consistent with what the header shows
+        const chat = this.chatManager.getChat(chatId);
+        if (chat && chat.dbProfileId) {
+            this.chatManager.setChatDbProfile(chatId, fallbackId);
+        } else if (!chat && this.chatManager.selectedDbProfileId) {
+            this.chatManager.selectedDbProfileId = null;
+        }
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * ExportDialog class to pick an export format and show progress while conversations are exported
+ */
+class ExportDialog {
+    /**
+     * @param {string} title - What is being exported, e.g. the chat name
+     * @param {Function} onExport - async (format, onProgress) => result of ChatExporter.buildExport()
+     */
+    constructor(title, onExport) {
+        this.title = title;
+        this.onExport = onExport;
+        this.overlay = null;
+        this.isExporting = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    open() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay active export-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal export-modal" role="dialog" aria-labelledby="exportTitle">
+                <div class="modal-header">
+                    <h3 id="exportTitle">Export conversation</h3>
+                    <button class="modal-close" type="button" title="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="export-subject"></p>
+                    <div class="export-formats" role="radiogroup"></div>
+                    <div class="export-status"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary export-cancel" type="button">Cancel</button>
+                    <button class="btn btn-primary export-run" type="button">
+                        <i class="fas fa-download"></i> Export
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.querySelector('.export-subject').textContent = this.title;
+
+        const formats = this.overlay.querySelector('.export-formats');
+        ChatExporter.FORMATS.forEach((format, index) => {
+            const option = document.createElement('label');
+            option.className = 'export-format';
+            option.innerHTML = `
+                <input type="radio" name="exportFormat" value="${format.id}"${index === 0 ? ' checked' : ''}>
+                <i class="${format.icon}"></i>
+                <span class="export-format-text">
+                    <span class="export-format-label"></span>
+                    <span class="export-format-description"></span>
+                </span>
+            `;
+            option.querySelector('.export-format-label').textContent = format.label;
+            option.querySelector('.export-format-description').textContent = format.description;
+            formats.appendChild(option);
+        });
+
+        this.runBtn = this.overlay.querySelector('.export-run');
+        this.runBtn.addEventListener('click', () => this.run());
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.overlay.querySelector('.export-cancel').addEventListener('click', () => this.close());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+        document.addEventListener('keydown', this.handleKeydown);
+
+        document.body.appendChild(this.overlay);
+        this.runBtn.focus();
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+
+    setStatus(text, type = 'info') {
+        if (!this.overlay) return;
+        const status = this.overlay.querySelector('.export-status');
+        status.className = `export-status ${type}`;
+        status.textContent = text;
+    }
+
+    async run() {
+        if (this.isExporting) return;
+
+        const format = this.overlay.querySelector('input[name="exportFormat"]:checked').value;
+        this.isExporting = true;
+        this.runBtn.disabled = true;
+        this.runBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Exporting...';
+        this.overlay.querySelectorAll('input[name="exportFormat"]').forEach(input => {
+            input.disabled = true;
+        });
+
+        let result;
+        try {
+            result = await this.onExport(format, (text) => this.setStatus(text));
+        } catch (error) {
+            console.error('Error exporting conversations:', error);
+            result = { success: false, error: error.message };
+        }
+
+        // Closing the dialog cancels the download
+        if (!this.overlay) return;
+
+        if (result && result.success) {
+            ChatExporter.download(result.content, result.fileName, result.mimeType);
+            console.log('Exported conversations:', result.fileName);
+
+            if (result.skipped && result.skipped.length > 0) {
+                this.showSkipped(result.skipped);
+            } else {
+                this.close();
+            }
+            return;
+        }
+
+        this.isExporting = false;
+        this.runBtn.disabled = false;
+        this.runBtn.innerHTML = '<i class="fas fa-download"></i> Export';
+        this.overlay.querySelectorAll('input[name="exportFormat"]').forEach(input => {
+            input.disabled = false;
+        });
+        this.setStatus((result && result.error) || 'Export failed', 'error');
+    }
+
+    /**
+     * Keep the dialog open after a partial export to list the chats that were left out
+     */
+    showSkipped(skipped) {
+        this.isExporting = false;
+        this.runBtn.remove();
+        this.overlay.querySelector('.export-formats').remove();
+        this.overlay.querySelector('.export-cancel').textContent = 'Done';
+
+        const names = skipped.map(item => `${item.name} (${item.error})`).join(', ');
+        this.setStatus(`Downloaded without ${skipped.length} conversation${skipped.length === 1 ? '' : 's'} that couldn't be loaded: ${names}`, 'error');
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * ImportDialog class to review a conversation file, choose how conflicts are merged and show the outcome
+ */
+class ImportDialog {
+    /**
+     * @param {string} fileName - Name of the picked file
+     * @param {Object} parsed - Result of ChatImporter.parse()
+     * @param {number} conflictCount - Conversations in the file that are already in the chat list
+     * @param {Function} onImport - async ({ strategy, pushToServer }, onProgress) => summary from ChatManager.importChats()
+     */
+    constructor(fileName, parsed, conflictCount, onImport) {
+        this.fileName = fileName;
+        this.parsed = parsed;
+        this.conflictCount = conflictCount;
+        this.onImport = onImport;
+        this.overlay = null;
+        this.isImporting = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    open() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay active import-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal import-modal" role="dialog" aria-labelledby="importTitle">
+                <div class="modal-header">
+                    <h3 id="importTitle">Import conversations</h3>
+                    <button class="modal-close" type="button" title="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="import-summary"></p>
+                    <div class="import-options"></div>
+                    <ul class="import-errors"></ul>
+                    <div class="import-status"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary import-cancel" type="button">Cancel</button>
+                    <button class="btn btn-primary import-run" type="button">
+                        <i class="fas fa-file-import"></i> Import
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.runBtn = this.overlay.querySelector('.import-run');
+        this.cancelBtn = this.overlay.querySelector('.import-cancel');
+
+        if (this.parsed.success) {
+            this.renderReview();
+        } else {
+            this.overlay.querySelector('.import-summary').textContent = `${this.fileName} can't be imported.`;
+            this.setStatus(this.parsed.error, 'error');
+            this.runBtn.remove();
+            this.cancelBtn.textContent = 'Close';
+        }
+
+        this.runBtn.addEventListener('click', () => this.run());
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.cancelBtn.addEventListener('click', () => this.close());
+        document.addEventListener('keydown', this.handleKeydown);
+
+        document.body.appendChild(this.overlay);
+        (this.overlay.querySelector('.import-run') || this.cancelBtn).focus();
+    }
+
+    /**
+     * Show what the file contains, validation problems and the merge options
+     */
+    renderReview() {
+        const count = this.parsed.conversations.length;
+        let summary = `${count} conversation${count === 1 ? '' : 's'} found in ${this.fileName}`;
+        if (this.conflictCount > 0) {
+            summary += `; ${this.conflictCount} ${this.conflictCount === 1 ? 'is' : 'are'} already in your list`;
+        }
+        this.overlay.querySelector('.import-summary').textContent = `${summary}.`;
+
+        const options = this.overlay.querySelector('.import-options');
+        if (this.conflictCount > 0) {
+            const heading = document.createElement('div');
+            heading.className = 'import-options-heading';
+            heading.textContent = 'When a conversation already exists';
+            options.appendChild(heading);
+
+            ChatImporter.STRATEGIES.forEach((strategy, index) => {
+                const option = document.createElement('label');
+                option.className = 'import-option';
+                option.innerHTML = `
+                    <input type="radio" name="importStrategy" value="${strategy.id}"${index === 0 ? ' checked' : ''}>
+                    <span class="import-option-text">
+                        <span class="import-option-label"></span>
+                        <span class="import-option-description"></span>
+                    </span>
+                `;
+                option.querySelector('.import-option-label').textContent = strategy.label;
+                option.querySelector('.import-option-description').textContent = strategy.description;
+                options.appendChild(option);
+            });
+        }
+
+        const push = document.createElement('label');
+        push.className = 'import-push';
+        push.innerHTML = `
+            <input type="checkbox" name="importPush">
+            <span>Also upload new conversations and their messages to the server</span>
+        `;
+        options.appendChild(push);
+
+        this.renderErrors(this.parsed.errors, 'Problems found in the file');
+
+        if (count === 0) {
+            this.runBtn.disabled = true;
+            this.setStatus('Nothing to import.', 'error');
+        }
+    }
+
+    /**
+     * List per-record problems
+     * @param {Array<Object>} errors - { record, message }
+     * @param {string} title - Heading above the list
+     */
+    renderErrors(errors, title) {
+        const list = this.overlay.querySelector('.import-errors');
+        list.innerHTML = '';
+        if (errors.length === 0) return;
+
+        const heading = document.createElement('li');
+        heading.className = 'import-errors-heading';
+        heading.textContent = `${title} (${errors.length})`;
+        list.appendChild(heading);
+
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.className = 'import-error';
+            const record = document.createElement('strong');
+            record.textContent = `${error.record}: `;
+            item.appendChild(record);
+            item.appendChild(document.createTextNode(error.message));
+            list.appendChild(item);
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    close() {
+        if (this.isImporting) return;
+
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+
+    setStatus(text, type = 'info') {
+        const status = this.overlay.querySelector('.import-status');
+        status.className = `import-status ${type}`;
+        status.textContent = text;
+    }
+
+    async run() {
+        if (this.isImporting) return;
+
+        const strategyInput = this.overlay.querySelector('input[name="importStrategy"]:checked');
+        const options = {
+            strategy: strategyInput ? strategyInput.value : 'skip',
+            pushToServer: this.overlay.querySelector('input[name="importPush"]').checked
+        };
+
+        // The import can't be cancelled halfway, so the dialog stays until it finishes
+        this.isImporting = true;
+        this.runBtn.disabled = true;
+        this.cancelBtn.disabled = true;
+        this.runBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Importing...';
+        this.overlay.querySelectorAll('.import-options input').forEach(input => {
+            input.disabled = true;
+        });
+
+        let summary;
+        try {
+            summary = await this.onImport(options, (text) => this.setStatus(text));
+        } catch (error) {
+            console.error('Error importing conversations:', error);
+            this.isImporting = false;
+            this.runBtn.disabled = false;
+            this.cancelBtn.disabled = false;
+            this.runBtn.innerHTML = '<i class="fas fa-file-import"></i> Import';
+            this.setStatus(`Import failed: ${error.message}`, 'error');
+            return;
+        }
+
+        this.isImporting = false;
+        this.showResult(summary);
+    }
+
+    /**
+     * Replace the options with what happened
+     */
+    showResult(summary) {
+        const parts = [];
+        if (summary.added > 0) parts.push(`${summary.added} added`);
+        if (summary.overwritten > 0) parts.push(`${summary.overwritten} overwritten`);
+        if (summary.duplicated > 0) parts.push(`${summary.duplicated} added as copies`);
+        if (summary.skipped > 0) parts.push(`${summary.skipped} skipped`);
+        if (summary.pushed > 0) parts.push(`${summary.pushed} uploaded to the server`);
+
+        this.overlay.querySelector('.import-options').innerHTML = '';
+        this.overlay.querySelector('.import-summary').textContent =
+            parts.length > 0 ? `Import finished: ${parts.join(', ')}.` : 'Import finished; nothing was changed.';
+        this.setStatus('');
+
+        this.renderErrors([...this.parsed.errors, ...summary.errors], 'Not imported or partly imported');
+
+        this.runBtn.remove();
+        this.cancelBtn.disabled = false;
+        this.cancelBtn.textContent = 'Done';
+        this.cancelBtn.focus();
+    }
+}
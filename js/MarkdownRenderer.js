@@ -0,0 +1,627 @@
+/**
+ * MarkdownRenderer class to render CommonMark with GFM extensions as safe HTML
+ *
+ * Supports headings, paragraphs, emphasis, code spans, fenced and indented code,
+ * blockquotes, nested and task lists, tables, links, images and autolinks.
+ * Raw HTML in the source is always escaped.
+ */
+class MarkdownRenderer {
+    constructor(options = {}) {
+        // Treat single newlines inside paragraphs as line breaks, like chat messages expect
+        this.breaks = options.breaks !== false;
+        this.highlighter = typeof SqlHighlighter !== 'undefined' ? new SqlHighlighter() : null;
+        this.sqlLanguages = new Set(['sql', 'pgsql', 'postgres', 'postgresql', 'psql', 'plpgsql']);
+    }
+
+    /**
+     * Render markdown to HTML
+     * @param {string} markdown - Markdown source
+     * @returns {string} HTML
+     */
+    render(markdown) {
+        if (!markdown) return '';
+
+        const text = String(markdown).replace(/\r\n?/g, '\n').replace(/\u0000/g, '�');
+        const lines = text.split('\n').map(line => this.expandTabs(line));
+
+        return this.renderBlocks(lines, false);
+    }
+
+    /**
+     * Render a sequence of lines as block elements
+     * @param {Array<string>} lines - Source lines
+     * @param {boolean} tight - Render paragraphs without <p> (tight list items)
+     */
+    renderBlocks(lines, tight) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (this.isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            if ((match = this.matchFence(line))) {
+                const closing = new RegExp(`^ {0,3}${match.fence[0] === '`' ? '`' : '~'}{${match.fence.length},}[ \\t]*$`);
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !closing.test(lines[i])) {
+                    codeLines.push(this.stripIndent(lines[i], match.indent));
+                    i++;
+                }
+                i++; // Skip closing fence
+                html.push(this.renderCodeBlock(codeLines.join('\n'), match.language));
+                continue;
+            }
+
+            // ATX heading
+            if ((match = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/))) {
+                const level = match[1].length;
+                html.push(`<h${level}>${this.renderInline((match[2] || '').trim())}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            // Thematic break
+            if (this.isThematicBreak(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // Blockquote
+            if (/^ {0,3}>/.test(line)) {
+                const quoteLines = [];
+                while (i < lines.length) {
+                    const quoteMatch = lines[i].match(/^ {0,3}> ?(.*)$/);
+                    if (quoteMatch) {
+                        quoteLines.push(quoteMatch[1]);
+                    } else if (!this.isBlank(lines[i]) && quoteLines.length > 0 &&
+                        !this.isBlank(quoteLines[quoteLines.length - 1]) && !this.startsBlock(lines[i])) {
+                        // Lazy continuation of a paragraph inside the quote
+                        quoteLines.push(lines[i]);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quoteLines, false)}</blockquote>`);
+                continue;
+            }
+
+            // List
+            if (this.parseListItem(line)) {
+                const list = this.collectList(lines, i);
+                html.push(list.html);
+                i = list.end;
+                continue;
+            }
+
+            // Indented code block
+            if (/^ {4}/.test(line)) {
+                const codeLines = [];
+                while (i < lines.length && (/^ {4}/.test(lines[i]) || this.isBlank(lines[i]))) {
+                    codeLines.push(lines[i].slice(4));
+                    i++;
+                }
+                while (codeLines.length > 0 && this.isBlank(codeLines[codeLines.length - 1])) {
+                    codeLines.pop();
+                }
+                html.push(this.renderCodeBlock(codeLines.join('\n'), ''));
+                continue;
+            }
+
+            // GFM table
+            if (this.isTableStart(lines, i)) {
+                const table = this.collectTable(lines, i);
+                html.push(table.html);
+                i = table.end;
+                continue;
+            }
+
+            // Paragraph, possibly turned into a setext heading
+            const paragraphLines = [line.trim()];
+            let setextLevel = 0;
+            i++;
+            while (i < lines.length && !this.isBlank(lines[i])) {
+                const setext = lines[i].match(/^ {0,3}(=+|-+)[ \t]*$/);
+                if (setext) {
+                    setextLevel = setext[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (this.startsBlock(lines[i]) || this.isTableStart(lines, i)) {
+                    break;
+                }
+                paragraphLines.push(lines[i].replace(/^\s+/, ''));
+                i++;
+            }
+
+            const content = this.renderInline(paragraphLines.join('\n').replace(/\s+$/, ''));
+            if (setextLevel) {
+                html.push(`<h${setextLevel}>${content}</h${setextLevel}>`);
+            } else {
+                html.push(tight ? content : `<p>${content}</p>`);
+            }
+        }
+
+        return html.join(tight ? '' : '\n');
+    }
+
+    /**
+     * Match an opening code fence
+     */
+    matchFence(line) {
+        const match = line.match(/^( {0,3})(`{3,}(?=[^`]*$)|~{3,})[ \t]*([^\s`]*)/);
+        if (!match) return null;
+        return {
+            indent: match[1].length,
+            fence: match[2],
+            language: match[3].toLowerCase()
+        };
+    }
+
+    /**
+     * Render a code block, highlighting SQL
+     */
+    renderCodeBlock(code, language) {
+        const className = language ? ` class="language-${this.escapeHtml(language)}"` : '';
+        const body = this.highlighter && this.sqlLanguages.has(language)
+            ? this.highlighter.highlight(code)
+            : this.escapeHtml(code);
+        return `<pre><code${className}>${body}</code></pre>`;
+    }
+
+    /**
+     * Parse the start of a list item
+     * @returns {Object|null} Marker info and the first line of content
+     */
+    parseListItem(line) {
+        const match = line.match(/^( {0,3})([-+*]|(\d{1,9})([.)]))( +|$)(.*)$/);
+        if (!match || this.isThematicBreak(line)) return null;
+
+        let spaces = match[5].length;
+        let content = match[6];
+        if (spaces === 0 || spaces > 4) {
+            // Content starting with 5+ spaces is indented code inside the item
+            content = spaces > 4 ? ' '.repeat(spaces - 1) + content : content;
+            spaces = 1;
+        }
+
+        return {
+            ordered: match[3] !== undefined,
+            marker: match[3] !== undefined ? match[4] : match[2],
+            start: match[3] !== undefined ? parseInt(match[3], 10) : null,
+            contentIndent: match[1].length + match[2].length + spaces,
+            content: content
+        };
+    }
+
+    /**
+     * Collect a list starting at the given line
+     * @returns {Object} { html, end }
+     */
+    collectList(lines, start) {
+        const first = this.parseListItem(lines[start]);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const item = this.parseListItem(lines[i]);
+            if (!item || item.ordered !== first.ordered || item.marker !== first.marker) break;
+
+            const itemLines = [item.content];
+            let previousBlank = false;
+            i++;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                if (this.isBlank(line)) {
+                    itemLines.push('');
+                    previousBlank = true;
+                    i++;
+                    continue;
+                }
+
+                const indent = line.match(/^ */)[0].length;
+                if (indent >= item.contentIndent) {
+                    itemLines.push(line.slice(item.contentIndent));
+                } else if (!previousBlank && !this.startsBlock(line) && !this.parseListItem(line) &&
+                    !this.isBlank(itemLines[itemLines.length - 1])) {
+                    // Lazy continuation of the item's paragraph
+                    itemLines.push(line.trim());
+                } else {
+                    break;
+                }
+                previousBlank = false;
+                i++;
+            }
+
+            let trailingBlanks = 0;
+            while (itemLines.length > 1 && this.isBlank(itemLines[itemLines.length - 1])) {
+                itemLines.pop();
+                trailingBlanks++;
+            }
+
+            // Blank lines between blocks of an item, or between items, make the list loose
+            if (itemLines.some(line => this.isBlank(line))) {
+                loose = true;
+            }
+
+            items.push(itemLines);
+
+            if (trailingBlanks > 0) {
+                const next = i < lines.length ? this.parseListItem(lines[i]) : null;
+                if (next && next.ordered === first.ordered && next.marker === first.marker) {
+                    loose = true;
+                } else {
+                    break;
+                }
+            }
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+        const itemsHtml = items.map(itemLines => {
+            const task = itemLines[0].match(/^\[([ xX])\](?:[ \t]+|$)(.*)$/);
+            if (task) {
+                const checked = task[1] !== ' ' ? ' checked' : '';
+                const body = this.renderBlocks([task[2]].concat(itemLines.slice(1)), !loose);
+                return `<li class="task-list-item"><input type="checkbox" disabled${checked}> ${body}</li>`;
+            }
+            return `<li>${this.renderBlocks(itemLines, !loose)}</li>`;
+        }).join('');
+
+        return {
+            html: `<${tag}${startAttr}${items.some(lines => /^\[[ xX]\]/.test(lines[0])) ? ' class="task-list"' : ''}>${itemsHtml}</${tag}>`,
+            end: i
+        };
+    }
+
+    /**
+     * Check if a table starts at the given line
+     */
+    isTableStart(lines, index) {
+        if (index + 1 >= lines.length) return false;
+        const header = lines[index];
+        const delimiter = lines[index + 1];
+
+        if (!header.includes('|') || !delimiter.includes('|')) return false;
+        if (!/^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/.test(delimiter)) return false;
+
+        return this.splitTableRow(header).length === this.splitTableRow(delimiter).length;
+    }
+
+    /**
+     * Collect a GFM table starting at the given line
+     * @returns {Object} { html, end }
+     */
+    collectTable(lines, start) {
+        const headers = this.splitTableRow(lines[start]);
+        const aligns = this.splitTableRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && !this.isBlank(lines[i]) && !this.startsBlock(lines[i])) {
+            const cells = this.splitTableRow(lines[i]);
+            rows.push(headers.map((_, index) => cells[index] !== undefined ? cells[index] : ''));
+            i++;
+        }
+
+        const cell = (tag, content, index) => {
+            const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+            return `<${tag}${align}>${this.renderInline(content)}</${tag}>`;
+        };
+
+        const head = `<thead><tr>${headers.map((content, index) => cell('th', content, index)).join('')}</tr></thead>`;
+        const body = rows.length > 0
+            ? `<tbody>${rows.map(row => `<tr>${row.map((content, index) => cell('td', content, index)).join('')}</tr>`).join('')}</tbody>`
+            : '';
+
+        return {
+            html: `<div class="table-wrapper"><table>${head}${body}</table></div>`,
+            end: i
+        };
+    }
+
+    /**
+     * Split a table row into trimmed cells, honoring escaped pipes
+     */
+    splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        const cells = [];
+        let current = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += row[i];
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    /**
+     * Check if a line starts a block that can interrupt a paragraph
+     */
+    startsBlock(line) {
+        if (this.matchFence(line)) return true;
+        if (/^ {0,3}#{1,6}(?:[ \t]|$)/.test(line)) return true;
+        if (this.isThematicBreak(line)) return true;
+        if (/^ {0,3}>/.test(line)) return true;
+
+        const item = this.parseListItem(line);
+        return !!item && item.content.trim() !== '' && (!item.ordered || item.start === 1);
+    }
+
+    /**
+     * Check if a line is a thematic break (---, ***, ___)
+     */
+    isThematicBreak(line) {
+        return /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line);
+    }
+
+    /**
+     * Check if a line is blank
+     */
+    isBlank(line) {
+        return line === undefined || /^\s*$/.test(line);
+    }
+
+    /**
+     * Remove up to the given number of leading spaces
+     */
+    stripIndent(line, count) {
+        let i = 0;
+        while (i < count && line[i] === ' ') i++;
+        return line.slice(i);
+    }
+
+    /**
+     * Expand tabs to 4-column tab stops
+     */
+    expandTabs(line) {
+        if (!line.includes('\t')) return line;
+        let result = '';
+        for (const char of line) {
+            result += char === '\t' ? ' '.repeat(4 - (result.length % 4)) : char;
+        }
+        return result;
+    }
+
+    /**
+     * Render inline markdown to HTML
+     * @param {string} text - Inline source
+     * @returns {string} HTML
+     */
+    renderInline(text) {
+        const stash = [];
+        const html = this.renderInlineWith(text, stash);
+        return this.restore(html, stash);
+    }
+
+    /**
+     * Render inline markdown, holding finished HTML fragments in a shared stash
+     * so later passes (escaping, emphasis) cannot alter them
+     */
+    renderInlineWith(text, stash) {
+        const hold = (html) => {
+            stash.push(html);
+            return `\u0000${stash.length - 1}\u0000`;
+        };
+
+        // Code spans take precedence over everything else
+        let out = this.extractCodeSpans(text, hold);
+
+        // Autolinks: <https://example.com> and <user@example.com>
+        out = out.replace(/<((?:https?|ftp):\/\/[^\s<>]+|mailto:[^\s<>]+)>/gi, (match, url) =>
+            hold(this.renderLink(url, this.escapeHtml(url))));
+        out = out.replace(/<([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})>/g, (match, email) =>
+            hold(this.renderLink(`mailto:${email}`, this.escapeHtml(email))));
+
+        // Hard line break written as a trailing backslash
+        out = out.replace(/\\\n/g, () => hold('<br>'));
+
+        // Backslash escapes
+        out = out.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (match, char) => hold(this.escapeHtml(char)));
+
+        // Images and links
+        out = out.replace(
+            /(!?)\[((?:[^[\]]|\[[^[\]]*\])*)\]\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'))?\s*\)/g,
+            (match, bang, label, rawUrl, rawTitle) => {
+                const url = this.unescapeHtml(this.restore(rawUrl.replace(/^<|>$/g, ''), stash));
+                const title = rawTitle ? this.unescapeHtml(this.restore(rawTitle.slice(1, -1), stash)) : null;
+
+                if (bang) {
+                    return hold(this.renderImage(url, this.restore(label, stash), title));
+                }
+                return hold(this.renderLink(url, this.renderInlineWith(label, stash), title));
+            }
+        );
+
+        // Everything that is left is plain text
+        out = this.escapeHtml(out);
+
+        // Extended autolinks: bare http(s):// and www. URLs
+        out = out.replace(/(^|[\s(*_~])((?:https?:\/\/|www\.)[^\s<\u0000]+)/g, (match, before, url) => {
+            let trimmed = url.replace(/(?:[.,:;!?*_~'"]|&quot;|&#39;)+$/, '');
+            while (trimmed.endsWith(')') && (trimmed.match(/\)/g) || []).length > (trimmed.match(/\(/g) || []).length) {
+                trimmed = trimmed.slice(0, -1);
+            }
+            const rest = url.slice(trimmed.length);
+            const href = trimmed.startsWith('www.') ? `http://${trimmed}` : trimmed;
+            return before + hold(`<a href="${href}" target="_blank" rel="noopener noreferrer">${trimmed}</a>`) + rest;
+        });
+
+        // Emphasis and strikethrough; underscores inside words are left alone
+        out = out.replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>');
+        out = out.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>');
+        out = out.replace(/(^|[^A-Za-z0-9_])__(?=\S)([\s\S]*?\S)__(?![A-Za-z0-9_])/g, '$1<strong>$2</strong>');
+        out = out.replace(/(^|[^*])\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/g, '$1<em>$2</em>');
+        out = out.replace(/(^|[^A-Za-z0-9_])_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9_])/g, '$1<em>$2</em>');
+        out = out.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+        // Line breaks
+        out = out.replace(/ {2,}\n/g, '<br>');
+        if (this.breaks) {
+            out = out.replace(/\n/g, '<br>');
+        }
+
+        return out;
+    }
+
+    /**
+     * Replace backtick code spans with stashed <code> elements
+     */
+    extractCodeSpans(text, hold) {
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            if (text[i] === '\\' && text[i + 1] === '`') {
+                result += text.slice(i, i + 2);
+                i += 2;
+                continue;
+            }
+            if (text[i] !== '`') {
+                result += text[i];
+                i++;
+                continue;
+            }
+
+            let runEnd = i;
+            while (text[runEnd] === '`') runEnd++;
+            const runLength = runEnd - i;
+
+            // Find a closing run of exactly the same length
+            let closeStart = -1;
+            let search = runEnd;
+            while (search < text.length) {
+                const index = text.indexOf('`', search);
+                if (index === -1) break;
+                let end = index;
+                while (text[end] === '`') end++;
+                if (end - index === runLength) {
+                    closeStart = index;
+                    break;
+                }
+                search = end;
+            }
+
+            if (closeStart === -1) {
+                result += text.slice(i, runEnd);
+                i = runEnd;
+                continue;
+            }
+
+            let code = text.slice(runEnd, closeStart).replace(/\n/g, ' ');
+            if (code.length > 2 && code.startsWith(' ') && code.endsWith(' ') && code.trim()) {
+                code = code.slice(1, -1);
+            }
+            result += hold(`<code>${this.escapeHtml(code)}</code>`);
+            i = closeStart + runLength;
+        }
+
+        return result;
+    }
+
+    /**
+     * Render a link, dropping the anchor for unsafe URLs
+     */
+    renderLink(url, labelHtml, title = null) {
+        const safeUrl = this.sanitizeUrl(url);
+        if (!safeUrl) {
+            return labelHtml;
+        }
+        const titleAttr = title ? ` title="${this.escapeHtml(title)}"` : '';
+        return `<a href="${this.escapeHtml(safeUrl)}"${titleAttr} target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
+
+    /**
+     * Render an image, falling back to its alt text for unsafe URLs
+     */
+    renderImage(url, alt, title = null) {
+        const safeUrl = this.sanitizeUrl(url);
+        const altText = alt.replace(/\u0000\d+\u0000/g, '').replace(/[*_`~[\]]/g, '');
+        if (!safeUrl || /^mailto:/i.test(safeUrl)) {
+            return this.escapeHtml(altText);
+        }
+        const titleAttr = title ? ` title="${this.escapeHtml(title)}"` : '';
+        return `<img src="${this.escapeHtml(safeUrl)}" alt="${this.escapeHtml(altText)}"${titleAttr}>`;
+    }
+
+    /**
+     * Allow only http(s), mailto, ftp and relative URLs
+     */
+    sanitizeUrl(url) {
+        const cleaned = String(url).replace(/[\u0000-\u001F\u007F\s]+/g, '');
+        if (/^(https?:|mailto:|ftp:)/i.test(cleaned)) {
+            return cleaned;
+        }
+        if (/^[a-z][a-z0-9+.-]*:/i.test(cleaned)) {
+            return null;
+        }
+        return cleaned;
+    }
+
+    /**
+     * Replace stash placeholders with their HTML
+     */
+    restore(html, stash) {
+        let result = html;
+        for (let pass = 0; pass < 10 && /\u0000\d+\u0000/.test(result); pass++) {
+            result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+        }
+        return result;
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Reverse escapeHtml for values that are escaped again on output
+     */
+    unescapeHtml(text) {
+        return String(text)
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
@@ -2,7 +2,7 @@
  * Message class to handle individual chat messages
  */
 class Message {
-    constructor(id, content, role = 'user', timestamp = null, dbData = null, mongoId = null) {
+    constructor(id, content, role = 'user', timestamp = null, dbData = null, mongoId = null, toolCalls = null) {
         this.id = id || this.generateId();
         this.content = content;
         this.role = role; // 'user' or 'assistant'
@@ -11,6 +11,9 @@ class Message {
         this.originalContent = content;
         this.dbData = dbData; // Raw database data from AI response
         this.mongoId = mongoId; // MongoDB document ID for fetching data from MongoDB API
+        this.toolCalls = toolCalls; // SQL tool calls the agent ran for this answer
+        this.versions = null; // Regenerated answers as { content, dbData, mongoId, toolCalls, timestamp }
+        this.versionIndex = 0; // Version currently shown
     }
 
     generateId() {
@@ -22,71 +25,12 @@ class Message {
      */
     formatContent(content) {
         if (!content) return '';
-        
-        // First, escape HTML to prevent XSS
-        let formatted = this.escapeHtml(content);
-        
-        // Convert markdown-style formatting to HTML
-        // Handle headers (###, ##, #)
-        formatted = formatted.replace(/^###\s+(.+)$/gm, '<h3>$1</h3>');
-        formatted = formatted.replace(/^##\s+(.+)$/gm, '<h2>$1</h2>');
-        formatted = formatted.replace(/^#\s+(.+)$/gm, '<h1>$1</h1>');
-        
-        // Handle bold text (**text** or __text__) - process this first
-        formatted = formatted.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-        formatted = formatted.replace(/__([^_]+)__/g, '<strong>$1</strong>');
-        
-        // Handle italic text (*text* or _text_) - but avoid conflicts with bold
-        // Use a more compatible approach
-        formatted = formatted.replace(/\*([^*\n]+)\*/g, '<em>$1</em>');
-        formatted = formatted.replace(/_([^_\n]+)_/g, '<em>$1</em>');
-        
-        // Handle inline code (`code`)
-        formatted = formatted.replace(/`([^`]+)`/g, '<code>$1</code>');
-        
-        // Handle code blocks (```code```)
-        formatted = formatted.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
-        
-        // Convert line breaks to <br> tags
-        formatted = formatted.replace(/\n/g, '<br>');
-        
-        // Convert double line breaks to paragraph breaks
-        formatted = formatted.replace(/(<br>\s*){2,}/g, '</p><p>');
-        formatted = '<p>' + formatted + '</p>';
-        
-        // Convert bullet points (•, -, *, etc.) to proper list items
-        // This regex looks for bullet points at the start of lines or after <br> tags
-        formatted = formatted.replace(/(<br>|^)\s*[•\-\*]\s+([^<]+?)(?=<br>|$|<\/p>)/g, '$1<li>$2</li>');
-        
-        // Convert numbered lists (1., 2., etc.)
-        formatted = formatted.replace(/(<br>|^)\s*(\d+)\.\s+([^<]+?)(?=<br>|$|<\/p>)/g, '$1<li>$3</li>');
-        
-        // Wrap consecutive list items in <ul> tags
-        // This is more complex - we need to find sequences of <li> tags and wrap them
-        formatted = formatted.replace(/(<li>.*?<\/li>)(\s*<li>.*?<\/li>)+/g, (match) => {
-            return '<ul>' + match + '</ul>';
-        });
-        
-        // Also handle single list items
-        formatted = formatted.replace(/(<br>)?<li>.*?<\/li>(<br>)?/g, (match) => {
-            return '<ul>' + match.replace(/<br>/g, '') + '</ul>';
-        });
-        
-        // Clean up empty paragraphs and fix paragraph structure
-        formatted = formatted.replace(/<p>\s*<\/p>/g, '');
-        formatted = formatted.replace(/<p><br><\/p>/g, '');
-        formatted = formatted.replace(/<p>\s*<ul>/g, '<ul>');
-        formatted = formatted.replace(/<\/ul>\s*<\/p>/g, '</ul>');
-        formatted = formatted.replace(/<p>\s*<h[1-6]>/g, '<h1>');
-        formatted = formatted.replace(/<h[1-6]>\s*<\/p>/g, '</h1>');
-        
-        // Fix any remaining <br> tags that are now redundant
-        formatted = formatted.replace(/<br>\s*<ul>/g, '<ul>');
-        formatted = formatted.replace(/<\/ul>\s*<br>/g, '</ul>');
-        formatted = formatted.replace(/<br>\s*<h[1-6]>/g, '<h1>');
-        formatted = formatted.replace(/<\/h[1-6]>\s*<br>/g, '</h1>');
-        
-        return formatted;
+
+        // One shared renderer is enough; it keeps no per-message state
+        if (!Message.markdownRenderer) {
+            Message.markdownRenderer = new MarkdownRenderer();
+        }
+        return Message.markdownRenderer.render(content);
     }
 
     /**
@@ -98,6 +42,65 @@ class Message {
         return div.innerHTML;
     }
 
+    /**
+     * Get all versions of this answer, the current content being the only one until it is regenerated
+     */
+    getVersions() {
+        return this.versions || [{
+            content: this.content,
+            dbData: this.dbData,
+            mongoId: this.mongoId,
+            toolCalls: this.toolCalls,
+            timestamp: this.timestamp
+        }];
+    }
+
+    /**
+     * Replace the versions of this answer and show one of them
+     */
+    setVersions(versions, index) {
+        this.versions = versions && versions.length > 0 ? versions : null;
+        this.selectVersion(index);
+    }
+
+    /**
+     * Show a version by copying it into the message fields
+     */
+    selectVersion(index) {
+        const versions = this.getVersions();
+        this.versionIndex = Math.min(Math.max(index || 0, 0), versions.length - 1);
+
+        const version = versions[this.versionIndex];
+        this.content = version.content;
+        this.dbData = version.dbData;
+        this.mongoId = version.mongoId;
+        this.toolCalls = version.toolCalls;
+        this.timestamp = version.timestamp || this.timestamp;
+    }
+
+    /**
+     * Switch to another version in the UI and let the chat remember the choice
+     */
+    showVersion(index) {
+        this.selectVersion(index);
+
+        const messageElement = document.querySelector(`[data-message-id="${this.id}"]`);
+        if (messageElement) {
+            messageElement.replaceWith(this.createElement());
+        }
+
+        window.dispatchEvent(new CustomEvent('messageVersionSelected', {
+            detail: { message: this }
+        }));
+    }
+
+    /**
+     * Results of SQL run from the editor have no question to ask again
+     */
+    isSqlResult() {
+        return Array.isArray(this.toolCalls) && this.toolCalls.some(call => call && call.name === 'edited_sql');
+    }
+
     /**
      * Start editing this message
      */
@@ -149,9 +152,61 @@ class Message {
             rawDataBtn.title = 'Show Raw Data';
             rawDataBtn.onclick = () => this.showRawData();
             actions.appendChild(rawDataBtn);
+
+            const chartBtn = document.createElement('button');
+            chartBtn.className = 'message-action raw-data-btn';
+            chartBtn.innerHTML = 'chart';
+            chartBtn.title = 'Show Chart';
+            chartBtn.onclick = () => this.showRawData('chart');
+            actions.appendChild(chartBtn);
         }
 
         content.appendChild(text);
+
+        // Add collapsible query panel showing the SQL behind assistant answers
+        if (this.role === 'assistant' && this.toolCalls) {
+            const queryPanel = new QueryPanel(this.toolCalls, this.dbData);
+            if (queryPanel.hasSteps()) {
+                content.appendChild(queryPanel.createElement());
+
+                const editSqlBtn = document.createElement('button');
+                editSqlBtn.className = 'message-action raw-data-btn';
+                editSqlBtn.innerHTML = 'edit & run';
+                editSqlBtn.title = 'Edit and run the final SQL';
+                editSqlBtn.onclick = () => QueryPanel.requestEdit(queryPanel.steps[queryPanel.steps.length - 1].sql);
+                actions.appendChild(editSqlBtn);
+            }
+        }
+
+        // Edit a question to branch the conversation from it
+        if (this.role === 'user') {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'message-action';
+            editBtn.innerHTML = '<i class="fas fa-edit"></i>';
+            editBtn.title = 'Edit and resend (starts a new branch)';
+            editBtn.onclick = () => this.startEditingInUI();
+            actions.appendChild(editBtn);
+        }
+
+        // Ask the question again for another version of the answer
+        if (this.role === 'assistant' && this.content && !this.isSqlResult()) {
+            const regenerateBtn = document.createElement('button');
+            regenerateBtn.className = 'message-action raw-data-btn';
+            regenerateBtn.innerHTML = 'regenerate';
+            regenerateBtn.title = 'Regenerate this answer';
+            regenerateBtn.onclick = () => {
+                window.dispatchEvent(new CustomEvent('messageRegenerateRequested', {
+                    detail: { message: this }
+                }));
+            };
+            actions.appendChild(regenerateBtn);
+        }
+
+        // Regenerated answers keep their earlier versions one click away
+        if (this.versions && this.versions.length > 1) {
+            content.appendChild(this.createVersionNavigation());
+        }
+
         content.appendChild(actions);
 
         messageDiv.appendChild(content);
@@ -159,6 +214,39 @@ class Message {
         return messageDiv;
     }
 
+    /**
+     * Create the "1/2" control for switching between versions
+     */
+    createVersionNavigation() {
+        const count = this.versions.length;
+
+        const nav = document.createElement('div');
+        nav.className = 'message-versions';
+
+        const prevBtn = document.createElement('button');
+        prevBtn.className = 'message-version-btn';
+        prevBtn.title = 'Previous version';
+        prevBtn.innerHTML = '<i class="fas fa-chevron-left"></i>';
+        prevBtn.disabled = this.versionIndex === 0;
+        prevBtn.onclick = () => this.showVersion(this.versionIndex - 1);
+
+        const label = document.createElement('span');
+        label.className = 'message-version-label';
+        label.textContent = `${this.versionIndex + 1}/${count}`;
+
+        const nextBtn = document.createElement('button');
+        nextBtn.className = 'message-version-btn';
+        nextBtn.title = 'Next version';
+        nextBtn.innerHTML = '<i class="fas fa-chevron-right"></i>';
+        nextBtn.disabled = this.versionIndex === count - 1;
+        nextBtn.onclick = () => this.showVersion(this.versionIndex + 1);
+
+        nav.appendChild(prevBtn);
+        nav.appendChild(label);
+        nav.appendChild(nextBtn);
+        return nav;
+    }
+
     /**
      * Start editing this message in the UI
      */
@@ -196,7 +284,7 @@ class Message {
         `;
 
         const saveBtn = document.createElement('button');
-        saveBtn.textContent = 'Save';
+        saveBtn.textContent = this.role === 'user' ? 'Send' : 'Save';
         saveBtn.className = 'btn btn-primary';
         saveBtn.style.cssText = `
             padding: 0.25rem 0.75rem;
@@ -225,9 +313,22 @@ class Message {
     }
 
     /**
-     * Save the edited message in the UI
+     * Save the edited message in the UI.
+     * An edited question is not changed in place: it is sent as a new branch of the conversation.
      */
     saveEditInUI(newContent) {
+        if (this.role === 'user') {
+            const content = newContent.trim();
+            this.cancelEditInUI();
+
+            if (content && content !== this.content) {
+                window.dispatchEvent(new CustomEvent('messageBranchRequested', {
+                    detail: { message: this, content: content }
+                }));
+            }
+            return;
+        }
+
         if (newContent.trim()) {
             this.saveEdit(newContent.trim());
             this.updateUI();
@@ -279,8 +380,9 @@ class Message {
 
     /**
      * Show raw data in a modal
+     * @param {string} initialView - 'table' or 'chart'
      */
-    async showRawData() {
+    async showRawData(initialView = 'table') {
         try {
             let dataToShow = null;
             
@@ -300,7 +402,7 @@ class Message {
             }
             
             if (dataToShow) {
-                this.displayRawDataModal(dataToShow);
+                this.displayRawDataModal(dataToShow, initialView);
             } else {
                 alert('No raw data available for this message');
             }
@@ -311,24 +413,21 @@ class Message {
     }
 
     /**
-     * Display raw data in a modal with table format and pagination
+     * Display raw data in a modal with table format, pagination, sorting and filtering
+     * @param {*} data - Raw dbData
+     * @param {string} initialView - 'table' or 'chart'
      */
-    displayRawDataModal(data) {
+    displayRawDataModal(data, initialView = 'table') {
         // Parse the JSON data
         let parsedData;
         try {
-            parsedData = typeof data === 'string' ? JSON.parse(data) : data;
+            parsedData = DataUtils.parseRecords(data);
         } catch (error) {
             console.error('Error parsing data:', error);
             alert('Error parsing data: ' + error.message);
             return;
         }
 
-        // Ensure it's an array
-        if (!Array.isArray(parsedData)) {
-            parsedData = [parsedData];
-        }
-
         if (parsedData.length === 0) {
             alert('No data to display');
             return;
@@ -337,9 +436,21 @@ class Message {
         // Pagination settings
         const ROWS_PER_PAGE = 50;
         const totalRecords = parsedData.length;
-        const totalPages = Math.ceil(totalRecords / ROWS_PER_PAGE);
         let currentPage = 1;
 
+        // Get all unique keys and their types from all records
+        const allKeys = DataUtils.getColumns(parsedData);
+        const columnTypes = DataUtils.inferColumnTypes(parsedData, allKeys);
+
+        // View state: filtered and sorted records shown in the table and exported to CSV
+        let viewData = parsedData;
+        let searchTerm = '';
+        let sortKey = null;
+        let sortDirection = null;
+        const columnFilters = {};
+
+        const getTotalPages = () => Math.max(1, Math.ceil(viewData.length / ROWS_PER_PAGE));
+
         // Create modal
         const modal = document.createElement('div');
         modal.className = 'modal-overlay raw-data-modal';
@@ -379,6 +490,7 @@ class Message {
             display: flex;
             align-items: center;
             justify-content: space-between;
+            gap: 1rem;
         `;
 
         // Create header title element that we can update
@@ -389,11 +501,21 @@ class Message {
             margin: 0;
         `;
 
+        // Create global search input
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.className = 'raw-data-search';
+        searchInput.placeholder = 'Search all records...';
+
+        // Create table/chart view toggle
+        const viewToggleBtn = document.createElement('button');
+        viewToggleBtn.className = 'raw-data-view-toggle';
+
         // Create CSV download button
         const csvDownloadBtn = document.createElement('button');
         csvDownloadBtn.className = 'csv-download-btn';
         csvDownloadBtn.innerHTML = '<i class="fas fa-download"></i> CSV';
-        csvDownloadBtn.title = 'Download all data as CSV';
+        csvDownloadBtn.title = 'Download filtered and sorted data as CSV';
         csvDownloadBtn.style.cssText = `
             background: #10a37f;
             color: #ffffff;
@@ -428,7 +550,7 @@ class Message {
             transition: all 0.2s ease;
         `;
 
-        // Create right side container for CSV button and close button
+        // Create right side container for search, CSV button and close button
         const rightSideContainer = document.createElement('div');
         rightSideContainer.style.cssText = `
             display: flex;
@@ -436,36 +558,15 @@ class Message {
             gap: 0.5rem;
         `;
 
+        rightSideContainer.appendChild(searchInput);
+        rightSideContainer.appendChild(viewToggleBtn);
         rightSideContainer.appendChild(csvDownloadBtn);
         rightSideContainer.appendChild(closeBtn);
 
-        // CSV download functionality
+        // CSV download functionality - exports the current filter and sort
         const downloadCSV = () => {
             try {
-                // Get all unique keys from all records
-                const allKeys = [...new Set(parsedData.flatMap(record => Object.keys(record)))];
-                
-                // Create CSV header row
-                const csvHeader = allKeys.join(',');
-                
-                // Create CSV data rows
-                const csvRows = parsedData.map(record => {
-                    return allKeys.map(key => {
-                        const value = record[key];
-                        // Escape values that contain commas, quotes, or newlines
-                        if (value === null || value === undefined) {
-                            return '';
-                        }
-                        const stringValue = String(value);
-                        if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-                            return '"' + stringValue.replace(/"/g, '""') + '"';
-                        }
-                        return stringValue;
-                    }).join(',');
-                });
-                
-                // Combine header and data
-                const csvContent = [csvHeader, ...csvRows].join('\n');
+                const csvContent = DataUtils.toCSV(viewData, allKeys);
                 
                 // Create and trigger download
                 const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -518,9 +619,6 @@ class Message {
             color: #ffffff;
             font-size: 0.9rem;
         `;
-
-        // Get all unique keys from all records
-        const allKeys = [...new Set(parsedData.flatMap(record => Object.keys(record)))];
         
         // Create table header
         const thead = document.createElement('thead');
@@ -536,10 +634,17 @@ class Message {
             background-color: #171717;
             border-bottom: 2px solid #4d4d4d;
         `;
+
+        const filterRow = document.createElement('tr');
+        filterRow.className = 'raw-data-filter-row';
         
         allKeys.forEach(key => {
             const th = document.createElement('th');
-            th.textContent = key;
+            th.className = 'sortable-header';
+            th.dataset.key = key;
+            th.title = `Sort by ${key} (${columnTypes[key]})`;
+            th.innerHTML = `<span></span> <i class="fas fa-sort sort-icon"></i>`;
+            th.querySelector('span').textContent = key;
             th.style.cssText = `
                 padding: 0.75rem;
                 text-align: left;
@@ -550,27 +655,114 @@ class Message {
                 position: sticky;
                 top: 0;
                 z-index: 10;
+                cursor: pointer;
+                user-select: none;
+                white-space: nowrap;
             `;
+            th.onclick = () => toggleSort(key);
             headerRow.appendChild(th);
+
+            const filterCell = document.createElement('th');
+            filterCell.style.cssText = `
+                padding: 0.25rem 0.5rem;
+                border-right: 1px solid #4d4d4d;
+                background-color: #171717;
+            `;
+            const filterInput = document.createElement('input');
+            filterInput.type = 'text';
+            filterInput.className = 'raw-data-column-filter';
+            filterInput.placeholder = columnTypes[key] === 'number' ? 'e.g. >10' : 'Filter...';
+            filterInput.oninput = () => {
+                columnFilters[key] = filterInput.value;
+                scheduleApplyView();
+            };
+            filterCell.appendChild(filterInput);
+            filterRow.appendChild(filterCell);
         });
         thead.appendChild(headerRow);
+        thead.appendChild(filterRow);
         table.appendChild(thead);
 
         // Create table body
         const tbody = document.createElement('tbody');
         table.appendChild(tbody);
 
+        // Recompute the filtered and sorted view, then show its first page
+        const applyView = () => {
+            const needle = searchTerm.trim().toLowerCase();
+            const activeFilters = Object.keys(columnFilters).filter(key => columnFilters[key].trim());
+
+            let records = parsedData.filter(record => {
+                if (needle && !allKeys.some(key => DataUtils.formatValue(record[key]).toLowerCase().includes(needle))) {
+                    return false;
+                }
+                return activeFilters.every(key => DataUtils.matchesFilter(record[key], columnFilters[key], columnTypes[key]));
+            });
+
+            if (sortKey && sortDirection) {
+                records = DataUtils.sortRecords(records, sortKey, sortDirection, columnTypes[sortKey]);
+            }
+
+            viewData = records;
+            currentPage = 1;
+            renderCurrentPage();
+
+            // Keep the chart in sync with the filtered and sorted records
+            if (chartView) {
+                chartView.setRecords(viewData);
+            }
+        };
+
+        // Debounce typing in search and filter inputs
+        let applyViewTimeout = null;
+        const scheduleApplyView = () => {
+            clearTimeout(applyViewTimeout);
+            applyViewTimeout = setTimeout(applyView, 200);
+        };
+
+        // Cycle a column through ascending, descending and unsorted
+        const toggleSort = (key) => {
+            if (sortKey !== key) {
+                sortKey = key;
+                sortDirection = 'asc';
+            } else if (sortDirection === 'asc') {
+                sortDirection = 'desc';
+            } else {
+                sortKey = null;
+                sortDirection = null;
+            }
+
+            headerRow.querySelectorAll('th').forEach(th => {
+                const icon = th.querySelector('.sort-icon');
+                const isSorted = th.dataset.key === sortKey;
+                icon.className = `fas ${isSorted ? (sortDirection === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'} sort-icon`;
+                th.classList.toggle('sorted', isSorted);
+            });
+
+            applyView();
+        };
+
+        searchInput.oninput = () => {
+            searchTerm = searchInput.value;
+            scheduleApplyView();
+        };
+
         // Function to update pagination display
         const updatePaginationDisplay = () => {
-            const startRecord = (currentPage - 1) * ROWS_PER_PAGE + 1;
-            const endRecord = Math.min(currentPage * ROWS_PER_PAGE, totalRecords);
+            const filteredRecords = viewData.length;
+            const totalPages = getTotalPages();
+            const startRecord = filteredRecords === 0 ? 0 : (currentPage - 1) * ROWS_PER_PAGE + 1;
+            const endRecord = Math.min(currentPage * ROWS_PER_PAGE, filteredRecords);
+            const isFiltered = filteredRecords !== totalRecords;
             
-            headerTitle.textContent = `Raw Data (${totalRecords} record${totalRecords !== 1 ? 's' : ''}) - Page ${currentPage} of ${totalPages}`;
+            headerTitle.textContent = isFiltered
+                ? `Raw Data (${filteredRecords} of ${totalRecords} record${totalRecords !== 1 ? 's' : ''}) - Page ${currentPage} of ${totalPages}`
+                : `Raw Data (${totalRecords} record${totalRecords !== 1 ? 's' : ''}) - Page ${currentPage} of ${totalPages}`;
             
             // Update pagination controls
             paginationControls.innerHTML = `
                 <div style="display: flex; align-items: center; gap: 0.5rem; color: #ffffff;">
-                    <span>Showing ${startRecord}-${endRecord} of ${totalRecords} records</span>
+                    <span>Showing ${startRecord}-${endRecord} of ${filteredRecords} records${isFiltered ? ` (filtered from ${totalRecords})` : ''}</span>
                 </div>
                 <div style="display: flex; align-items: center; gap: 0.5rem;">
                     <button class="pagination-btn" id="prevPage" ${currentPage === 1 ? 'disabled' : ''} style="
@@ -610,7 +802,7 @@ class Message {
 
             if (nextBtn) {
                 nextBtn.onclick = () => {
-                    if (currentPage < totalPages) {
+                    if (currentPage < getTotalPages()) {
                         currentPage++;
                         renderCurrentPage();
                     }
@@ -622,12 +814,26 @@ class Message {
         const renderCurrentPage = () => {
             // Clear existing rows
             tbody.innerHTML = '';
+
+            if (viewData.length === 0) {
+                const emptyRow = document.createElement('tr');
+                const emptyCell = document.createElement('td');
+                emptyCell.colSpan = allKeys.length;
+                emptyCell.textContent = 'No records match the current search and filters';
+                emptyCell.style.cssText = `
+                    padding: 1.5rem;
+                    text-align: center;
+                    color: #9ca3af;
+                `;
+                emptyRow.appendChild(emptyCell);
+                tbody.appendChild(emptyRow);
+            }
             
             const startIndex = (currentPage - 1) * ROWS_PER_PAGE;
-            const endIndex = Math.min(startIndex + ROWS_PER_PAGE, totalRecords);
+            const endIndex = Math.min(startIndex + ROWS_PER_PAGE, viewData.length);
             
             for (let i = startIndex; i < endIndex; i++) {
-                const record = parsedData[i];
+                const record = viewData[i];
                 const row = document.createElement('tr');
                 row.style.cssText = `
                     border-bottom: 1px solid #3d3d3d;
@@ -636,8 +842,7 @@ class Message {
                 
                 allKeys.forEach(key => {
                     const td = document.createElement('td');
-                    const value = record[key];
-                    td.textContent = value !== null && value !== undefined ? String(value) : '';
+                    td.textContent = DataUtils.formatValue(record[key]);
                     td.style.cssText = `
                         padding: 0.75rem;
                         border-right: 1px solid #3d3d3d;
@@ -653,15 +858,42 @@ class Message {
         };
 
 
+        // Chart view is created the first time it is shown
+        let chartView = null;
+        const chartContainer = document.createElement('div');
+        chartContainer.style.cssText = `
+            flex: 1;
+            overflow: auto;
+            padding: 1rem;
+        `;
+
+        const showView = (view) => {
+            const isChart = view === 'chart';
+
+            if (isChart && !chartView) {
+                chartView = new ChartView(viewData, allKeys, columnTypes);
+                chartContainer.appendChild(chartView.createElement());
+            }
+
+            chartContainer.style.display = isChart ? 'block' : 'none';
+            tableContainer.style.display = isChart ? 'none' : 'block';
+            paginationControls.style.display = isChart ? 'none' : 'flex';
+            viewToggleBtn.innerHTML = isChart ? '<i class="fas fa-table"></i> Table' : '<i class="fas fa-chart-bar"></i> Chart';
+            viewToggleBtn.title = isChart ? 'Show data as a table' : 'Show data as a chart';
+            viewToggleBtn.onclick = () => showView(isChart ? 'table' : 'chart');
+        };
+
         // Assemble modal
         tableContainer.appendChild(table);
         modalContent.appendChild(header);
         modalContent.appendChild(paginationControls);
         modalContent.appendChild(tableContainer);
+        modalContent.appendChild(chartContainer);
         modal.appendChild(modalContent);
 
         // Render initial page
         renderCurrentPage();
+        showView(initialView);
 
         // Add close functionality
         closeBtn.onclick = () => modal.remove();
@@ -685,7 +917,10 @@ class Message {
             role: this.role,
             timestamp: this.timestamp,
             dbData: this.dbData,
-            mongoId: this.mongoId
+            mongoId: this.mongoId,
+            toolCalls: this.toolCalls,
+            versions: this.versions,
+            versionIndex: this.versionIndex
         };
     }
 
@@ -693,7 +928,10 @@ class Message {
      * Create message from JSON
      */
     static fromJSON(data) {
-        const message = new Message(data.id, data.content, data.role, data.timestamp, data.dbData, data.mongoId);
+        const message = new Message(data.id, data.content, data.role, data.timestamp, data.dbData, data.mongoId, data.toolCalls);
+        if (data.versions) {
+            message.setVersions(data.versions, data.versionIndex);
+        }
         return message;
     }
 }
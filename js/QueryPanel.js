@@ -0,0 +1,265 @@
+/**
+ * QueryPanel class to show the SQL the agent ran for an assistant answer
+ */
+class QueryPanel {
+    constructor(toolCalls, dbData = null) {
+        this.steps = QueryPanel.normalizeToolCalls(toolCalls);
+        this.dbData = dbData;
+        this.isExpanded = false;
+        this.highlighter = new SqlHighlighter();
+    }
+
+    /**
+     * Normalize tool calls from SSE results or history messages into query steps
+     * @param {*} rawToolCalls - Tool calls in any of the shapes the backend sends
+     * @returns {Array<Object>} Steps with name, sql and rowCount, in execution order
+     */
+    static normalizeToolCalls(rawToolCalls) {
+        const steps = [];
+
+        const visit = (item) => {
+            if (item === null || item === undefined) return;
+
+            if (typeof item === 'string') {
+                const parsed = QueryPanel.parseJSON(item);
+                if (parsed !== null && typeof parsed === 'object') {
+                    visit(parsed);
+                }
+                return;
+            }
+
+            if (Array.isArray(item)) {
+                item.forEach(visit);
+                return;
+            }
+
+            if (typeof item !== 'object') return;
+
+            // History messages wrap the actual calls in content or a toolCalls field
+            const nested = item.toolCalls || item.toolcalls || item.tool_calls;
+            if (nested) {
+                visit(nested);
+                return;
+            }
+            if (item.role && item.content !== undefined) {
+                visit(item.content);
+                return;
+            }
+
+            const step = QueryPanel.toStep(item);
+            if (step) {
+                steps.push(step);
+            }
+        };
+
+        visit(rawToolCalls);
+        return steps;
+    }
+
+    /**
+     * Convert a single tool call object into a query step
+     * @param {Object} call - Tool call object
+     * @returns {Object|null} Step or null if the call carries no SQL
+     */
+    static toStep(call) {
+        const fn = call.function || {};
+        const name = fn.name || call.name || call.toolName || call.tool || 'query';
+        let args = fn.arguments !== undefined ? fn.arguments :
+            (call.args || call.arguments || call.input || call.parameters || call.params);
+
+        if (typeof args === 'string') {
+            const parsed = QueryPanel.parseJSON(args);
+            args = parsed !== null ? parsed : args;
+        }
+
+        let sql = null;
+        if (typeof args === 'string') {
+            sql = args;
+        } else if (args && typeof args === 'object') {
+            sql = args.query || args.sql || args.statement || args.sqlQuery || args.sql_query || null;
+        } else {
+            sql = call.query || call.sql || null;
+        }
+
+        if (!sql || typeof sql !== 'string' || !sql.trim()) {
+            return null;
+        }
+
+        let result = call.result !== undefined ? call.result : (call.output !== undefined ? call.output : call.response);
+        if (typeof result === 'string') {
+            const parsed = QueryPanel.parseJSON(result);
+            result = parsed !== null ? parsed : result;
+        }
+
+        let rowCount = null;
+        if (Array.isArray(result)) {
+            rowCount = result.length;
+        } else if (result && typeof result === 'object') {
+            if (typeof result.rowCount === 'number') {
+                rowCount = result.rowCount;
+            } else if (typeof result.row_count === 'number') {
+                rowCount = result.row_count;
+            } else if (Array.isArray(result.rows)) {
+                rowCount = result.rows.length;
+            }
+        }
+
+        return {
+            name: name,
+            sql: sql.trim(),
+            rowCount: rowCount
+        };
+    }
+
+    /**
+     * Parse JSON without throwing
+     */
+    static parseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check if there is any SQL to show
+     */
+    hasSteps() {
+        return this.steps.length > 0;
+    }
+
+    /**
+     * Row count to show for a step, falling back to the answer's dbData for the final step
+     */
+    getRowCount(index) {
+        const step = this.steps[index];
+        if (step.rowCount !== null) {
+            return step.rowCount;
+        }
+
+        if (index === this.steps.length - 1 && this.dbData) {
+            const data = typeof this.dbData === 'string' ? QueryPanel.parseJSON(this.dbData) : this.dbData;
+            if (Array.isArray(data)) {
+                return data.length;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Create HTML element for the panel
+     */
+    createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'query-panel';
+
+        const toggle = document.createElement('button');
+        toggle.className = 'query-panel-toggle';
+        toggle.type = 'button';
+        const stepLabel = this.steps.length === 1 ? '1 step' : `${this.steps.length} steps`;
+        toggle.innerHTML = `
+            <i class="fas fa-chevron-right query-panel-chevron"></i>
+            <i class="fas fa-code"></i>
+            <span>Query</span>
+            <span class="query-panel-count">${stepLabel}</span>
+        `;
+
+        const body = document.createElement('div');
+        body.className = 'query-panel-body';
+
+        this.steps.forEach((step, index) => {
+            body.appendChild(this.createStepElement(step, index));
+        });
+
+        toggle.onclick = () => {
+            this.isExpanded = !this.isExpanded;
+            panel.classList.toggle('expanded', this.isExpanded);
+        };
+
+        panel.appendChild(toggle);
+        panel.appendChild(body);
+
+        return panel;
+    }
+
+    /**
+     * Create HTML element for a single query step
+     */
+    createStepElement(step, index) {
+        const stepDiv = document.createElement('div');
+        stepDiv.className = 'query-step';
+
+        const header = document.createElement('div');
+        header.className = 'query-step-header';
+
+        const meta = document.createElement('span');
+        meta.className = 'query-step-meta';
+        const rowCount = this.getRowCount(index);
+        const parts = [`Step ${index + 1}`, step.name];
+        if (rowCount !== null) {
+            parts.push(`${rowCount} row${rowCount !== 1 ? 's' : ''}`);
+        }
+        meta.textContent = parts.join(' · ');
+
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'query-copy-btn';
+        copyBtn.type = 'button';
+        copyBtn.title = 'Copy SQL';
+        copyBtn.innerHTML = '<i class="fas fa-copy"></i> Copy';
+        copyBtn.onclick = () => this.copySql(step.sql, copyBtn);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'query-copy-btn';
+        editBtn.type = 'button';
+        editBtn.title = 'Edit and run this SQL';
+        editBtn.innerHTML = '<i class="fas fa-play"></i> Edit & run';
+        editBtn.onclick = () => QueryPanel.requestEdit(step.sql);
+
+        header.appendChild(meta);
+        header.appendChild(editBtn);
+        header.appendChild(copyBtn);
+
+        const pre = document.createElement('pre');
+        pre.className = 'query-sql';
+        const code = document.createElement('code');
+        code.innerHTML = this.highlighter.highlight(step.sql);
+        pre.appendChild(code);
+
+        stepDiv.appendChild(header);
+        stepDiv.appendChild(pre);
+
+        return stepDiv;
+    }
+
+    /**
+     * Ask the chat area to open the SQL editor
+     */
+    static requestEdit(sql) {
+        window.dispatchEvent(new CustomEvent('sqlEditRequested', {
+            detail: { sql: sql }
+        }));
+    }
+
+    /**
+     * Copy SQL to the clipboard and briefly confirm on the button
+     */
+    async copySql(sql, button) {
+        try {
+            await navigator.clipboard.writeText(sql);
+            button.innerHTML = '<i class="fas fa-check"></i> Copied';
+        } catch (error) {
+            console.error('Error copying SQL:', error);
+            button.innerHTML = '<i class="fas fa-times"></i> Failed';
+        }
+
+        setTimeout(() => {
+            button.innerHTML = '<i class="fas fa-copy"></i> Copy';
+        }, 1500);
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QueryPanel;
+}
@@ -4,8 +4,11 @@
 class SSEService {
     constructor() {
         this.baseURL = API_CONFIG.BASE_URL;
-        this.activeConnections = new Map(); // jobId -> EventSource
+        this.activeConnections = new Map(); // jobId -> { controller, readyState }
         this.eventHandlers = new Map(); // jobId -> { onProgress, onComplete, onError }
+        this.reconnectState = new Map(); // jobId -> { attempts, timer, polling, pollFailures }
+        this.lastEventIds = new Map(); // jobId -> last received SSE event id
+        this.apiService = new ApiService();
     }
 
     /**
@@ -34,13 +37,19 @@ class SSEService {
 
     /**
      * Connect to SSE endpoint for a specific job
+     * Dropped connections are retried with exponential backoff, resuming from the
+     * last received event; once the retry budget is spent the job status is polled over HTTP.
      * @param {string} jobId - The job ID to track
      * @param {Object} handlers - Event handlers
      * @param {Function} handlers.onProgress - Called when job progress updates
      * @param {Function} handlers.onComplete - Called when job completes
      * @param {Function} handlers.onError - Called when job fails or connection error
      * @param {Function} handlers.onConnect - Called when SSE connection is established
-     * @returns {Promise<EventSource>} The EventSource connection
+     * @param {Function} handlers.onToken - Called with each streamed chunk of the answer ('token'/'delta' events)
+     * @param {Function} handlers.onReconnecting - Called before each reconnect attempt and when falling back to polling
+     * @param {Function} handlers.onReconnected - Called when events flow again after a reconnect
+     * @param {Function} handlers.onApprovalRequired - Called when the job pauses until write statements are approved or rejected
+     * @returns {Promise<Object>} The connection ({ controller, readyState })
      */
     async connectToJob(jobId, handlers = {}) {
         try {
@@ -52,111 +61,457 @@ class SSEService {
             // Close existing connection for this job if any
             this.disconnectJob(jobId);
 
-            const endpoint = `${API_CONFIG.ENDPOINTS.SSE_JOB}/${jobId}`;
-            
-            // Get authentication token
-            const token = this.getAuthToken();
-            
-            // Append token as query parameter since EventSource doesn't support headers
-            const fullUrl = `${this.baseURL}${endpoint}?token=${encodeURIComponent(token)}`;
-            
-            console.log('Connecting to SSE endpoint:', fullUrl);
-
-            const eventSource = new EventSource(fullUrl);
-            
-            // Store connection and handlers
-            this.activeConnections.set(jobId, eventSource);
             this.eventHandlers.set(jobId, handlers);
+            this.reconnectState.set(jobId, { attempts: 0, timer: null, polling: false, pollFailures: 0 });
+
+            return this.openConnection(jobId);
+
+        } catch (error) {
+            console.error('Failed to connect to SSE:', error);
+            if (handlers.onError) {
+                handlers.onError({
+                    jobId: jobId,
+                    error: error.message,
+                    type: 'connection_failed'
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open (or re-open) the event stream for a tracked job
+     * Uses fetch instead of EventSource so the token travels in the Authorization header.
+     * @param {string} jobId - The job ID
+     * @returns {Object} The connection ({ controller, readyState })
+     */
+    openConnection(jobId) {
+        const endpoint = `${API_CONFIG.ENDPOINTS.SSE_JOB}/${jobId}`;
+
+        const headers = {
+            [API_CONFIG.HEADERS.AUTHORIZATION]: `Bearer ${this.getAuthToken()}`,
+            'Accept': 'text/event-stream',
+            'Cache-Control': 'no-cache'
+        };
+
+        // Resume from the last event we saw
+        const lastEventId = this.lastEventIds.get(jobId);
+        if (lastEventId) {
+            headers['Last-Event-ID'] = lastEventId;
+        }
+
+        console.log('Connecting to SSE endpoint for job:', jobId);
+
+        const connection = {
+            controller: new AbortController(),
+            readyState: SSEService.CONNECTING
+        };
+
+        // Store connection
+        this.activeConnections.set(jobId, connection);
+
+        this.readEventStream(jobId, connection, `${this.baseURL}${endpoint}`, headers);
+
+        return connection;
+    }
+
+    /**
+     * Fetch the event stream and feed it through the parser until it ends
+     * @param {string} jobId - The job ID
+     * @param {Object} connection - The connection this read belongs to
+     * @param {string} url - Stream URL
+     * @param {Object} headers - Request headers
+     */
+    async readEventStream(jobId, connection, url, headers) {
+        // Events from a connection we already replaced or closed are ignored,
+        // e.g. during page unload, so the job stays pending and can be resumed on the next load
+        const isCurrent = () => this.activeConnections.get(jobId) === connection;
+
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: headers,
+                cache: 'no-store',
+                signal: connection.controller.signal
+            });
+
+            if (!isCurrent()) return;
+
+            if (response.status === 401) {
+                console.log('Token expiration detected in SSE connection');
+                this.handleTokenExpiration();
+                return;
+            }
+
+            if (!response.ok || !response.body) {
+                // Server errors and throttling are worth retrying; other client errors are not
+                if (response.status >= 500 || response.status === 408 || response.status === 429) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                console.error('SSE request rejected for job:', jobId, response.status);
+                const handlers = this.eventHandlers.get(jobId) || {};
+                this.disconnectJob(jobId);
+                if (handlers.onError) {
+                    handlers.onError({
+                        jobId: jobId,
+                        error: response.status === 404 ? 'Job not found' : `HTTP error! status: ${response.status}`,
+                        type: 'connection_failed'
+                    });
+                }
+                return;
+            }
+
+            connection.readyState = SSEService.OPEN;
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            const parser = this.createEventStreamParser((event) => {
+                if (isCurrent()) {
+                    this.dispatchStreamEvent(jobId, event);
+                }
+            });
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                if (!isCurrent()) {
+                    reader.cancel();
+                    return;
+                }
+                parser.push(decoder.decode(value, { stream: true }));
+            }
+
+            // The server or a proxy closed the stream before the job finished
+            throw new Error('Stream closed before the job finished');
+
+        } catch (error) {
+            if (error.name === 'AbortError' || !isCurrent()) {
+                return;
+            }
+
+            console.error('SSE connection error for job:', jobId, error.message);
+            connection.readyState = SSEService.CLOSED;
+            connection.controller.abort();
+            this.activeConnections.delete(jobId);
+            this.scheduleReconnect(jobId);
+        }
+    }
+
+    /**
+     * Create an incremental parser for the text/event-stream format
+     * @param {Function} onEvent - Called with { type, data, id } for each complete event
+     * @returns {Object} Parser with a push(text) method
+     */
+    createEventStreamParser(onEvent) {
+        let buffer = '';
+        let eventType = '';
+        let dataLines = [];
+        let eventId = null;
+
+        const processLine = (line) => {
+            // A blank line dispatches the buffered event
+            if (line === '') {
+                if (dataLines.length > 0) {
+                    onEvent({
+                        type: eventType || 'message',
+                        data: dataLines.join('\n'),
+                        id: eventId
+                    });
+                }
+                eventType = '';
+                dataLines = [];
+                eventId = null;
+                return;
+            }
+
+            // Comment lines (often used as keep-alives)
+            if (line.startsWith(':')) return;
+
+            const colonIndex = line.indexOf(':');
+            const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+            let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+            if (value.startsWith(' ')) {
+                value = value.slice(1);
+            }
+
+            switch (field) {
+                case 'event':
+                    eventType = value;
+                    break;
+                case 'data':
+                    dataLines.push(value);
+                    break;
+                case 'id':
+                    if (!value.includes('\0')) {
+                        eventId = value;
+                    }
+                    break;
+                default:
+                    // 'retry' and unknown fields are ignored; reconnect timing is ours
+                    break;
+            }
+        };
+
+        return {
+            push: (text) => {
+                buffer += text;
+
+                while (buffer.length > 0) {
+                    const newlineIndex = buffer.search(/[\r\n]/);
+                    if (newlineIndex === -1) break;
+
+                    // A trailing \r may be the first half of \r\n split across chunks
+                    if (buffer[newlineIndex] === '\r' && newlineIndex === buffer.length - 1) break;
+
+                    const line = buffer.slice(0, newlineIndex);
+                    const skip = buffer[newlineIndex] === '\r' && buffer[newlineIndex + 1] === '\n' ? 2 : 1;
+                    buffer = buffer.slice(newlineIndex + skip);
+                    processLine(line);
+                }
+            }
+        };
+    }
+
+    /**
+     * Route a parsed stream event to the job's handlers
+     * @param {string} jobId - The job ID
+     * @param {Object} event - Parsed event ({ type, data, id })
+     */
+    dispatchStreamEvent(jobId, event) {
+        const handlers = this.eventHandlers.get(jobId) || {};
+
+        // Record the resume point and reset the retry budget whenever an event arrives
+        if (event.id) {
+            this.lastEventIds.set(jobId, event.id);
+        }
+
+        const state = this.reconnectState.get(jobId);
+        if (state && state.attempts > 0) {
+            console.log('SSE reconnected for job:', jobId, 'after', state.attempts, 'attempt(s)');
+            state.attempts = 0;
+            if (handlers.onReconnected) {
+                handlers.onReconnected({ jobId: jobId });
+            }
+        }
+
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            data = null;
+        }
+        // Plain-text payloads such as "42" or "null" also parse; handlers expect an object
+        const isObject = !!data && typeof data === 'object';
+        if (!isObject) {
+            data = { jobId: jobId, message: event.data };
+        }
 
-            // Handle connection established
-            eventSource.addEventListener('connected', (event) => {
+        switch (event.type) {
+            case 'connected':
                 console.log('SSE connection established for job:', jobId);
-                const data = JSON.parse(event.data);
                 if (handlers.onConnect) {
                     handlers.onConnect(data);
                 }
-            });
+                break;
 
-            // Handle progress updates
-            eventSource.addEventListener('progress', (event) => {
+            case 'progress':
                 console.log('Job progress update:', jobId, event.data);
-                const data = JSON.parse(event.data);
                 if (handlers.onProgress) {
                     handlers.onProgress(data);
                 }
-            });
+                break;
+
+            case 'token':
+            case 'delta':
+                // Streamed answer text; too chatty to log every chunk.
+                // A chunk that isn't a JSON object is the text itself, e.g. a raw "42" token
+                if (handlers.onToken) {
+                    handlers.onToken(isObject ? data : event.data);
+                }
+                break;
+
+            case 'approval_required':
+                console.log('Job waiting for approval:', jobId, event.data);
+                if (handlers.onApprovalRequired) {
+                    handlers.onApprovalRequired(data);
+                }
+                break;
 
-            // Handle job completion
-            eventSource.addEventListener('complete', (event) => {
+            case 'complete':
                 console.log('Job completed:', jobId, event.data);
-                const data = JSON.parse(event.data);
+                // Clean up before notifying so a completed job is never reconnected
+                this.disconnectJob(jobId);
                 if (handlers.onComplete) {
                     handlers.onComplete(data);
                 }
-                // Clean up connection after completion
-                this.disconnectJob(jobId);
-            });
+                break;
 
-            // Handle job failure
-            eventSource.addEventListener('error', (event) => {
+            case 'error':
                 console.error('Job error:', jobId, event.data);
-                const data = JSON.parse(event.data);
-                
+
                 // Check if this is a token expiration error
                 if (this.isTokenExpiredInEventData(data)) {
                     console.log('Token expiration detected in SSE error event');
                     this.handleTokenExpiration();
                     return;
                 }
-                
+
+                // Clean up connection after error
+                this.disconnectJob(jobId);
                 if (handlers.onError) {
                     handlers.onError(data);
                 }
-                // Clean up connection after error
-                this.disconnectJob(jobId);
+                break;
+
+            default:
+                console.log('Ignoring SSE event:', event.type, 'for job:', jobId);
+        }
+    }
+
+    /**
+     * Schedule a reconnect with exponential backoff, or fall back to polling when the budget is spent
+     * @param {string} jobId - The job ID
+     */
+    scheduleReconnect(jobId) {
+        const state = this.reconnectState.get(jobId);
+        const handlers = this.eventHandlers.get(jobId) || {};
+        if (!state) return;
+
+        const maxAttempts = API_CONFIG.DEFAULTS.SSE_MAX_RECONNECT_ATTEMPTS;
+        state.attempts++;
+
+        if (state.attempts > maxAttempts) {
+            console.log('SSE retry budget spent for job:', jobId, '- polling job status');
+            this.pollJobStatus(jobId);
+            return;
+        }
+
+        // Exponential backoff with a little jitter so many tabs don't retry in lockstep
+        const baseDelay = API_CONFIG.DEFAULTS.SSE_RECONNECT_BASE_DELAY * Math.pow(2, state.attempts - 1);
+        const delay = Math.min(baseDelay, API_CONFIG.DEFAULTS.SSE_RECONNECT_MAX_DELAY) + Math.floor(Math.random() * 250);
+
+        console.log(`Reconnecting SSE for job ${jobId} in ${delay}ms (attempt ${state.attempts}/${maxAttempts})`);
+
+        if (handlers.onReconnecting) {
+            handlers.onReconnecting({
+                jobId: jobId,
+                attempt: state.attempts,
+                maxAttempts: maxAttempts,
+                delay: delay,
+                polling: false
             });
+        }
+
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            if (this.reconnectState.get(jobId) === state) {
+                this.openConnection(jobId);
+            }
+        }, delay);
+    }
+
+    /**
+     * Poll the job status over HTTP until it finishes or the status endpoint stops answering
+     * @param {string} jobId - The job ID
+     */
+    async pollJobStatus(jobId) {
+        const state = this.reconnectState.get(jobId);
+        const handlers = this.eventHandlers.get(jobId) || {};
+        if (!state) return;
 
-            // Handle connection errors
-            eventSource.onerror = (error) => {
-                console.error('SSE connection error for job:', jobId, error);
-                
-                // Check if it's an authentication error
-                if (eventSource.readyState === EventSource.CLOSED) {
-                    console.error('SSE connection closed - possible authentication failure');
-                    
-                    // Check if this might be a token expiration issue
-                    if (this.isTokenExpiredError()) {
-                        console.log('Token expiration detected in SSE connection');
-                        this.handleTokenExpiration();
-                        return;
+        if (!state.polling) {
+            state.polling = true;
+            if (handlers.onReconnecting) {
+                handlers.onReconnecting({
+                    jobId: jobId,
+                    attempt: state.attempts,
+                    maxAttempts: API_CONFIG.DEFAULTS.SSE_MAX_RECONNECT_ATTEMPTS,
+                    delay: 0,
+                    polling: true
+                });
+            }
+        }
+
+        const endpoint = `${API_CONFIG.ENDPOINTS.AI_JOB}/${encodeURIComponent(jobId)}`;
+        const response = await this.apiService.makeRequest(endpoint, { method: 'GET' });
+
+        // The job may have been cancelled or disconnected while the request was in flight
+        if (this.reconnectState.get(jobId) !== state) return;
+
+        if (response.isTokenExpired) {
+            this.disconnectJob(jobId);
+            return;
+        }
+
+        if (response.success) {
+            state.pollFailures = 0;
+            const job = (response.data && response.data.data) || response.data || {};
+            const status = String(job.status || job.state || '').toLowerCase();
+
+            if (['completed', 'complete', 'done', 'succeeded', 'success'].includes(status)) {
+                this.disconnectJob(jobId);
+                const result = job.result || job.returnvalue || job.returnValue;
+                if (result == null) {
+                    // Handlers read the answer from result, so a missing one is reported as a failure
+                    if (handlers.onError) {
+                        handlers.onError({
+                            jobId: jobId,
+                            error: 'Job finished without a result',
+                            type: 'job_failed'
+                        });
                     }
+                } else if (handlers.onComplete) {
+                    handlers.onComplete({
+                        jobId: jobId,
+                        result: result
+                    });
                 }
-                
+                return;
+            }
+
+            if (['failed', 'error', 'cancelled', 'canceled'].includes(status)) {
+                this.disconnectJob(jobId);
                 if (handlers.onError) {
                     handlers.onError({
                         jobId: jobId,
-                        error: 'Connection lost or failed',
-                        type: 'connection_error',
-                        readyState: eventSource.readyState
+                        error: job.error || job.failedReason || `Job ${status}`,
+                        type: 'job_failed'
                     });
                 }
-                // Clean up connection on error
-                this.disconnectJob(jobId);
-            };
+                return;
+            }
 
-            return eventSource;
+            // Still running: pass progress through and keep polling.
+            // A job paused on write statements is re-reported each poll; the handler ignores repeats
+            if (['awaiting_approval', 'approval_required'].includes(status)) {
+                if (handlers.onApprovalRequired) {
+                    handlers.onApprovalRequired({ jobId: jobId, ...(job.approval || {}) });
+                }
+            } else if (handlers.onProgress && (job.progress !== undefined || job.status)) {
+                handlers.onProgress({ jobId: jobId, progress: job.progress || 0 });
+            }
+        } else {
+            state.pollFailures++;
+            console.error('Job status poll failed:', jobId, response.error);
 
-        } catch (error) {
-            console.error('Failed to connect to SSE:', error);
-            if (handlers.onError) {
-                handlers.onError({
-                    jobId: jobId,
-                    error: error.message,
-                    type: 'connection_failed'
-                });
+            if (state.pollFailures >= API_CONFIG.DEFAULTS.JOB_STATUS_MAX_POLL_FAILURES) {
+                this.disconnectJob(jobId);
+                if (handlers.onError) {
+                    handlers.onError({
+                        jobId: jobId,
+                        error: 'Connection lost or failed',
+                        type: 'connection_error'
+                    });
+                }
+                return;
             }
-            throw error;
         }
+
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this.pollJobStatus(jobId);
+        }, API_CONFIG.DEFAULTS.JOB_STATUS_POLL_INTERVAL);
     }
 
     /**
@@ -164,13 +519,22 @@ class SSEService {
      * @param {string} jobId - The job ID to disconnect
      */
     disconnectJob(jobId) {
-        const eventSource = this.activeConnections.get(jobId);
-        if (eventSource) {
+        const connection = this.activeConnections.get(jobId);
+        if (connection) {
             console.log('Disconnecting SSE for job:', jobId);
-            eventSource.close();
-            this.activeConnections.delete(jobId);
-            this.eventHandlers.delete(jobId);
+            connection.readyState = SSEService.CLOSED;
+            connection.controller.abort();
         }
+
+        const state = this.reconnectState.get(jobId);
+        if (state && state.timer) {
+            clearTimeout(state.timer);
+        }
+
+        this.activeConnections.delete(jobId);
+        this.eventHandlers.delete(jobId);
+        this.reconnectState.delete(jobId);
+        this.lastEventIds.delete(jobId);
     }
 
     /**
@@ -178,11 +542,19 @@ class SSEService {
      */
     disconnectAll() {
         console.log('Disconnecting all SSE connections');
-        for (const [jobId, eventSource] of this.activeConnections) {
-            eventSource.close();
+        for (const connection of this.activeConnections.values()) {
+            connection.readyState = SSEService.CLOSED;
+            connection.controller.abort();
+        }
+        for (const state of this.reconnectState.values()) {
+            if (state.timer) {
+                clearTimeout(state.timer);
+            }
         }
         this.activeConnections.clear();
         this.eventHandlers.clear();
+        this.reconnectState.clear();
+        this.lastEventIds.clear();
     }
 
     /**
@@ -191,7 +563,8 @@ class SSEService {
      * @returns {boolean} True if connected
      */
     isConnected(jobId) {
-        return this.activeConnections.has(jobId);
+        // A job waiting to reconnect or being polled is still tracked
+        return this.eventHandlers.has(jobId);
     }
 
     /**
@@ -208,28 +581,28 @@ class SSEService {
      * @returns {Object} Connection state info
      */
     getConnectionState(jobId) {
-        const eventSource = this.activeConnections.get(jobId);
-        if (!eventSource) {
+        const connection = this.activeConnections.get(jobId);
+        if (!connection) {
             return { connected: false, readyState: null };
         }
 
         return {
             connected: true,
-            readyState: eventSource.readyState, // 0: CONNECTING, 1: OPEN, 2: CLOSED
-            readyStateText: this.getReadyStateText(eventSource.readyState)
+            readyState: connection.readyState, // 0: CONNECTING, 1: OPEN, 2: CLOSED
+            readyStateText: this.getReadyStateText(connection.readyState)
         };
     }
 
     /**
      * Get human-readable ready state
-     * @param {number} readyState - EventSource ready state
+     * @param {number} readyState - Connection ready state
      * @returns {string} Human-readable state
      */
     getReadyStateText(readyState) {
         switch (readyState) {
-            case EventSource.CONNECTING: return 'Connecting';
-            case EventSource.OPEN: return 'Open';
-            case EventSource.CLOSED: return 'Closed';
+            case SSEService.CONNECTING: return 'Connecting';
+            case SSEService.OPEN: return 'Open';
+            case SSEService.CLOSED: return 'Closed';
             default: return 'Unknown';
         }
     }
@@ -338,6 +711,11 @@ class SSEService {
     }
 }
 
+// Connection ready states, matching EventSource
+SSEService.CONNECTING = 0;
+SSEService.OPEN = 1;
+SSEService.CLOSED = 2;
+
 // Initialize global SSE service instance
 window.sseService = new SSEService();
 
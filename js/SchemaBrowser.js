@@ -0,0 +1,356 @@
+/**
+ * SchemaBrowser class to show the tables and columns of the chat's database in a side panel
+ */
+class SchemaBrowser {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+        this.schemaService = new SchemaService();
+        this.panel = document.getElementById('schemaPanel');
+        this.tree = document.getElementById('schemaTree');
+        this.status = document.getElementById('schemaStatus');
+        this.searchInput = document.getElementById('schemaSearch');
+        this.refreshBtn = document.getElementById('schemaRefreshBtn');
+        this.closeBtn = document.getElementById('schemaCloseBtn');
+        this.toggleBtn = document.getElementById('schemaToggleBtn');
+        this.chatInput = document.getElementById('chatInput');
+
+        this.schema = null;
+        this.fetchedAt = null;
+        this.fromCache = false;
+        this.loadedProfileId = undefined; // undefined until the first load, null is the default connection
+        this.loadRequest = null; // Identifies the latest load so stale responses are ignored
+        this.expanded = new Set(); // Expanded schema names and "schema.table" keys
+        this.searchQuery = '';
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+
+        if (localStorage.getItem(API_CONFIG.STORAGE_KEYS.SCHEMA_PANEL_OPEN) === 'true') {
+            this.open();
+        }
+    }
+
+    setupEventListeners() {
+        this.toggleBtn.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        this.closeBtn.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.refreshBtn.addEventListener('click', () => {
+            this.loadSchema(true);
+        });
+
+        this.searchInput.addEventListener('input', () => {
+            this.searchQuery = this.searchInput.value;
+            this.renderTree();
+        });
+
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.searchInput.value = '';
+                this.searchQuery = '';
+                this.renderTree();
+            }
+        });
+
+        // Follow the database of the chat being viewed
+        ['currentChatChanged', 'chatCreated', 'dbProfileChanged', 'dbProfilesLoaded'].forEach(eventName => {
+            window.addEventListener(eventName, () => {
+                if (this.isOpen()) {
+                    this.loadSchema();
+                }
+            });
+        });
+    }
+
+    isOpen() {
+        return this.panel.classList.contains('open');
+    }
+
+    open() {
+        this.panel.classList.add('open');
+        this.toggleBtn.classList.add('active');
+        localStorage.setItem(API_CONFIG.STORAGE_KEYS.SCHEMA_PANEL_OPEN, 'true');
+        this.loadSchema();
+    }
+
+    close() {
+        this.panel.classList.remove('open');
+        this.toggleBtn.classList.remove('active');
+        localStorage.setItem(API_CONFIG.STORAGE_KEYS.SCHEMA_PANEL_OPEN, 'false');
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Load the schema for the current chat's profile
+     * @param {boolean} forceRefresh - Bypass the cache
+     */
+    async loadSchema(forceRefresh = false) {
+        const profileId = this.chatManager.getChatDbProfileId(this.chatManager.currentChatId) || null;
+        if (!forceRefresh && this.schema && profileId === this.loadedProfileId) {
+            return;
+        }
+
+        const request = {};
+        this.loadRequest = request;
+
+        if (profileId !== this.loadedProfileId) {
+            this.schema = null;
+            this.expanded.clear();
+            this.tree.innerHTML = '';
+        }
+
+        this.setStatus(forceRefresh ? 'Refreshing schema...' : 'Loading schema...');
+        this.refreshBtn.classList.add('loading');
+
+        const result = await this.schemaService.getSchema(profileId, { forceRefresh });
+
+        if (this.loadRequest !== request) {
+            return; // A newer load started while this one was in flight
+        }
+        this.refreshBtn.classList.remove('loading');
+
+        if (!result.success) {
+            console.error('Error loading schema:', result.error);
+            this.setStatus(`Failed to load schema: ${result.error}`, 'error');
+            if (!this.schema) {
+                this.renderMessage('Schema unavailable. Check your database connection and try refreshing.');
+            }
+            return;
+        }
+
+        this.schema = result.schema;
+        this.fetchedAt = result.fetchedAt;
+        this.fromCache = result.fromCache;
+        this.loadedProfileId = profileId;
+
+        window.dispatchEvent(new CustomEvent('schemaLoaded', {
+            detail: { profileId: profileId, schema: this.schema }
+        }));
+
+        // A single schema (usually public) is opened right away
+        if (this.expanded.size === 0 && this.schema.schemas.length === 1) {
+            this.expanded.add(this.schema.schemas[0].name);
+        }
+
+        this.renderTree();
+        this.updateStatus();
+    }
+
+    /**
+     * Render the schema tree, applying the search filter
+     */
+    renderTree() {
+        if (!this.schema) return;
+
+        this.tree.innerHTML = '';
+        const searching = this.searchQuery.trim() !== '';
+        const schemas = SchemaService.filter(this.schema, this.searchQuery);
+
+        if (schemas.length === 0) {
+            this.renderMessage(searching ? 'No tables or columns match your search.' : 'No tables found in this database.');
+            return;
+        }
+
+        schemas.forEach(schema => {
+            const node = document.createElement('div');
+            node.className = 'schema-node';
+
+            const isExpanded = searching || this.expanded.has(schema.name);
+            const header = document.createElement('button');
+            header.type = 'button';
+            header.className = 'schema-node-header';
+            header.innerHTML = `
+                <i class="fas fa-chevron-${isExpanded ? 'down' : 'right'} schema-chevron"></i>
+                <i class="fas fa-folder${isExpanded ? '-open' : ''}"></i>
+                <span class="schema-node-name"></span>
+                <span class="schema-node-count">${schema.tables.length}</span>
+            `;
+            header.querySelector('.schema-node-name').textContent = schema.name;
+            header.addEventListener('click', () => {
+                this.toggleExpanded(schema.name);
+            });
+            node.appendChild(header);
+
+            if (isExpanded) {
+                schema.tables.forEach(table => {
+                    node.appendChild(this.createTableElement(schema.name, table, searching));
+                });
+            }
+
+            this.tree.appendChild(node);
+        });
+    }
+
+    /**
+     * Create a table row with its (optionally expanded) columns
+     */
+    createTableElement(schemaName, table, searching) {
+        const key = `${schemaName}.${table.name}`;
+        const columns = table.matchedColumns || table.columns;
+        const isExpanded = this.expanded.has(key) || (searching && !!table.matchedColumns);
+
+        const element = document.createElement('div');
+        element.className = 'schema-table';
+
+        const row = document.createElement('div');
+        row.className = 'schema-table-row';
+
+        const expandBtn = document.createElement('button');
+        expandBtn.type = 'button';
+        expandBtn.className = 'schema-expand-btn';
+        expandBtn.title = isExpanded ? 'Hide columns' : 'Show columns';
+        expandBtn.innerHTML = `<i class="fas fa-chevron-${isExpanded ? 'down' : 'right'}"></i>`;
+        expandBtn.addEventListener('click', () => {
+            this.toggleExpanded(key);
+        });
+
+        const icon = document.createElement('i');
+        icon.className = table.type === 'view' ? 'fas fa-eye schema-table-icon' : 'fas fa-table schema-table-icon';
+        icon.title = table.type === 'view' ? 'View' : 'Table';
+
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'schema-table-name';
+        name.textContent = table.name;
+        name.title = 'Insert into message';
+        name.addEventListener('click', () => {
+            this.insertIntoInput(SchemaService.qualifiedName(schemaName, table.name));
+        });
+
+        row.appendChild(expandBtn);
+        row.appendChild(icon);
+        row.appendChild(name);
+
+        const rows = SchemaService.formatRowEstimate(table.rowEstimate);
+        if (rows) {
+            const estimate = document.createElement('span');
+            estimate.className = 'schema-row-estimate';
+            estimate.textContent = rows;
+            row.appendChild(estimate);
+        }
+
+        element.appendChild(row);
+
+        if (isExpanded) {
+            const list = document.createElement('ul');
+            list.className = 'schema-columns';
+            columns.forEach(column => {
+                list.appendChild(this.createColumnElement(schemaName, table.name, column));
+            });
+            element.appendChild(list);
+        }
+
+        return element;
+    }
+
+    /**
+     * Create a column item with its type and key markers
+     */
+    createColumnElement(schemaName, tableName, column) {
+        const item = document.createElement('li');
+        item.className = 'schema-column';
+
+        const keyIcon = document.createElement('i');
+        if (column.isPrimaryKey) {
+            keyIcon.className = 'fas fa-key schema-key-icon primary';
+            keyIcon.title = 'Primary key';
+        } else if (column.references) {
+            const { schema, table, column: target } = column.references;
+            keyIcon.className = 'fas fa-link schema-key-icon foreign';
+            keyIcon.title = `References ${SchemaService.qualifiedName(schema, table, target)}`;
+        } else {
+            keyIcon.className = 'schema-key-icon';
+        }
+
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'schema-column-name';
+        name.textContent = column.name;
+        name.title = 'Insert into message';
+        name.addEventListener('click', () => {
+            this.insertIntoInput(SchemaService.qualifiedName(schemaName, tableName, column.name));
+        });
+
+        const type = document.createElement('span');
+        type.className = 'schema-column-type';
+        type.textContent = column.nullable ? column.type : `${column.type} not null`;
+
+        item.appendChild(keyIcon);
+        item.appendChild(name);
+        item.appendChild(type);
+        return item;
+    }
+
+    toggleExpanded(key) {
+        if (this.expanded.has(key)) {
+            this.expanded.delete(key);
+        } else {
+            this.expanded.add(key);
+        }
+        this.renderTree();
+    }
+
+    /**
+     * Insert text at the caret in the chat input, padded with spaces
+     */
+    insertIntoInput(text) {
+        const input = this.chatInput;
+        const start = input.selectionStart != null ? input.selectionStart : input.value.length;
+        const end = input.selectionEnd != null ? input.selectionEnd : input.value.length;
+
+        const before = input.value.slice(0, start);
+        const after = input.value.slice(end);
+        const insertion = (before && !/\s$/.test(before) ? ' ' : '') + text + (after && !/^\s/.test(after) ? ' ' : '');
+
+        input.value = before + insertion + after;
+        const caret = before.length + insertion.length;
+        input.focus();
+        input.setSelectionRange(caret, caret);
+
+        // Let ChatArea resize the textarea
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    renderMessage(text) {
+        this.tree.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'schema-empty';
+        message.textContent = text;
+        this.tree.appendChild(message);
+    }
+
+    setStatus(text, type = 'info') {
+        this.status.textContent = text;
+        this.status.className = `schema-status ${type}`;
+    }
+
+    /**
+     * Show table count and how old the schema is
+     */
+    updateStatus() {
+        const tableCount = this.schema.schemas.reduce((sum, schema) => sum + schema.tables.length, 0);
+        const minutes = Math.floor((Date.now() - this.fetchedAt) / 60000);
+        let age = 'just now';
+        if (minutes >= 60) {
+            age = `${Math.floor(minutes / 60)}h ago`;
+        } else if (minutes > 0) {
+            age = `${minutes} min ago`;
+        }
+
+        this.setStatus(`${tableCount} table${tableCount === 1 ? '' : 's'} · updated ${age}${this.fromCache ? ' (cached)' : ''}`);
+    }
+}
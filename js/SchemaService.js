@@ -0,0 +1,204 @@
+/**
+ * SchemaService class to fetch and cache the structure of the connected database
+ */
+class SchemaService {
+    constructor() {
+        this.apiService = new ApiService();
+        this.cacheKey = API_CONFIG.STORAGE_KEYS.SCHEMA_CACHE;
+    }
+
+    /**
+     * Normalize the schema endpoint response into
+     * { schemas: [{ name, tables: [{ name, type, rowEstimate, columns: [{ name, type, nullable, isPrimaryKey, references }] }] }] }
+     * @param {Object|Array} raw - Response payload
+     * @returns {Object} Normalized schema
+     */
+    static normalize(raw) {
+        const rawSchemas = Array.isArray(raw) ? raw : (raw && raw.schemas) || [];
+
+        const schemas = rawSchemas.map(schema => ({
+            name: schema.name || schema.schema_name,
+            tables: (schema.tables || []).map(table => {
+                const primaryKey = table.primaryKey || table.primary_key || [];
+                const foreignKeys = table.foreignKeys || table.foreign_keys || [];
+                const rowEstimate = table.rowEstimate != null ? table.rowEstimate : table.row_estimate;
+
+                return {
+                    name: table.name || table.table_name,
+                    type: table.type === 'view' || table.table_type === 'VIEW' ? 'view' : 'table',
+                    rowEstimate: typeof rowEstimate === 'number' && rowEstimate >= 0 ? rowEstimate : null,
+                    columns: (table.columns || []).map(column => {
+                        const name = column.name || column.column_name;
+                        const foreignKey = column.references ||
+                            foreignKeys.find(fk => (fk.column || fk.column_name) === name) || null;
+
+                        return {
+                            name: name,
+                            type: column.type || column.data_type || '',
+                            nullable: column.nullable !== undefined ? !!column.nullable : column.is_nullable !== 'NO',
+                            isPrimaryKey: !!(column.isPrimaryKey || column.primary_key || primaryKey.includes(name)),
+                            references: foreignKey ? {
+                                schema: foreignKey.schema || foreignKey.foreign_schema || schema.name || schema.schema_name,
+                                table: foreignKey.table || foreignKey.foreign_table,
+                                column: foreignKey.referencedColumn || foreignKey.foreign_column
+                            } : null
+                        };
+                    })
+                };
+            })
+        }));
+
+        return { schemas };
+    }
+
+    /**
+     * Get the schema for a connection profile, from cache unless a refresh is forced
+     * @param {string|null} profileId - Profile ID, or null for the user's default connection
+     * @param {Object} options - { forceRefresh }
+     * @returns {Promise<Object>} { success, schema, fetchedAt, fromCache } or { success: false, error }
+     */
+    async getSchema(profileId, options = {}) {
+        const cacheId = profileId || 'default';
+
+        if (!options.forceRefresh) {
+            const cached = this.getCache()[cacheId];
+            if (cached && Date.now() - cached.fetchedAt < API_CONFIG.DEFAULTS.SCHEMA_CACHE_MAX_AGE) {
+                console.log('Using cached schema for profile:', cacheId);
+                return { success: true, schema: cached.schema, fetchedAt: cached.fetchedAt, fromCache: true };
+            }
+        }
+
+        const params = new URLSearchParams();
+        if (profileId) params.set('profileId', profileId);
+        if (options.forceRefresh) params.set('refresh', 'true');
+        const query = params.toString();
+
+        const response = await this.apiService.makeRequest(
+            `${API_CONFIG.ENDPOINTS.CLIENT_DB_SCHEMA}${query ? `?${query}` : ''}`,
+            { method: 'GET' }
+        );
+        if (!response.success) {
+            return { success: false, error: response.error };
+        }
+
+        const schema = SchemaService.normalize(DbProfileService.unwrap(response.data));
+        const fetchedAt = Date.now();
+
+        const cache = this.getCache();
+        cache[cacheId] = { schema, fetchedAt };
+        this.saveCache(cache);
+
+        return { success: true, schema, fetchedAt, fromCache: false };
+    }
+
+    /**
+     * Drop the cached schema for a profile, or all cached schemas
+     */
+    clearCache(profileId = undefined) {
+        if (profileId === undefined) {
+            localStorage.removeItem(this.cacheKey);
+            return;
+        }
+
+        const cache = this.getCache();
+        delete cache[profileId || 'default'];
+        this.saveCache(cache);
+    }
+
+    getCache() {
+        try {
+            return JSON.parse(localStorage.getItem(this.cacheKey)) || {};
+        } catch (error) {
+            console.error('Error reading schema cache:', error);
+            return {};
+        }
+    }
+
+    saveCache(cache) {
+        try {
+            localStorage.setItem(this.cacheKey, JSON.stringify(cache));
+        } catch (error) {
+            // Large schemas can exceed the storage quota, the panel still works without the cache
+            console.error('Error saving schema cache:', error);
+        }
+    }
+
+    /**
+     * Quote an identifier only when Postgres would otherwise fold, reject or misread it
+     * (e.g. "user" unquoted is CURRENT_USER)
+     */
+    static quoteIdentifier(name) {
+        return /^[a-z_][a-z0-9_$]*$/.test(name) && !SchemaService.RESERVED_WORDS.has(name)
+            ? name
+            : `"${name.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Qualified name for a table or column; the public schema is left implicit
+     * @param {string} schema - Schema name
+     * @param {string} table - Table name
+     * @param {string} column - Optional column name
+     */
+    static qualifiedName(schema, table, column = null) {
+        const parts = schema && schema !== 'public' ? [schema, table] : [table];
+        if (column) parts.push(column);
+        return parts.map(part => SchemaService.quoteIdentifier(part)).join('.');
+    }
+
+    /**
+     * Filter a schema by table or column name
+     * @param {Object} schema - Normalized schema
+     * @param {string} query - Search text
+     * @returns {Array<Object>} Matching schemas; tables carry matchedColumns when only columns matched
+     */
+    static filter(schema, query) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) return schema.schemas;
+
+        return schema.schemas
+            .map(s => ({
+                ...s,
+                tables: s.tables
+                    .map(table => {
+                        if (table.name.toLowerCase().includes(needle) || s.name.toLowerCase().includes(needle)) {
+                            return table;
+                        }
+                        const matchedColumns = table.columns.filter(column => column.name.toLowerCase().includes(needle));
+                        return matchedColumns.length > 0 ? { ...table, matchedColumns } : null;
+                    })
+                    .filter(Boolean)
+            }))
+            .filter(s => s.tables.length > 0);
+    }
+
+    /**
+     * Compact row count estimate, e.g. "~1.2k rows"
+     */
+    static formatRowEstimate(count) {
+        if (count == null) return '';
+        if (count < 1000) return `~${count} rows`;
+        if (count < 1000000) return `~${(count / 1000).toFixed(count < 10000 ? 1 : 0)}k rows`;
+        if (count < 1000000000) return `~${(count / 1000000).toFixed(count < 10000000 ? 1 : 0)}M rows`;
+        return `~${(count / 1000000000).toFixed(1)}B rows`;
+    }
+}
+
+// Postgres keywords that can't be used as bare table or column names
+SchemaService.RESERVED_WORDS = new Set([
+    'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric', 'authorization',
+    'binary', 'both', 'case', 'cast', 'check', 'collate', 'collation', 'column', 'concurrently',
+    'constraint', 'create', 'cross', 'current_catalog', 'current_date', 'current_role', 'current_schema',
+    'current_time', 'current_timestamp', 'current_user', 'default', 'deferrable', 'desc', 'distinct',
+    'do', 'else', 'end', 'except', 'false', 'fetch', 'for', 'foreign', 'freeze', 'from', 'full',
+    'grant', 'group', 'having', 'ilike', 'in', 'initially', 'inner', 'intersect', 'into', 'is',
+    'isnull', 'join', 'lateral', 'leading', 'left', 'like', 'limit', 'localtime', 'localtimestamp',
+    'natural', 'not', 'notnull', 'null', 'offset', 'on', 'only', 'or', 'order', 'outer', 'overlaps',
+    'placing', 'primary', 'references', 'returning', 'right', 'select', 'session_user', 'similar',
+    'some', 'symmetric', 'system_user', 'table', 'tablesample', 'then', 'to', 'trailing', 'true',
+    'union', 'unique', 'user', 'using', 'variadic', 'verbose', 'when', 'where', 'window', 'with'
+]);
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaService;
+}
@@ -0,0 +1,223 @@
+/**
+ * SearchService class to search chat names and message contents across conversations.
+ * Local chats are searched in memory; the server endpoint covers messages that were never loaded.
+ */
+class SearchService {
+    constructor() {
+        this.apiService = new ApiService();
+    }
+
+    /**
+     * Split a query into lowercase search terms
+     * @param {string} query - Text typed by the user
+     * @returns {Array<string>} Unique terms, longest first so overlapping highlights prefer the longer term
+     */
+    static getTerms(query) {
+        const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return [...new Set(terms)].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Score a piece of text against a query
+     * @param {string} text - Chat name or message content
+     * @param {string} query - The full query
+     * @param {Array<string>} terms - Terms from getTerms
+     * @returns {number} 0 when a term is missing, higher is better
+     */
+    static score(text, query, terms) {
+        const lower = (text || '').toLowerCase();
+        if (!lower || terms.length === 0) return 0;
+
+        let score = 0;
+        for (const term of terms) {
+            const index = lower.indexOf(term);
+            if (index === -1) return 0;
+
+            // Whole words count more than matches inside a longer word
+            const atStart = index === 0 || /\W/.test(lower[index - 1]);
+            const end = index + term.length;
+            const atEnd = end === lower.length || /\W/.test(lower[end]);
+            score += 10 + (atStart ? 5 : 0) + (atEnd ? 3 : 0);
+
+            // A few extra points for repeated mentions
+            score += Math.min(lower.split(term).length - 2, 3);
+        }
+
+        const phrase = query.trim().toLowerCase();
+        if (terms.length > 1 && lower.includes(phrase)) {
+            score += 20;
+        }
+
+        return score;
+    }
+
+    /**
+     * Cut a snippet around the first match
+     * @param {string} text - Full message content
+     * @param {Array<string>} terms - Terms from getTerms
+     * @returns {string} Single-line snippet with ellipses where text was cut
+     */
+    static snippet(text, terms) {
+        const flat = (text || '').replace(/\s+/g, ' ').trim();
+        const radius = API_CONFIG.DEFAULTS.SEARCH_SNIPPET_RADIUS;
+        const lower = flat.toLowerCase();
+
+        const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+        let start = Math.max(0, first - radius);
+        let end = Math.min(flat.length, first + radius * 2);
+        // Don't cut words in half
+        if (start > 0) {
+            const space = flat.indexOf(' ', start);
+            if (space !== -1 && space < first) start = space + 1;
+        }
+        if (end < flat.length) {
+            const space = flat.lastIndexOf(' ', end);
+            if (space > first) end = space;
+        }
+
+        return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '');
+    }
+
+    /**
+     * Escape text and wrap every term occurrence in <mark>
+     * @param {string} text - Plain text
+     * @param {Array<string>} terms - Terms from getTerms
+     * @returns {string} Safe HTML
+     */
+    static highlight(text, terms) {
+        const escape = value => value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        if (terms.length === 0) return escape(text);
+
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return text.split(pattern)
+            .map((part, index) => (index % 2 === 1 ? `<mark>${escape(part)}</mark>` : escape(part)))
+            .join('');
+    }
+
+    /**
+     * Search chats held by the chat manager
+     * @param {Array<Object>} chats - Chats from ChatManager.getAllChats()
+     * @param {string} query - Text typed by the user
+     * @returns {Array<Object>} Results as { chatId, chatName, messageId, role, content, createdAt, score, source }
+     */
+    static searchLocal(chats, query) {
+        const terms = SearchService.getTerms(query);
+        const results = [];
+        if (terms.length === 0) return results;
+
+        chats.forEach(chat => {
+            const nameScore = SearchService.score(chat.name, query, terms);
+            if (nameScore > 0) {
+                results.push({
+                    chatId: chat.id,
+                    chatName: chat.name,
+                    messageId: null,
+                    role: null,
+                    content: '',
+                    createdAt: chat.updatedAt,
+                    // Name hits rank above message hits of the same strength
+                    score: nameScore * 1.5,
+                    source: 'local'
+                });
+            }
+
+            (chat.messages || []).forEach(message => {
+                if (message.role !== 'user' && message.role !== 'assistant') return;
+
+                const messageScore = SearchService.score(message.content, query, terms);
+                if (messageScore > 0) {
+                    results.push({
+                        chatId: chat.id,
+                        chatName: chat.name,
+                        messageId: message.id,
+                        role: message.role,
+                        content: message.content,
+                        createdAt: message.timestamp || message.createdAt,
+                        score: messageScore,
+                        source: 'local'
+                    });
+                }
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Search the server for messages in conversations that are not loaded locally
+     * @param {string} query - Text typed by the user
+     * @returns {Promise<Object>} { success, results } or { success: false, error }
+     */
+    async searchServer(query) {
+        const params = new URLSearchParams({ q: query, limit: String(API_CONFIG.DEFAULTS.SEARCH_MAX_RESULTS) });
+        const response = await this.apiService.makeRequest(`${API_CONFIG.ENDPOINTS.SEARCH}?${params.toString()}`, {
+            method: 'GET'
+        });
+
+        if (!response.success) {
+            return { success: false, error: response.error };
+        }
+
+        const data = response.data;
+        const raw = Array.isArray(data) ? data : (data && (data.results || data.data)) || [];
+        const terms = SearchService.getTerms(query);
+
+        const results = raw.map(item => {
+            const chatId = item.conversationId || item.conversation_id || (item.conversation && item.conversation._id);
+            const chatName = item.conversationName || item.name || (item.conversation && item.conversation.name) || 'Untitled Chat';
+            const content = item.content || '';
+            const isNameHit = !content && !item.messageId && !item.message_id;
+
+            // Rank with the same scale as local results; the server score only breaks ties
+            const score = SearchService.score(isNameHit ? chatName : content, query, terms) * (isNameHit ? 1.5 : 1);
+
+            return {
+                chatId: chatId,
+                chatName: chatName,
+                messageId: isNameHit ? null : (item.messageId || item.message_id || item._id || item.id),
+                role: item.role || null,
+                content: content,
+                createdAt: item.createdAt,
+                score: score + (typeof item.score === 'number' ? Math.min(item.score, 1) : 0),
+                source: 'server'
+            };
+        }).filter(result => result.chatId);
+
+        return { success: true, results };
+    }
+
+    /**
+     * Merge local and server results, dropping duplicates and keeping the best score
+     * @param {Array<Object>} local - Results from searchLocal
+     * @param {Array<Object>} server - Results from searchServer
+     * @returns {Array<Object>} Ranked results, at most SEARCH_MAX_RESULTS
+     */
+    static merge(local, server) {
+        const byKey = new Map();
+
+        [...local, ...server].forEach(result => {
+            const key = `${result.chatId}:${result.messageId || 'name'}`;
+            const existing = byKey.get(key);
+            if (!existing || result.score > existing.score) {
+                // Keep the local chat name, which reflects renames not yet indexed by the server
+                byKey.set(key, existing ? { ...result, chatName: existing.chatName } : result);
+            }
+        });
+
+        return Array.from(byKey.values())
+            .sort((a, b) => b.score - a.score || new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+            .slice(0, API_CONFIG.DEFAULTS.SEARCH_MAX_RESULTS);
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchService;
+}
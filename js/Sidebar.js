@@ -11,6 +11,24 @@ class Sidebar {
         this.mobileMenuBtn = document.getElementById('mobileMenuBtn');
         this.userName = document.getElementById('userName');
         this.logoutBtn = document.getElementById('logoutBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.importFileInput = document.getElementById('importFileInput');
+        this.newFolderBtn = document.getElementById('newFolderBtn');
+        this.archiveToggleBtn = document.getElementById('archiveToggleBtn');
+        this.showArchived = false; // Archive view replaces the main list
+        this.draggedChatId = null; // Chat item being dragged onto a folder or section
+        this.selectModeBtn = document.getElementById('selectModeBtn');
+        this.bulkActions = document.getElementById('bulkActions');
+        this.bulkSelectAll = document.getElementById('bulkSelectAll');
+        this.bulkCount = document.getElementById('bulkCount');
+        this.bulkFolderSelect = document.getElementById('bulkFolderSelect');
+        this.bulkStatus = document.getElementById('bulkStatus');
+        this.selectionMode = false;
+        this.selectedChatIds = new Set();
+        this.lastSelectedChatId = null; // Anchor for shift-click ranges
+        this.isBulkRunning = false;
+        this.undoToasts = new Map(); // chatId or batchId -> { toast, chatIds } while a deletion can be undone
+        this.chatExporter = new ChatExporter(chatManager);
         this.eventsSetup = false; // Flag to prevent duplicate event listener setup
         
         this.init();
@@ -44,6 +62,64 @@ class Sidebar {
             this.logout();
         });
 
+        // Import button opens the file picker
+        this.importBtn.addEventListener('click', () => {
+            this.importFileInput.click();
+        });
+
+        this.importFileInput.addEventListener('change', () => {
+            const file = this.importFileInput.files[0];
+            // Reset so picking the same file again still fires change
+            this.importFileInput.value = '';
+            if (file) {
+                this.importChats(file);
+            }
+        });
+
+        this.newFolderBtn.addEventListener('click', () => {
+            this.createFolder();
+        });
+
+        this.archiveToggleBtn.addEventListener('click', () => {
+            this.showArchived = !this.showArchived;
+            // A selection only covers the view it was made in
+            this.selectedChatIds.clear();
+            this.renderChatList();
+            this.updateSelection(this.chatManager.currentChatId);
+        });
+
+        // Bulk selection
+        this.selectModeBtn.addEventListener('click', () => {
+            this.setSelectionMode(!this.selectionMode);
+        });
+
+        document.getElementById('bulkCancelBtn').addEventListener('click', () => {
+            this.setSelectionMode(false);
+        });
+
+        this.bulkSelectAll.addEventListener('change', () => {
+            if (this.bulkSelectAll.checked) {
+                this.getVisibleChatIds().forEach(chatId => this.selectedChatIds.add(chatId));
+            } else {
+                this.selectedChatIds.clear();
+            }
+            this.refreshSelection();
+        });
+
+        this.bulkActions.querySelectorAll('[data-bulk]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.runBulkAction(button.dataset.bulk);
+            });
+        });
+
+        this.bulkFolderSelect.addEventListener('change', () => {
+            const value = this.bulkFolderSelect.value;
+            this.bulkFolderSelect.value = '';
+            if (value) {
+                this.runBulkAction('move', value === 'none' ? null : value);
+            }
+        });
+
         // Close sidebar when clicking outside on mobile
         document.addEventListener('click', (e) => {
             if (window.innerWidth <= 768 && 
@@ -82,6 +158,7 @@ class Sidebar {
         });
 
         window.addEventListener('chatDeleted', (e) => {
+            this.dismissUndoToast(e.detail.chatId);
             this.renderChatList();
             // If the deleted chat was selected, clear selection
             if (this.chatManager.currentChatId === e.detail.chatId) {
@@ -93,10 +170,42 @@ class Sidebar {
             this.updateSelection(e.detail.chatId);
         });
 
+        window.addEventListener('chatDeletionScheduled', (e) => {
+            this.renderChatList();
+            this.updateSelection(this.chatManager.currentChatId);
+            this.showUndoToast(e.detail);
+        });
+
+        window.addEventListener('chatDeletionUndone', (e) => {
+            this.dismissUndoToast(e.detail.chatId);
+            this.renderChatList();
+            this.updateSelection(this.chatManager.currentChatId);
+        });
+
+        // Chats deleted together are removed on the server once their undo has expired
+        window.addEventListener('chatDeletionBatchProgress', (e) => {
+            this.setBulkStatus(`Deleting ${e.detail.done} of ${e.detail.total}...`);
+        });
+
+        window.addEventListener('chatDeletionBatchFinished', (e) => {
+            const { succeeded, failed } = e.detail;
+            this.showBulkResult('Deleted', succeeded.length + failed.length, e.detail);
+        });
+
         window.addEventListener('chatsLoaded', (e) => {
             this.renderChatList();
             this.updateLoadMoreButton();
         });
+
+        window.addEventListener('foldersUpdated', (e) => {
+            this.renderChatList();
+            this.updateSelection(this.chatManager.currentChatId);
+        });
+
+        window.addEventListener('chatsImported', (e) => {
+            this.renderChatList();
+            this.updateSelection(this.chatManager.currentChatId);
+        });
     }
 
     async createNewChat() {
@@ -125,9 +234,20 @@ class Sidebar {
     renderChatList() {
         this.chatList.innerHTML = '';
         
-        const chats = this.chatManager.getAllChats();
+        const allChats = this.chatManager.getAllChats();
+        const archivedChats = allChats.filter(chat => chat.archived);
+        this.updateArchiveToggle(archivedChats.length);
+        this.updateBulkActions();
+
+        if (this.showArchived) {
+            this.renderArchivedList(archivedChats);
+            return;
+        }
+
+        const chats = allChats.filter(chat => !chat.archived);
+        const folders = this.chatManager.getFolders();
         
-        if (chats.length === 0) {
+        if (chats.length === 0 && folders.length === 0) {
             if (this.chatManager.isLoadingChats()) {
                 // Show loading state
                 const loadingState = document.createElement('div');
@@ -161,15 +281,202 @@ class Sidebar {
             return;
         }
 
-        chats.forEach(chat => {
-            const chatItem = this.createChatItem(chat);
-            this.chatList.appendChild(chatItem);
+        // Pinned chats first so they aren't buried by pagination
+        const pinnedChats = chats.filter(chat => chat.pinned);
+        if (pinnedChats.length > 0) {
+            const pinnedSection = this.createSection('Pinned', 'fas fa-thumbtack', (chatId) => {
+                this.chatManager.pinChat(chatId, true);
+            });
+            pinnedChats.forEach(chat => pinnedSection.body.appendChild(this.createChatItem(chat)));
+            this.chatList.appendChild(pinnedSection.section);
+        }
+
+        const folderIds = new Set(folders.map(folder => folder.id));
+        folders.forEach(folder => {
+            const folderChats = chats.filter(chat => !chat.pinned && chat.folderId === folder.id);
+            this.chatList.appendChild(this.createFolderSection(folder, folderChats));
+        });
+
+        // Chats in a folder that no longer exists fall back to the main list
+        const otherChats = chats.filter(chat => !chat.pinned && !folderIds.has(chat.folderId));
+        if (pinnedChats.length > 0 || folders.length > 0) {
+            // Also the drop target for taking chats out of folders
+            const chatsSection = this.createSection('Chats', 'fas fa-comments', (chatId) => {
+                this.chatManager.moveChatToFolder(chatId, null);
+            });
+            otherChats.forEach(chat => chatsSection.body.appendChild(this.createChatItem(chat)));
+            this.chatList.appendChild(chatsSection.section);
+        } else {
+            otherChats.forEach(chat => this.chatList.appendChild(this.createChatItem(chat)));
+        }
+
+        this.addPaginationFooter(chats.length);
+    }
+
+    /**
+     * Render archived chats in place of the main list
+     */
+    renderArchivedList(archivedChats) {
+        const header = document.createElement('div');
+        header.className = 'archive-header';
+        header.innerHTML = `
+            <button class="chat-item-action archive-back" type="button" title="Back to chats">
+                <i class="fas fa-arrow-left"></i>
+            </button>
+            <span>Archived chats</span>
+        `;
+        header.querySelector('.archive-back').addEventListener('click', () => {
+            this.showArchived = false;
+            this.renderChatList();
+            this.updateSelection(this.chatManager.currentChatId);
+        });
+        this.chatList.appendChild(header);
+
+        if (archivedChats.length === 0) {
+            const emptyState = document.createElement('div');
+            emptyState.className = 'archive-empty';
+            emptyState.textContent = 'No archived chats';
+            this.chatList.appendChild(emptyState);
+        }
+
+        archivedChats.forEach(chat => {
+            this.chatList.appendChild(this.createChatItem(chat));
         });
 
+        this.addPaginationFooter(archivedChats.length);
+    }
+
+    /**
+     * Show how many chats are archived on the toolbar button
+     */
+    updateArchiveToggle(count) {
+        this.archiveToggleBtn.classList.toggle('active', this.showArchived);
+        this.archiveToggleBtn.title = this.showArchived ? 'Back to chats' : 'Show archived chats';
+        this.archiveToggleBtn.querySelector('span').textContent = count > 0 ? `Archived (${count})` : 'Archived';
+    }
+
+    /**
+     * Create a titled section of the chat list that chats can be dropped on
+     * @param {string} title - Section title
+     * @param {string} icon - Font Awesome classes
+     * @param {Function} onDrop - (chatId) => void
+     * @returns {Object} { section, header, body }
+     */
+    createSection(title, icon, onDrop) {
+        const section = document.createElement('div');
+        section.className = 'chat-section';
+        section.innerHTML = `
+            <div class="chat-section-header">
+                <i class="${icon}"></i>
+                <span class="chat-section-title"></span>
+            </div>
+            <div class="chat-section-body"></div>
+        `;
+        section.querySelector('.chat-section-title').textContent = title;
+        this.setupDropTarget(section, onDrop);
+
+        return {
+            section: section,
+            header: section.querySelector('.chat-section-header'),
+            body: section.querySelector('.chat-section-body')
+        };
+    }
+
+    /**
+     * Create a collapsible folder section with rename and delete actions
+     */
+    createFolderSection(folder, chats) {
+        const { section, header, body } = this.createSection(folder.name,
+            folder.collapsed ? 'fas fa-folder' : 'fas fa-folder-open',
+            (chatId) => this.chatManager.moveChatToFolder(chatId, folder.id));
+
+        section.classList.add('chat-folder');
+        section.classList.toggle('collapsed', !!folder.collapsed);
+        section.dataset.folderId = folder.id;
+
+        const count = document.createElement('span');
+        count.className = 'chat-section-count';
+        count.textContent = chats.length;
+        header.appendChild(count);
+
+        const actions = document.createElement('div');
+        actions.className = 'chat-section-actions';
+        actions.innerHTML = `
+            <button class="chat-item-action" title="Rename folder" data-action="rename-folder">
+                <i class="fas fa-edit"></i>
+            </button>
+            <button class="chat-item-action" title="Delete folder" data-action="delete-folder">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        header.appendChild(actions);
+
+        header.addEventListener('click', (e) => {
+            if (e.target.closest('.chat-section-actions')) return;
+            this.chatManager.toggleFolderCollapsed(folder.id);
+            this.renderChatList();
+            this.updateSelection(this.chatManager.currentChatId);
+        });
+
+        actions.querySelector('[data-action="rename-folder"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.renameFolder(folder);
+        });
+
+        actions.querySelector('[data-action="delete-folder"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteFolder(folder);
+        });
+
+        if (chats.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'chat-folder-empty';
+            empty.textContent = 'Drag chats here';
+            body.appendChild(empty);
+        }
+        chats.forEach(chat => body.appendChild(this.createChatItem(chat)));
+
+        return section;
+    }
+
+    /**
+     * Accept chat items dragged onto an element
+     * @param {HTMLElement} element - Drop target
+     * @param {Function} onDrop - (chatId) => void
+     */
+    setupDropTarget(element, onDrop) {
+        element.addEventListener('dragover', (e) => {
+            if (!this.draggedChatId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            element.classList.add('drag-over');
+        });
+
+        element.addEventListener('dragleave', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                element.classList.remove('drag-over');
+            }
+        });
+
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drag-over');
+            const chatId = e.dataTransfer.getData('text/plain') || this.draggedChatId;
+            this.draggedChatId = null;
+            if (chatId) {
+                onDrop(chatId);
+            }
+        });
+    }
+
+    /**
+     * Add the load more button or the "All chats loaded" note below the list
+     */
+    addPaginationFooter(chatCount) {
         // Add load more button if there are more chats to load
         if (this.chatManager.hasMoreChats()) {
             this.addLoadMoreButton();
-        } else if (chats.length > 0) {
+        } else if (chatCount > 0) {
             // Show "No more chats" message if we have chats but no more to load
             this.addNoMoreChatsMessage();
         }
@@ -179,6 +486,7 @@ class Sidebar {
         const chatItem = document.createElement('div');
         chatItem.className = 'chat-item';
         chatItem.dataset.chatId = chat.id;
+        chatItem.draggable = !chat.archived && !this.selectionMode;
 
         // Get last message preview
         const lastMessage = chat.messages.length > 0 ? 
@@ -190,40 +498,90 @@ class Sidebar {
             'No messages yet';
 
         chatItem.innerHTML = `
+            ${this.selectionMode ? `<input type="checkbox" class="chat-item-select" aria-label="Select chat"${this.selectedChatIds.has(chat.id) ? ' checked' : ''}>` : ''}
             <div class="chat-item-content">
                 <div class="chat-item-name">${this.escapeHtml(chat.name)}</div>
                 <div class="chat-item-preview">${this.escapeHtml(preview)}</div>
             </div>
             <div class="chat-item-actions">
+                ${chat.archived ? '' : `
+                <button class="chat-item-action${chat.pinned ? ' pinned' : ''}" title="${chat.pinned ? 'Unpin chat' : 'Pin chat'}" data-action="pin">
+                    <i class="fas fa-thumbtack"></i>
+                </button>`}
+                <button class="chat-item-action" title="${chat.archived ? 'Unarchive chat' : 'Archive chat'}" data-action="archive">
+                    <i class="fas ${chat.archived ? 'fa-box-open' : 'fa-box-archive'}"></i>
+                </button>
                 <button class="chat-item-action" title="Edit chat name" data-action="edit">
                     <i class="fas fa-edit"></i>
                 </button>
+                <button class="chat-item-action" title="Export conversation" data-action="export">
+                    <i class="fas fa-download"></i>
+                </button>
                 <button class="chat-item-action" title="Delete chat" data-action="delete">
                     <i class="fas fa-trash"></i>
                 </button>
             </div>
         `;
 
+        chatItem.classList.toggle('selected', this.selectionMode && this.selectedChatIds.has(chat.id));
+
         // Add click event to select chat
         chatItem.addEventListener('click', (e) => {
+            if (this.selectionMode) {
+                this.toggleChatSelection(chat.id, e.shiftKey);
+                return;
+            }
             if (!e.target.closest('.chat-item-actions')) {
                 this.selectChat(chat.id);
                 this.closeSidebar();
             }
         });
 
+        chatItem.addEventListener('dragstart', (e) => {
+            this.draggedChatId = chat.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', chat.id);
+            chatItem.classList.add('dragging');
+        });
+
+        chatItem.addEventListener('dragend', () => {
+            this.draggedChatId = null;
+            chatItem.classList.remove('dragging');
+            this.chatList.querySelectorAll('.drag-over').forEach(element => element.classList.remove('drag-over'));
+        });
+
         // Add action button events
+        const pinBtn = chatItem.querySelector('[data-action="pin"]');
+        const archiveBtn = chatItem.querySelector('[data-action="archive"]');
         const editBtn = chatItem.querySelector('[data-action="edit"]');
+        const exportBtn = chatItem.querySelector('[data-action="export"]');
         const deleteBtn = chatItem.querySelector('[data-action="delete"]');
 
+        if (pinBtn) {
+            pinBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.chatManager.pinChat(chat.id, !chat.pinned);
+            });
+        }
+
+        archiveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.chatManager.archiveChat(chat.id, !chat.archived);
+        });
+
         editBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             this.editChatName(chat.id, chat.name);
         });
 
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.exportChat(chat.id);
+        });
+
         deleteBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.deleteChat(chat.id, chat.name);
+            this.deleteChat(chat.id);
         });
 
         return chatItem;
@@ -329,38 +687,283 @@ class Sidebar {
         });
     }
 
-    async deleteChat(chatId, chatName) {
-        if (confirm(`Are you sure you want to delete "${chatName}"? This action cannot be undone.`)) {
-            // Find the chat item element to show loading state
-            const chatItem = document.querySelector(`[data-chat-id="${chatId}"]`);
-            const deleteBtn = chatItem?.querySelector('[data-action="delete"]');
-            
-            // Show loading state on delete button
-            if (deleteBtn) {
-                const originalContent = deleteBtn.innerHTML;
-                deleteBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
-                deleteBtn.disabled = true;
-                
-                try {
-                    const success = await this.chatManager.deleteChat(chatId);
-                    
-                    if (!success) {
-                        // Reset button state on failure
-                        deleteBtn.innerHTML = originalContent;
-                        deleteBtn.disabled = false;
-                    }
-                    // If successful, the chat item will be removed from DOM by the chatDeleted event
-                } catch (error) {
-                    console.error('Error deleting chat:', error);
-                    // Reset button state on error
-                    deleteBtn.innerHTML = originalContent;
-                    deleteBtn.disabled = false;
-                }
+    /**
+     * Hide a chat right away and delete it after a grace period, with an undo toast
+     */
+    deleteChat(chatId) {
+        this.chatManager.scheduleDeletion(chatId);
+    }
+
+    /**
+     * Show the undo toast of a deletion; chats deleted together share one toast
+     */
+    showUndoToast(deletion) {
+        const key = deletion.batchId || deletion.chatId;
+        const existing = this.undoToasts.get(key);
+        const chatIds = existing ? existing.chatIds : [];
+        if (existing) {
+            existing.toast.dismiss();
+        }
+        if (!chatIds.includes(deletion.chatId)) {
+            chatIds.push(deletion.chatId);
+        }
+
+        const message = chatIds.length === 1 ? `Deleted "${deletion.name}"` : `Deleted ${chatIds.length} chats`;
+        const toast = new UndoToast(message, deletion.deleteAt, () => {
+            this.undoToasts.delete(key);
+            chatIds.forEach(chatId => this.chatManager.undoDeletion(chatId));
+        });
+        this.undoToasts.set(key, { toast, chatIds });
+        toast.show();
+    }
+
+    /**
+     * Drop a chat from its undo toast, closing the toast once none of its chats are left
+     */
+    dismissUndoToast(chatId) {
+        this.undoToasts.forEach((entry, key) => {
+            const index = entry.chatIds.indexOf(chatId);
+            if (index === -1) return;
+
+            entry.chatIds.splice(index, 1);
+            if (entry.chatIds.length === 0) {
+                entry.toast.dismiss();
+                this.undoToasts.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Turn checkboxes on the chat items on or off
+     */
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        this.selectedChatIds.clear();
+        this.lastSelectedChatId = null;
+        this.sidebar.classList.toggle('selecting', enabled);
+        this.selectModeBtn.classList.toggle('active', enabled);
+        this.setBulkStatus('');
+        this.renderChatList();
+        this.updateSelection(this.chatManager.currentChatId);
+    }
+
+    /**
+     * Select or unselect a chat; with shift, select everything between it and the last clicked chat
+     */
+    toggleChatSelection(chatId, range = false) {
+        const visibleIds = this.getVisibleChatIds();
+        const anchorIndex = visibleIds.indexOf(this.lastSelectedChatId);
+        const index = visibleIds.indexOf(chatId);
+
+        if (range && anchorIndex !== -1 && index !== -1) {
+            visibleIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+                .forEach(id => this.selectedChatIds.add(id));
+        } else if (this.selectedChatIds.has(chatId)) {
+            this.selectedChatIds.delete(chatId);
+        } else {
+            this.selectedChatIds.add(chatId);
+        }
+
+        this.lastSelectedChatId = chatId;
+        this.refreshSelection();
+    }
+
+    /**
+     * IDs of the chat items shown in the list, in list order (collapsed folders excluded)
+     */
+    getVisibleChatIds() {
+        return Array.from(this.chatList.querySelectorAll('.chat-item'))
+            .filter(item => !item.closest('.collapsed'))
+            .map(item => item.dataset.chatId);
+    }
+
+    /**
+     * Sync checkboxes and the bulk bar with the selection
+     */
+    refreshSelection() {
+        this.chatList.querySelectorAll('.chat-item').forEach(item => {
+            const selected = this.selectedChatIds.has(item.dataset.chatId);
+            item.classList.toggle('selected', selected);
+            const checkbox = item.querySelector('.chat-item-select');
+            if (checkbox) {
+                checkbox.checked = selected;
+            }
+        });
+        this.updateBulkActions();
+    }
+
+    updateBulkActions() {
+        // Forget chats that were deleted meanwhile
+        this.selectedChatIds.forEach(chatId => {
+            if (!this.chatManager.getChat(chatId)) {
+                this.selectedChatIds.delete(chatId);
+            }
+        });
+
+        const count = this.selectedChatIds.size;
+        const visibleCount = this.getVisibleChatIds().length;
+        this.bulkCount.textContent = `${count} selected`;
+        this.bulkSelectAll.checked = count > 0 && count >= visibleCount;
+        this.bulkSelectAll.indeterminate = count > 0 && count < visibleCount;
+        this.bulkSelectAll.disabled = this.isBulkRunning;
+
+        const archiveBtn = this.bulkActions.querySelector('[data-bulk="archive"]');
+        archiveBtn.title = this.showArchived ? 'Unarchive selected' : 'Archive selected';
+        archiveBtn.querySelector('i').className = `fas ${this.showArchived ? 'fa-box-open' : 'fa-box-archive'}`;
+
+        this.bulkActions.querySelectorAll('[data-bulk]').forEach(button => {
+            button.disabled = count === 0 || this.isBulkRunning;
+        });
+
+        this.bulkFolderSelect.innerHTML = '<option value="">Move to folder...</option><option value="none">No folder</option>';
+        this.chatManager.getFolders().forEach(folder => {
+            const option = document.createElement('option');
+            option.value = folder.id;
+            option.textContent = folder.name;
+            this.bulkFolderSelect.appendChild(option);
+        });
+        this.bulkFolderSelect.disabled = count === 0 || this.isBulkRunning;
+    }
+
+    setBulkStatus(text, type = 'info') {
+        this.bulkStatus.className = text ? `bulk-status ${type}` : 'bulk-status';
+        this.bulkStatus.textContent = text;
+    }
+
+    /**
+     * Run a bulk action on the selected chats and report what failed
+     * @param {string} action - 'delete', 'archive', 'export' or 'move'
+     * @param {string|null} folderId - Target folder for 'move'
+     */
+    async runBulkAction(action, folderId = null) {
+        const chatIds = Array.from(this.selectedChatIds);
+        if (chatIds.length === 0 || this.isBulkRunning) return;
+
+        const noun = `${chatIds.length} chat${chatIds.length === 1 ? '' : 's'}`;
+
+        if (action === 'export') {
+            const dialog = new ExportDialog(`${noun} selected`, (format, onProgress) => {
+                return this.chatExporter.buildExport(chatIds, format, onProgress);
+            });
+            dialog.open();
+            return;
+        }
+
+        if (action === 'delete') {
+            // Same path as deleting one chat: hidden now, deleted on the server once Undo has expired
+            const scheduled = this.chatManager.scheduleDeletions(chatIds);
+            this.selectedChatIds = new Set();
+            this.renderChatList();
+            this.updateSelection(this.chatManager.currentChatId);
+            this.setBulkStatus(`${scheduled.length} chat${scheduled.length === 1 ? '' : 's'} will be deleted; click Undo to keep them.`);
+            return;
+        }
+
+        const archived = !this.showArchived;
+        const labels = {
+            archive: archived ? ['Archiving', 'Archived'] : ['Unarchiving', 'Unarchived'],
+            move: ['Moving', 'Moved']
+        };
+        const [running, finished] = labels[action];
+        const onProgress = (done, total) => this.setBulkStatus(`${running} ${done} of ${total}...`);
+
+        this.isBulkRunning = true;
+        this.updateBulkActions();
+        onProgress(0, chatIds.length);
+
+        let result;
+        try {
+            if (action === 'archive') {
+                result = await this.chatManager.archiveChats(chatIds, archived, onProgress);
             } else {
-                // Fallback if chat item not found
-                await this.chatManager.deleteChat(chatId);
+                result = await this.chatManager.moveChatsToFolder(chatIds, folderId, onProgress);
             }
+        } catch (error) {
+            console.error('Bulk action failed:', error);
+            result = { succeeded: [], failed: chatIds.map(chatId => ({ chatId, name: chatId, error: error.message })) };
+        } finally {
+            this.isBulkRunning = false;
+        }
+
+        this.showBulkResult(finished, chatIds.length, result);
+    }
+
+    /**
+     * Report how a bulk action went, keeping the chats it failed on selected
+     * @param {string} finished - Past tense of the action, e.g. 'Archived'
+     * @param {number} total - Number of chats the action ran on
+     * @param {Object} result - { succeeded, failed: [{ chatId, name, error }] } from ChatManager.runBulk
+     */
+    showBulkResult(finished, total, result) {
+        // Keep the failed chats that are still in this view selected so the action can be retried
+        this.selectedChatIds = new Set(result.failed.map(item => item.chatId).filter(chatId => {
+            const chat = this.chatManager.getChat(chatId);
+            return chat && !!chat.archived === this.showArchived;
+        }));
+        this.renderChatList();
+        this.updateSelection(this.chatManager.currentChatId);
+
+        if (result.failed.length === 0) {
+            this.setBulkStatus(`${finished} ${total} chat${total === 1 ? '' : 's'}.`, 'success');
+        } else {
+            const details = result.failed.map(item => `${item.name} (${item.error})`).join(', ');
+            this.setBulkStatus(`${finished} ${result.succeeded.length} of ${total}. Failed: ${details}`, 'error');
+        }
+    }
+
+    createFolder() {
+        const name = (prompt('Folder name') || '').trim();
+        if (name) {
+            this.chatManager.createFolder(name);
+        }
+    }
+
+    renameFolder(folder) {
+        const name = (prompt('Rename folder', folder.name) || '').trim();
+        if (name && name !== folder.name) {
+            this.chatManager.renameFolder(folder.id, name);
+        }
+    }
+
+    deleteFolder(folder) {
+        if (confirm(`Delete the folder "${folder.name}"? Its chats move back to the main list.`)) {
+            this.chatManager.deleteFolder(folder.id);
+        }
+    }
+
+    /**
+     * Export a conversation with its full server history as Markdown, HTML or JSON
+     */
+    exportChat(chatId) {
+        const chat = this.chatManager.getChat(chatId);
+        if (!chat) return;
+
+        const dialog = new ExportDialog(chat.name, (format, onProgress) => {
+            return this.chatExporter.buildExport([chatId], format, onProgress);
+        });
+        dialog.open();
+    }
+
+    /**
+     * Validate a conversation file and let the user choose how to merge it
+     */
+    async importChats(file) {
+        let parsed;
+        try {
+            parsed = ChatImporter.parse(await file.text());
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            parsed = { success: false, error: `Couldn't read the file: ${error.message}` };
         }
+
+        const conflictCount = parsed.success
+            ? parsed.conversations.filter(conversation => this.chatManager.findImportConflict(conversation)).length
+            : 0;
+
+        const dialog = new ImportDialog(file.name, parsed, conflictCount, (options, onProgress) => {
+            return this.chatManager.importChats(parsed.conversations, options, onProgress);
+        });
+        dialog.open();
     }
 
     closeModal() {
@@ -432,7 +1035,12 @@ class Sidebar {
             // Reset pagination state for initial load
             this.chatManager.resetPagination();
             
-            const result = await this.chatManager.fetchChats(false); // Load first page
+            // Folders render empty until chats arrive, and pinned chats may be on any page, so all load together
+            const [result] = await Promise.all([
+                this.chatManager.fetchChats(false), // Load first page
+                this.chatManager.fetchPinnedChats(),
+                this.chatManager.fetchFolders()
+            ]);
             
             // Always render the chat list after loading
             this.renderChatList();
@@ -0,0 +1,173 @@
+/**
+ * SqlEditor class to edit an answer's SQL in a modal and run it again
+ */
+class SqlEditor {
+    /**
+     * @param {string} sql - SQL to start from
+     * @param {Function} onRun - async (sql, { allowWrites }) => { success, error }
+     */
+    constructor(sql, onRun) {
+        this.sql = sql || '';
+        this.onRun = onRun;
+        this.highlighter = new SqlHighlighter();
+        this.overlay = null;
+        this.input = null;
+        this.highlight = null;
+        this.isRunning = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    open() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay active sql-editor-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal sql-editor-modal" role="dialog" aria-labelledby="sqlEditorTitle">
+                <div class="modal-header">
+                    <h3 id="sqlEditorTitle">Edit &amp; Run SQL</h3>
+                    <button class="modal-close" type="button" title="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="sql-editor">
+                        <pre class="sql-editor-highlight" aria-hidden="true"><code></code></pre>
+                        <textarea class="sql-editor-input" spellcheck="false" autocomplete="off" aria-label="SQL"></textarea>
+                    </div>
+                    <div class="sql-safety-badge"></div>
+                    <ul class="sql-lint"></ul>
+                    <label class="sql-allow-writes">
+                        <input type="checkbox">
+                        <span></span>
+                    </label>
+                    <div class="sql-editor-error"></div>
+                </div>
+                <div class="modal-footer">
+                    <span class="sql-editor-hint">Ctrl+Enter to run</span>
+                    <button class="btn btn-secondary sql-editor-cancel" type="button">Cancel</button>
+                    <button class="btn btn-primary sql-editor-run" type="button">
+                        <i class="fas fa-play"></i> Run
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.input = this.overlay.querySelector('.sql-editor-input');
+        this.highlight = this.overlay.querySelector('.sql-editor-highlight code');
+        this.allowWrites = this.overlay.querySelector('.sql-allow-writes input');
+        this.runBtn = this.overlay.querySelector('.sql-editor-run');
+
+        this.input.value = this.sql;
+
+        this.input.addEventListener('input', () => this.refresh());
+        this.input.addEventListener('scroll', () => this.syncScroll());
+        this.allowWrites.addEventListener('change', () => this.refresh());
+        this.runBtn.addEventListener('click', () => this.run());
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.overlay.querySelector('.sql-editor-cancel').addEventListener('click', () => this.close());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+        document.addEventListener('keydown', this.handleKeydown);
+
+        document.body.appendChild(this.overlay);
+        this.refresh();
+        this.input.focus();
+    }
+
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.close();
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.run();
+        } else if (e.key === 'Tab' && e.target === this.input && !e.shiftKey) {
+            // Indent instead of leaving the editor
+            e.preventDefault();
+            const { selectionStart, selectionEnd, value } = this.input;
+            this.input.value = value.slice(0, selectionStart) + '  ' + value.slice(selectionEnd);
+            this.input.selectionStart = this.input.selectionEnd = selectionStart + 2;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Re-highlight, re-lint and re-check the SQL after an edit
+     */
+    refresh() {
+        const sql = this.input.value;
+
+        // Trailing newline keeps the highlight layer as tall as the textarea content
+        this.highlight.innerHTML = this.highlighter.highlight(sql) + '\n';
+        this.syncScroll();
+
+        const problems = SqlSafety.lint(sql);
+        const lintList = this.overlay.querySelector('.sql-lint');
+        lintList.innerHTML = '';
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = `sql-lint-item ${problem.severity}`;
+            item.innerHTML = `<i class="fas fa-${problem.severity === 'error' ? 'times-circle' : 'exclamation-triangle'}"></i>`;
+            item.appendChild(document.createTextNode(` ${problem.message}`));
+            lintList.appendChild(item);
+        });
+
+        const safety = SqlSafety.classify(sql);
+        const badge = this.overlay.querySelector('.sql-safety-badge');
+        const allowLabel = this.overlay.querySelector('.sql-allow-writes');
+        const modifies = safety.statements.length > 0 && !safety.isReadOnly;
+
+        badge.className = `sql-safety-badge ${modifies ? 'modifies' : 'read-only'}`;
+        badge.innerHTML = modifies
+            ? '<i class="fas fa-exclamation-triangle"></i> '
+            : '<i class="fas fa-lock"></i> ';
+        badge.appendChild(document.createTextNode(modifies
+            ? `Modifies data or schema: ${safety.unsafeKeywords.join(', ')}`
+            : 'Read-only query'));
+
+        allowLabel.style.display = modifies ? 'flex' : 'none';
+        allowLabel.querySelector('span').textContent =
+            `I understand this runs ${safety.unsafeKeywords.join(', ')} against the database`;
+
+        const hasErrors = problems.some(problem => problem.severity === 'error');
+        this.runBtn.disabled = this.isRunning || hasErrors || (modifies && !this.allowWrites.checked);
+    }
+
+    syncScroll() {
+        const pre = this.highlight.parentNode;
+        pre.scrollTop = this.input.scrollTop;
+        pre.scrollLeft = this.input.scrollLeft;
+    }
+
+    async run() {
+        if (this.runBtn.disabled) return;
+
+        const errorEl = this.overlay.querySelector('.sql-editor-error');
+        errorEl.textContent = '';
+        this.isRunning = true;
+        this.runBtn.disabled = true;
+        this.runBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Running...';
+
+        const allowWrites = this.allowWrites.checked && !SqlSafety.classify(this.input.value).isReadOnly;
+        const result = await this.onRun(this.input.value, { allowWrites });
+
+        if (!this.overlay) return;
+
+        if (result && result.success) {
+            this.close();
+            return;
+        }
+
+        this.isRunning = false;
+        this.runBtn.innerHTML = '<i class="fas fa-play"></i> Run';
+        errorEl.textContent = (result && result.error) || 'Failed to run SQL';
+        this.refresh();
+    }
+}
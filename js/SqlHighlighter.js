@@ -0,0 +1,128 @@
+/**
+ * SqlHighlighter class to tokenize SQL and render it as highlighted HTML
+ */
+class SqlHighlighter {
+    constructor() {
+        this.keywords = new Set([
+            'ADD', 'ALL', 'ALTER', 'ANALYZE', 'AND', 'ANY', 'ARRAY', 'AS', 'ASC', 'BEGIN', 'BETWEEN',
+            'BY', 'CASCADE', 'CASE', 'CAST', 'CHECK', 'COLLATE', 'COLUMN', 'COMMIT', 'CONSTRAINT',
+            'COPY', 'CREATE', 'CROSS', 'CURRENT_DATE', 'CURRENT_TIMESTAMP', 'DEFAULT', 'DELETE',
+            'DESC', 'DISTINCT', 'DO', 'DROP', 'ELSE', 'END', 'EXCEPT', 'EXISTS', 'EXPLAIN', 'FALSE',
+            'FETCH', 'FILTER', 'FIRST', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'GRANT', 'GROUP', 'HAVING',
+            'ILIKE', 'IN', 'INDEX', 'INNER', 'INSERT', 'INTERSECT', 'INTERVAL', 'INTO', 'IS', 'JOIN',
+            'KEY', 'LAST', 'LATERAL', 'LEFT', 'LIKE', 'LIMIT', 'MATERIALIZED', 'NOT', 'NULL', 'NULLS',
+            'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION', 'PRIMARY', 'REFERENCES',
+            'RETURNING', 'REVOKE', 'RIGHT', 'ROLLBACK', 'ROWS', 'SCHEMA', 'SELECT', 'SET', 'TABLE',
+            'THEN', 'TRUE', 'TRUNCATE', 'UNION', 'UNIQUE', 'UPDATE', 'USING', 'VACUUM', 'VALUES',
+            'VIEW', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+        ]);
+    }
+
+    /**
+     * Split SQL into tokens
+     * @param {string} sql - The SQL text
+     * @returns {Array<Object>} Tokens with type and value
+     */
+    tokenize(sql) {
+        const tokens = [];
+        const text = sql || '';
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            const rest = text.slice(i);
+            let match;
+
+            if (/\s/.test(char)) {
+                match = rest.match(/^\s+/);
+                tokens.push({ type: 'whitespace', value: match[0] });
+            } else if (rest.startsWith('--')) {
+                const end = text.indexOf('\n', i);
+                const value = end === -1 ? rest : text.slice(i, end);
+                tokens.push({ type: 'comment', value: value });
+            } else if (rest.startsWith('/*')) {
+                const end = text.indexOf('*/', i + 2);
+                const value = end === -1 ? rest : text.slice(i, end + 2);
+                tokens.push({ type: 'comment', value: value });
+            } else if (char === '\'') {
+                match = rest.match(/^'(?:[^']|'')*'?/);
+                tokens.push({ type: 'string', value: match[0] });
+            } else if ((match = rest.match(/^[Ee]'(?:[^'\\]|\\[\s\S]|'')*'?/))) {
+                // Escape string (E'...'), where a backslash escapes the next character, including a quote
+                tokens.push({ type: 'string', value: match[0] });
+            } else if (char === '"') {
+                match = rest.match(/^"(?:[^"]|"")*"?/);
+                tokens.push({ type: 'identifier', value: match[0] });
+            } else if ((match = rest.match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/))) {
+                // Dollar-quoted string ($$ ... $$ or $tag$ ... $tag$)
+                const tag = match[0];
+                const end = text.indexOf(tag, i + tag.length);
+                const value = end === -1 ? rest : text.slice(i, end + tag.length);
+                tokens.push({ type: 'string', value: value });
+            } else if ((match = rest.match(/^\$\d+/))) {
+                tokens.push({ type: 'parameter', value: match[0] });
+            } else if ((match = rest.match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/))) {
+                tokens.push({ type: 'number', value: match[0] });
+            } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_$]*/))) {
+                const word = match[0];
+                const nextChar = text.slice(i + word.length).match(/^\s*\(/);
+                let type = 'word';
+                if (this.keywords.has(word.toUpperCase())) {
+                    type = 'keyword';
+                } else if (nextChar) {
+                    type = 'function';
+                }
+                tokens.push({ type: type, value: word });
+            } else if ((match = rest.match(/^(?:::|<>|!=|<=|>=|\|\||->>|->|[-+*/%=<>!~^&|])/))) {
+                tokens.push({ type: 'operator', value: match[0] });
+            } else {
+                tokens.push({ type: 'punctuation', value: char });
+            }
+
+            i += tokens[tokens.length - 1].value.length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Render SQL as HTML with syntax highlighting spans
+     * @param {string} sql - The SQL text
+     * @returns {string} Escaped HTML
+     */
+    highlight(sql) {
+        return this.tokenize(sql).map(token => {
+            const value = this.escapeHtml(token.value);
+            switch (token.type) {
+                case 'keyword':
+                case 'string':
+                case 'number':
+                case 'comment':
+                case 'function':
+                case 'identifier':
+                case 'operator':
+                case 'parameter':
+                    return `<span class="sql-${token.type}">${value}</span>`;
+                default:
+                    return value;
+            }
+        }).join('');
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SqlHighlighter;
+}
@@ -0,0 +1,308 @@
+/**
+ * SqlSafety class to classify and lint SQL before it is run directly against a database.
+ * Works on SqlHighlighter tokens so keywords inside strings, comments and quoted identifiers are ignored.
+ */
+class SqlSafety {
+    /**
+     * Split SQL into statements on top-level semicolons
+     * @param {string} sql - The SQL text
+     * @returns {Array<Array<Object>>} Tokens of each non-empty statement
+     */
+    static splitStatements(sql) {
+        const tokens = SqlSafety.getHighlighter().tokenize(sql);
+        const statements = [];
+        let current = [];
+
+        tokens.forEach(token => {
+            if (token.type === 'punctuation' && token.value === ';') {
+                statements.push(current);
+                current = [];
+            } else {
+                current.push(token);
+            }
+        });
+        statements.push(current);
+
+        return statements.filter(statement => statement.some(token => SqlSafety.isCode(token)));
+    }
+
+    /**
+     * Classify each statement as read, write, ddl or other
+     * Unterminated literals count as unsafe, since the rest of the text can't be told apart from a string
+     * @param {string} sql - The SQL text
+     * @returns {Object} { isReadOnly, statements: [{ kind, keyword, reason, words, text }], unsafeKeywords }
+     */
+    static classify(sql) {
+        const statements = SqlSafety.splitStatements(sql).map(tokens => {
+            const words = tokens
+                .filter(token => token.type === 'keyword' || token.type === 'word' || token.type === 'function')
+                .map(token => token.value.toUpperCase());
+            const keyword = words[0] || '';
+
+            let kind = 'other';
+            let reason = keyword;
+            if (SqlSafety.DDL_KEYWORDS.includes(keyword)) {
+                kind = 'ddl';
+            } else if (SqlSafety.WRITE_KEYWORDS.includes(keyword)) {
+                kind = 'write';
+            } else if (SqlSafety.READ_KEYWORDS.includes(keyword)) {
+                // Data-modifying CTEs, SELECT INTO, locking reads and EXPLAIN ANALYZE of a write all change data
+                const writeWord = words.find(word => SqlSafety.WRITE_KEYWORDS.includes(word));
+                const sideEffect = tokens.find(token => token.type === 'function' &&
+                    SqlSafety.SIDE_EFFECT_FUNCTIONS.includes(token.value.toLowerCase()));
+                if (writeWord) {
+                    reason = writeWord;
+                } else if (sideEffect) {
+                    reason = `${sideEffect.value.toLowerCase()}()`;
+                } else if (words.includes('INTO')) {
+                    reason = 'SELECT INTO';
+                } else if (SqlSafety.hasLockingClause(words)) {
+                    reason = 'FOR UPDATE';
+                }
+                kind = reason === keyword ? 'read' : 'write';
+            }
+
+            const unterminated = SqlSafety.findUnterminated(tokens);
+            if (unterminated) {
+                kind = 'other';
+                reason = `UNTERMINATED ${unterminated.toUpperCase()}`;
+            }
+
+            return {
+                kind: kind,
+                keyword: keyword,
+                reason: reason || 'UNKNOWN',
+                words: words,
+                text: tokens.map(token => token.value).join('').trim()
+            };
+        });
+
+        const unsafe = statements.filter(statement => statement.kind !== 'read');
+
+        return {
+            isReadOnly: statements.length > 0 && unsafe.length === 0,
+            statements: statements,
+            unsafeKeywords: [...new Set(unsafe.map(statement => statement.reason))]
+        };
+    }
+
+    /**
+     * Tables (or other objects) a statement writes to, as written in the SQL
+     * @param {string} sql - The SQL text
+     * @returns {Array<string>} Unique qualified names, e.g. ["orders", "sales.items"]
+     */
+    static affectedTables(sql) {
+        const names = [];
+
+        SqlSafety.splitStatements(sql).forEach(statementTokens => {
+            const tokens = statementTokens.filter(token => SqlSafety.isCode(token));
+            const upper = tokens.map(token => (token.type === 'keyword' || token.type === 'word' ? token.value.toUpperCase() : ''));
+            const after = (word, from) => {
+                const index = upper.indexOf(word, from);
+                return index === -1 ? -1 : index + 1;
+            };
+
+            // The first write or DDL keyword decides where the target is, which also covers data-modifying CTEs
+            const start = upper.findIndex((word, index) =>
+                (SqlSafety.WRITE_KEYWORDS.includes(word) || SqlSafety.DDL_KEYWORDS.includes(word)) && upper[index - 1] !== 'FOR');
+
+            let targets = [];
+            if (start === -1) {
+                if (upper[0] === 'SELECT' || upper[0] === 'WITH') {
+                    targets = SqlSafety.readNames(tokens, upper, after('INTO', 0), false);
+                }
+            } else {
+                const keyword = upper[start];
+                if (keyword === 'INSERT' || keyword === 'MERGE') {
+                    targets = SqlSafety.readNames(tokens, upper, after('INTO', start), false);
+                } else if (keyword === 'DELETE') {
+                    targets = SqlSafety.readNames(tokens, upper, after('FROM', start), false);
+                } else if (keyword === 'UPDATE' || keyword === 'COPY') {
+                    targets = SqlSafety.readNames(tokens, upper, start + 1, false);
+                } else if (keyword === 'TRUNCATE') {
+                    targets = SqlSafety.readNames(tokens, upper, start + 1, true);
+                } else if (keyword === 'GRANT' || keyword === 'REVOKE' || keyword === 'COMMENT') {
+                    targets = SqlSafety.readNames(tokens, upper, after('ON', start), true);
+                } else {
+                    const typeIndex = upper.findIndex((word, index) => index > start && SqlSafety.OBJECT_TYPES.includes(word));
+                    if (typeIndex === -1) {
+                        targets = SqlSafety.readNames(tokens, upper, start + 1, false);
+                    } else if ((upper[typeIndex] === 'INDEX' || upper[typeIndex] === 'TRIGGER') && upper.includes('ON', typeIndex)) {
+                        targets = SqlSafety.readNames(tokens, upper, after('ON', typeIndex), false);
+                    } else {
+                        targets = SqlSafety.readNames(tokens, upper, typeIndex + 1, keyword === 'DROP');
+                    }
+                }
+            }
+
+            targets.forEach(name => {
+                if (!names.includes(name)) names.push(name);
+            });
+        });
+
+        return names;
+    }
+
+    /**
+     * Read dotted object names starting at a token index, skipping modifiers like ONLY and IF EXISTS
+     * @param {Array<Object>} tokens - Code tokens of one statement
+     * @param {Array<string>} upper - Uppercased keywords and words, aligned with tokens
+     * @param {number} index - Index to start reading at, or -1/0 when there is nothing to read
+     * @param {boolean} list - Keep reading after commas (TRUNCATE a, b / DROP TABLE a, b)
+     */
+    static readNames(tokens, upper, index, list) {
+        const names = [];
+        if (index <= 0) return names;
+
+        while (index < tokens.length) {
+            while (['TABLE', 'ONLY', 'IF', 'NOT', 'EXISTS', 'CONCURRENTLY'].includes(upper[index])) {
+                index++;
+            }
+
+            const parts = [];
+            while (index < tokens.length && ['word', 'identifier', 'function'].includes(tokens[index].type)) {
+                parts.push(tokens[index].value);
+                index++;
+                if (!tokens[index] || tokens[index].value !== '.') break;
+                index++;
+            }
+            if (parts.length === 0) break;
+            names.push(parts.join('.'));
+
+            if (!list || !tokens[index] || tokens[index].value !== ',') break;
+            index++;
+        }
+
+        return names;
+    }
+
+    /**
+     * Basic lint checks
+     * @param {string} sql - The SQL text
+     * @returns {Array<Object>} Problems as { severity: 'error' | 'warning', message }
+     */
+    static lint(sql) {
+        const problems = [];
+        const tokens = SqlSafety.getHighlighter().tokenize(sql);
+
+        if (!tokens.some(token => SqlSafety.isCode(token))) {
+            return [{ severity: 'error', message: 'Query is empty' }];
+        }
+
+        const unterminated = SqlSafety.findUnterminated(tokens);
+        if (unterminated) {
+            problems.push({ severity: 'error', message: `Unterminated ${unterminated}` });
+        }
+
+        let depth = 0;
+        tokens.forEach(token => {
+            if (token.type !== 'punctuation') return;
+            if (token.value === '(') depth++;
+            if (token.value === ')') depth--;
+            if (depth < 0) {
+                problems.push({ severity: 'error', message: 'Unexpected closing parenthesis' });
+                depth = 0;
+            }
+        });
+        if (depth > 0) {
+            problems.push({ severity: 'error', message: `${depth} unclosed parenthes${depth === 1 ? 'is' : 'es'}` });
+        }
+
+        const statements = SqlSafety.classify(sql).statements;
+        if (statements.length > 1) {
+            problems.push({ severity: 'warning', message: `${statements.length} statements; only the last result set is shown` });
+        }
+
+        statements.forEach(statement => {
+            const upper = statement.text.toUpperCase();
+            const words = statement.words;
+
+            if ((statement.keyword === 'UPDATE' || statement.keyword === 'DELETE') && !words.includes('WHERE')) {
+                problems.push({ severity: 'warning', message: `${statement.keyword} without WHERE affects every row` });
+            }
+            if (statement.kind === 'read' && /\bSELECT\s+\*/.test(upper)) {
+                problems.push({ severity: 'warning', message: 'SELECT * returns every column; list the ones you need' });
+            }
+            if (statement.kind === 'read' && words[0] !== 'EXPLAIN' && !words.includes('LIMIT') && !words.includes('FETCH') &&
+                !SqlSafety.isAggregateOnly(words)) {
+                problems.push({ severity: 'warning', message: 'No LIMIT; large tables may return a lot of rows' });
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check for FOR UPDATE / FOR SHARE style row locks
+     */
+    static hasLockingClause(words) {
+        return words.some((word, index) => word === 'FOR' &&
+            ['UPDATE', 'SHARE', 'NO', 'KEY'].includes(words[index + 1]));
+    }
+
+    /**
+     * Rough check for queries that return one row, e.g. SELECT count(*) FROM t
+     */
+    static isAggregateOnly(words) {
+        return !words.includes('GROUP') && words.some(word => ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'].includes(word));
+    }
+
+    /**
+     * The tokenizer keeps unterminated strings, identifiers and comments as a single trailing token
+     * @param {Array<Object>} tokens - Tokens of the SQL or of one statement
+     * @returns {string|null} What is left open, e.g. "string literal", or null
+     */
+    static findUnterminated(tokens) {
+        const last = tokens[tokens.length - 1];
+        if (!last) return null;
+
+        if (last.type === 'string' && !SqlSafety.isClosedString(last.value)) {
+            return 'string literal';
+        } else if (last.type === 'identifier' && (last.value.length < 2 || !last.value.endsWith('"'))) {
+            return 'quoted identifier';
+        } else if (last.type === 'comment' && last.value.startsWith('/*') && (last.value.length < 4 || !last.value.endsWith('*/'))) {
+            return 'block comment';
+        }
+        return null;
+    }
+
+    static isClosedString(value) {
+        if (value.startsWith('$')) {
+            const tag = value.match(/^\$[A-Za-z0-9_]*\$/)[0];
+            return value.length >= tag.length * 2 && value.endsWith(tag);
+        }
+        // Doubled quotes ('') are escapes, so the literal must still end in a lone quote;
+        // in E'...' strings a backslash escapes the next character too
+        return /^'(?:[^']|'')*'$/.test(value) || /^[Ee]'(?:[^'\\]|\\[\s\S]|'')*'$/.test(value);
+    }
+
+    static isCode(token) {
+        return token.type !== 'whitespace' && token.type !== 'comment';
+    }
+
+    static getHighlighter() {
+        if (!SqlSafety.highlighter) {
+            SqlSafety.highlighter = new SqlHighlighter();
+        }
+        return SqlSafety.highlighter;
+    }
+}
+
+SqlSafety.READ_KEYWORDS = ['SELECT', 'WITH', 'VALUES', 'TABLE', 'SHOW', 'EXPLAIN'];
+SqlSafety.WRITE_KEYWORDS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'COPY', 'TRUNCATE'];
+SqlSafety.DDL_KEYWORDS = ['CREATE', 'ALTER', 'DROP', 'GRANT', 'REVOKE', 'COMMENT', 'RENAME', 'REINDEX', 'CLUSTER'];
+// Functions that change data or the server even when called from a SELECT
+SqlSafety.SIDE_EFFECT_FUNCTIONS = [
+    'nextval', 'setval', 'set_config', 'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf',
+    'pg_rotate_logfile', 'pg_switch_wal', 'pg_create_restore_point', 'pg_promote', 'pg_stat_reset',
+    'pg_advisory_lock', 'pg_advisory_xact_lock', 'pg_try_advisory_lock', 'pg_advisory_unlock_all',
+    'pg_create_logical_replication_slot', 'pg_create_physical_replication_slot', 'pg_drop_replication_slot',
+    'lo_import', 'lo_export', 'lo_unlink', 'lo_create', 'dblink_exec', 'pg_file_write', 'pg_file_unlink',
+    'pg_notify'
+];
+SqlSafety.OBJECT_TYPES = ['TABLE', 'VIEW', 'INDEX', 'SEQUENCE', 'SCHEMA', 'TYPE', 'FUNCTION', 'TRIGGER', 'DATABASE', 'EXTENSION'];
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SqlSafety;
+}
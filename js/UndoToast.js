@@ -0,0 +1,70 @@
+/**
+ * UndoToast class to show a short-lived notice with an Undo button
+ */
+class UndoToast {
+    /**
+     * @param {string} message - Text shown in the toast
+     * @param {number} expiresAt - Time (ms since epoch) after which undo is no longer possible
+     * @param {Function} onUndo - () => void
+     */
+    constructor(message, expiresAt, onUndo) {
+        this.message = message;
+        this.expiresAt = expiresAt;
+        this.onUndo = onUndo;
+        this.element = null;
+        this.timer = null;
+    }
+
+    show() {
+        const remaining = Math.max(0, this.expiresAt - Date.now());
+
+        this.element = document.createElement('div');
+        this.element.className = 'undo-toast';
+        this.element.setAttribute('role', 'status');
+        this.element.innerHTML = `
+            <span class="undo-toast-message"></span>
+            <button class="undo-toast-btn" type="button">Undo</button>
+            <button class="undo-toast-close" type="button" title="Dismiss">
+                <i class="fas fa-times"></i>
+            </button>
+            <div class="undo-toast-progress"></div>
+        `;
+        this.element.querySelector('.undo-toast-message').textContent = this.message;
+        this.element.querySelector('.undo-toast-progress').style.animationDuration = `${remaining}ms`;
+
+        this.element.querySelector('.undo-toast-btn').addEventListener('click', () => {
+            this.dismiss();
+            this.onUndo();
+        });
+
+        // Dismissing only hides the toast; the action still goes ahead
+        this.element.querySelector('.undo-toast-close').addEventListener('click', () => {
+            this.dismiss();
+        });
+
+        UndoToast.getContainer().appendChild(this.element);
+        this.timer = setTimeout(() => this.dismiss(), remaining);
+    }
+
+    dismiss() {
+        clearTimeout(this.timer);
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    /**
+     * Shared container so several toasts stack instead of overlapping
+     */
+    static getContainer() {
+        let container = document.getElementById('toastStack');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toastStack';
+            container.className = 'toast-stack';
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+}
@@ -5,7 +5,11 @@ class App {
     constructor() {
         this.chatManager = null;
         this.sidebar = null;
+        this.chatSearch = null;
         this.chatArea = null;
+        this.dbProfileSwitcher = null;
+        this.schemaBrowser = null;
+        this.chatAutocomplete = null;
         
         this.init();
     }
@@ -48,9 +52,21 @@ class App {
         // Initialize sidebar
         this.sidebar = new Sidebar(this.chatManager);
         
+        // Initialize conversation search in the sidebar
+        this.chatSearch = new ChatSearch(this.chatManager, this.sidebar);
+        
         // Initialize chat area
         this.chatArea = new ChatArea(this.chatManager);
         
+        // Initialize table/column autocomplete for the chat input
+        this.chatAutocomplete = new ChatAutocomplete(this.chatManager);
+        
+        // Initialize database profile switcher in the chat header
+        this.dbProfileSwitcher = new DbProfileSwitcher(this.chatManager);
+        
+        // Initialize schema browser panel
+        this.schemaBrowser = new SchemaBrowser(this.chatManager);
+        
         console.log('App initialized successfully');
     }
 
@@ -210,6 +226,18 @@ class App {
             this.chatArea.showWelcomeMessage();
         }
         
+        // Reconnect to AI jobs that were still running before the page was reloaded
+        const resumedJobs = this.chatManager.resumePendingJobs();
+        if (resumedJobs > 0) {
+            console.log('Resumed pending AI jobs:', resumedJobs);
+        }
+        
+        // Finish chat deletions that could still be undone when the page was closed
+        const resumedDeletions = this.chatManager.resumePendingDeletions();
+        if (resumedDeletions > 0) {
+            console.log('Resumed pending chat deletions:', resumedDeletions);
+        }
+        
         // Update page title based on current state
         this.updatePageTitle();
         
@@ -11,8 +11,17 @@ const API_CONFIG = {
         CONVERSATION: '/api/conversation',
         AI_CHAT: '/api/agent/user/chat',
         SSE_JOB: '/api/agent/sse/job',
+        AI_JOB: '/api/agent/job',
+        SQL_EXECUTE: '/api/agent/sql/execute',
         AUTH_GOOGLE: '/api/auth/google',
         CLIENT_DB: '/api/clientdb/db',
+        CLIENT_DB_PROFILES: '/api/clientdb/profiles',
+        CLIENT_DB_TEST: '/api/clientdb/test',
+        CLIENT_DB_SCHEMA: '/api/clientdb/schema',
+        SEARCH: '/api/conversation/search',
+        CONVERSATION_FOLDERS: '/api/conversation/folders',
+        CONVERSATION_ORGANIZATION: '/api/conversation/organization',
+        CONVERSATION_IMPORT: '/api/conversation/import',
         // Add more endpoints here as needed
         // MESSAGES: '/api/messages',
         // USER: '/api/user'
@@ -21,7 +30,14 @@ const API_CONFIG = {
     // Storage Keys
     STORAGE_KEYS: {
         USER_DATA: 'data',
-        CHATS: 'sql_agent'
+        CHATS: 'sql_agent',
+        PENDING_JOBS: 'sql_agent_pending_jobs',
+        REQUIRE_DB_TEST: 'sql_agent_require_db_test',
+        SCHEMA_CACHE: 'sql_agent_schema_cache',
+        SCHEMA_PANEL_OPEN: 'sql_agent_schema_panel_open',
+        MESSAGE_VERSIONS: 'sql_agent_message_versions',
+        FOLDERS: 'sql_agent_folders',
+        PENDING_DELETIONS: 'sql_agent_pending_deletions'
     },
     
     // Default Values
@@ -30,9 +46,32 @@ const API_CONFIG = {
         MAX_MESSAGE_LENGTH: 4000,
         TYPING_DELAY: 1000,
         CHATS_PER_PAGE: 30,
+        MESSAGES_PER_PAGE: 30,
         PORT_MIN: 1,
         PORT_MAX: 65535,
-        REDIRECT_DELAY: 1500
+        REDIRECT_DELAY: 1500,
+        PENDING_JOB_MAX_AGE: 2 * 60 * 60 * 1000, // Forget in-flight jobs older than 2 hours
+        SSE_RECONNECT_BASE_DELAY: 1000,
+        SSE_RECONNECT_MAX_DELAY: 30000,
+        SSE_MAX_RECONNECT_ATTEMPTS: 5,
+        JOB_STATUS_POLL_INTERVAL: 5000,
+        JOB_STATUS_MAX_POLL_FAILURES: 3,
+        STREAM_RENDER_INTERVAL: 80, // Minimum ms between markdown re-renders of a streaming answer
+        AUTO_SCROLL_THRESHOLD: 80, // Only follow new content if the user is this close to the bottom (px)
+        DB_TEST_TIMEOUT: 20000,
+        DB_PORT: 5432,
+        SSH_PORT: 22,
+        MAX_KEY_FILE_SIZE: 64 * 1024, // Certificates and private keys are a few KB at most
+        SCHEMA_CACHE_MAX_AGE: 24 * 60 * 60 * 1000,
+        AUTOCOMPLETE_MIN_CHARS: 3, // Without "@", only suggest once a word is this long
+        AUTOCOMPLETE_MAX_SUGGESTIONS: 8,
+        SEARCH_DEBOUNCE: 250,
+        SEARCH_MAX_RESULTS: 30,
+        SEARCH_SNIPPET_RADIUS: 40, // Characters of context shown before a match
+        SEARCH_HIGHLIGHT_DURATION: 2500,
+        EXPORT_TABLE_ROWS: 200, // Result rows written into Markdown/HTML exports; JSON bundles keep every row
+        BULK_CONCURRENCY: 3, // Server requests a bulk action runs at the same time
+        DELETE_UNDO_DELAY: 8000 // How long a deleted chat can be restored before the server deletes it
     },
     
     // HTTP Headers